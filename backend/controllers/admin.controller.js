@@ -1,11 +1,15 @@
+import mongoose from 'mongoose';
 import Admin from '../models/admin.model.js';
-import Student from '../models/student.model.js';
+import Student, { pickEditableStudentFields } from '../models/student.model.js';
+import Parent from '../models/parent.model.js';
+import Attendance, { LATE_POLICY_SETTINGS_KEY, OVERRIDE_FILTERS } from '../models/attendance.model.js';
+import AttendanceCorrection from '../models/attendanceCorrection.model.js';
+import AcademicYear from '../models/academicYear.model.js';
 import jwt from 'jsonwebtoken';
 import multer from 'multer';
-import csvParser from 'csv-parser';
 import fs from 'fs';
 import path from 'path';
-import xlsx from 'xlsx';
+import { pipeline } from 'stream/promises';
 import ExcelJS from 'exceljs';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
@@ -13,19 +17,49 @@ import dotenv from 'dotenv';
 import axios from 'axios';
 import { 
   getClientState, 
-  sendTextMessage, 
-  sendAttendanceAlert, 
-  sendBulkMessages 
+  sendTextMessage
 } from '../services/whatsapp.service.js';
+import {
+  notifyGuardiansOfAttendance,
+  sendBulkGuardianMessages,
+  validateTranslations
+} from '../services/guardianNotificationService.js';
 import { DateTime } from 'luxon';
-import { generateStylishQRCode } from '../utils/qrGenerator.js';
+import { reissueStudentQRCode, revokeStudentQRCode, ensureStudentQRCode } from '../services/qrCredentialService.js';
+import { getFileStore, sendStoredFile } from '../services/fileStore.js';
+import {
+  parseImportFile,
+  resolveColumnMapping,
+  planImport,
+  applyImport,
+  summarizeImport,
+  storeImportReport,
+  STUDENT_IMPORT_FIELDS
+} from '../services/studentImportService.js';
+import {
+  resolveExportColumns,
+  buildExportRows,
+  renderExport,
+  STUDENT_EXPORT_COLUMNS,
+  STUDENT_EXPORT_FORMATS
+} from '../services/studentExportService.js';
+import { buildStudentQuery } from '../utils/studentQuery.js';
+import { setAuditContext } from '../services/auditService.js';
+import { deleteAttendanceRecords } from '../services/attendanceCorrectionService.js';
+import { startOfDay, endOfDay } from '../utils/dateUtils.js';
+import { 
+  autoMarkAbsentAttendance, 
+  getAutoAbsentSettings, 
+  AUTO_ABSENT_SETTINGS_KEY 
+} from '../services/autoAttendanceService.js';
+import { rescheduleAutoMarkAbsent } from '../services/schedulerService.js';
+import { getScanRules, SCAN_RULES_SETTINGS_KEY } from '../services/scanService.js';
+import Setting from '../models/setting.model.js';
+import { logWarning } from '../utils/terminal.js';
 
 // Load environment variables
 dotenv.config();
 
-// Create Attendance reference from Student model since there's no separate Attendance model
-const Attendance = Student;
-
 // Helper function to get date range
 const getDateRange = (date = new Date()) => {
   const startOfDay = DateTime.fromJSDate(new Date(date)).startOf('day').toJSDate();
@@ -45,79 +79,88 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage: storage });
 
-// Helper function to handle the CSV file parsing
-const parseCSV = (filePath) => {
-  return new Promise((resolve, reject) => {
-    const students = [];
-    const stream = fs.createReadStream(filePath)
-      .pipe(csvParser())
-      .on('data', (data) => {
-        students.push(data); // Push each student row
-      })
-      .on('end', () => {
-        resolve(students); // Return parsed student data
-      })
-      .on('error', (err) => {
-        reject(err);
-      });
-  });
-};
+// Helper function to limit Attendance queries to the students in the
+// request's class filter (a teacher's classes or a selected class)
+const getAttendanceScope = async (req) => {
+  if (!req.classFilter || Object.keys(req.classFilter).length === 0) {
+    return {};
+  }
 
-// Helper function to handle Excel file parsing
-const parseExcel = (filePath) => {
-  return new Promise((resolve, reject) => {
-    try {
-      const workbook = xlsx.readFile(filePath); // Read Excel file
-      const sheet = workbook.Sheets[workbook.SheetNames[0]]; // Use the first sheet
-      const students = xlsx.utils.sheet_to_json(sheet); // Convert sheet data to JSON
-      resolve(students); // Return parsed student data
-    } catch (err) {
-      reject(err);
-    }
-  });
+  const studentIds = await Student.find(req.classFilter).distinct('_id');
+  return { student: { $in: studentIds } };
 };
 
-// Bulk import endpoint to upload CSV or Excel files
+// Which records entered by hand a report shows, from ?overrides=only|exclude,
+// all of them by default
+const getOverrideFilter = (req) =>
+  OVERRIDE_FILTERS.includes(req.query.overrides) ? req.query.overrides : 'include';
+
+/**
+ * Bulk import students from a CSV, XLSX or XLS file
+ * Multipart form fields: file, dryRun ('true' to only preview) and mapping,
+ * a JSON object like { "parent_telephone": "Guardian Mobile" } for columns
+ * the importer does not recognise. Students are matched by index number,
+ * see services/studentImportService.js
+ */
 export const bulkImportStudents = async (req, res) => {
   const file = req.file;
   if (!file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+    return res.status(400).json({ status: 'error', message: 'No file uploaded' });
   }
 
-  const filePath = path.join(__dirname, '..', 'uploads', file.filename);
-  let students = [];
-
   try {
-    if (file.mimetype === 'text/csv') {
-      students = await parseCSV(filePath); // Parse CSV
-    } else if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
-      students = await parseExcel(filePath); // Parse Excel file
-    } else {
-      return res.status(400).json({ error: 'Invalid file format. Only CSV and Excel files are allowed.' });
+    const dryRun = ['true', '1', 'yes'].includes(String(req.body.dryRun ?? req.query.dryRun).toLowerCase());
+
+    let overrides = req.body.mapping || {};
+    if (typeof overrides === 'string') {
+      try {
+        overrides = JSON.parse(overrides);
+      } catch {
+        return res.status(400).json({ status: 'error', message: 'Column mapping must be a JSON object' });
+      }
     }
 
-    // Validate student data (assuming students should have 'name' and 'studentId' fields)
-    const invalidStudents = students.filter(student => !student.name || !student.studentId);
-    if (invalidStudents.length > 0) {
-      return res.status(400).json({
-        error: 'Some student records are missing required fields (name/studentId).',
-        invalidRecords: invalidStudents,
-      });
+    const parsed = parseImportFile(await fs.promises.readFile(file.path), file.originalname);
+    const { mapping, unmappedHeaders } = resolveColumnMapping(parsed.headers, overrides);
+
+    const plan = await planImport(parsed, mapping);
+    if (!dryRun) {
+      await applyImport(plan);
     }
 
-    // Save valid students to the database
-    await Student.insertMany(students);
+    const summary = summarizeImport(plan);
+    const reportId = await storeImportReport(parsed.headers, plan, dryRun);
+
+    logInfo(`Student import of ${file.originalname} ${dryRun ? 'previewed' : 'run'} by ${req.admin.email}: ` +
+      `${summary.create} new, ${summary.update} updated, ${summary.unchanged} unchanged, ${summary.error} failed`);
 
     res.status(200).json({
-      message: `${students.length} students imported successfully!`,
-      importedRecords: students,
+      status: 'success',
+      message: dryRun
+        ? 'Dry run complete, nothing was saved'
+        : `${summary.create + summary.update + summary.unchanged} students imported, ${summary.error} rows failed`,
+      data: {
+        dryRun,
+        summary,
+        mapping: Object.fromEntries(Object.entries(mapping).map(([field, column]) => [field, parsed.headers[column]])),
+        unmappedHeaders,
+        errors: plan
+          .filter(entry => entry.action === 'error')
+          .slice(0, 100)
+          .map(({ rowNumber, indexNumber, errors }) => ({ row: rowNumber, indexNumber, errors })),
+        reportId,
+        reportUrl: `/api/admin/bulk-import/reports/${reportId}`
+      }
     });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Error occurred while processing the file.' });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+    logError(`Error importing students: ${error.message}`);
+    res.status(500).json({ status: 'error', message: 'Error occurred while processing the file.', error: error.message });
   } finally {
-    // Optional: Delete the uploaded file after processing
-    fs.unlink(filePath, (err) => {
+    // The upload is only needed while importing
+    fs.unlink(file.path, (err) => {
       if (err) {
         console.error('Error deleting file:', err);
       }
@@ -125,6 +168,43 @@ export const bulkImportStudents = async (req, res) => {
   }
 };
 
+/**
+ * List the columns the importer recognises, for building a column mapping
+ */
+export const getImportFields = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: STUDENT_IMPORT_FIELDS
+  });
+};
+
+/**
+ * Download the row-level XLSX report of an import or dry run
+ */
+export const downloadImportReport = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    if (!/^[a-f0-9]{32}$/.test(reportId)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid report id' });
+    }
+
+    const key = `import-reports/${reportId}.xlsx`;
+    if (!(await getFileStore().exists(key))) {
+      return res.status(404).json({ status: 'error', message: 'Import report not found' });
+    }
+
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="import-report-${reportId}.xlsx"`);
+    await pipeline(getFileStore().createReadStream(key), res);
+  } catch (error) {
+    logError(`Error downloading import report: ${error.message}`);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ status: 'error', message: 'Error downloading import report', error: error.message });
+  }
+};
+
 export const registerStudent = async (req, res) => {
   try {
     const { name, address, student_email, parent_email, parent_telephone, indexNumber, age } = req.body;
@@ -134,6 +214,25 @@ export const registerStudent = async (req, res) => {
       return res.status(400).json({ message: 'All fields are required' });
     }
 
+    // Students in the trash still own their index number and email
+    const existing = await Student.findOne({
+      $or: [
+        { indexNumber: String(indexNumber).toUpperCase().trim() },
+        { student_email: String(student_email).toLowerCase().trim() }
+      ]
+    }).setOptions({ withDeleted: true }).select('name indexNumber deletedAt').lean();
+
+    if (existing?.deletedAt) {
+      return res.status(409).json({
+        message: 'A deleted student has this index number or email, restore them from the trash instead',
+        deletedStudent: { _id: existing._id, name: existing.name, indexNumber: existing.indexNumber },
+        restoreUrl: `/api/admin/students/${existing._id}/restore`
+      });
+    }
+    if (existing) {
+      return res.status(409).json({ message: 'A student with this index number or email already exists' });
+    }
+
     // Create a new student instance
     const newStudent = new Student({
       name,
@@ -148,35 +247,9 @@ export const registerStudent = async (req, res) => {
     // Save the student to the database
     await newStudent.save()
       .then(async (savedStudent) => {
-        // Generate a comprehensive QR code with complete student details
-        const qrCodeData = JSON.stringify({
-          id: savedStudent._id,
-          name: savedStudent.name,
-          indexNumber: savedStudent.indexNumber,
-          email: savedStudent.student_email,
-          address: savedStudent.address,
-          age: savedStudent.age,
-          timestamp: new Date().toISOString(),
-          secureHash: crypto.createHash('sha256')
-            .update(`${savedStudent._id}${savedStudent.indexNumber}${process.env.JWT_SECRET || 'qrattend-secret'}`)
-            .digest('hex').substring(0, 16)
-        });
-
         try {
-          // Generate a stylish QR code with a dinosaur logo in the center
-          const qrCode = await generateStylishQRCode(qrCodeData, {
-            errorCorrectionLevel: 'H',
-            margin: 1,
-            color: {
-              dark: '#000000',  // Black QR code
-              light: '#FFFFFF'  // White background
-            },
-            width: 400
-          });
-          
-          // Update the saved student with the QR code
-          savedStudent.qrCode = qrCode;
-          await savedStudent.save();
+          // Issue the student's first signed QR credential and render it
+          const qrCode = await reissueStudentQRCode(savedStudent);
 
           // Respond with the student data and QR code URL
           res.status(201).json({
@@ -191,16 +264,23 @@ export const registerStudent = async (req, res) => {
           });
         } catch (qrError) {
           console.error('Error generating QR code:', qrError);
-          res.status(500).json({ message: 'Error generating QR code', error: qrError });
+          res.status(500).json({ message: 'Error generating QR code', error: qrError.message });
         }
       })
       .catch((err) => {
+        // Registered by someone else in the meantime
+        if (err.code === 11000) {
+          return res.status(409).json({ message: 'A student with this index number or email already exists' });
+        }
+        if (err.name === 'ValidationError') {
+          return res.status(400).json({ message: err.message });
+        }
         console.error('Error saving student:', err);
-        res.status(500).json({ message: 'Error saving student to database', error: err });
+        res.status(500).json({ message: 'Error saving student to database', error: err.message });
       });
   } catch (error) {
     console.error('Error registering student:', error);
-    res.status(500).json({ message: 'Error registering student', error });
+    res.status(500).json({ message: 'Error registering student', error: error.message });
   }
 };
 
@@ -337,16 +417,26 @@ export const createStudent = async (req, res) => {
 
 export const getStudents = async (req, res) => {
   try {
-    const students = await Student.find();
+    const students = await Student.find({ ...req.classFilter });
     res.status(200).json({ students });
   } catch (err) {
     res.status(500).json({ message: 'Error fetching students', error: err });
   }
 };
 
+// Audit target for actions on one student
+const studentAuditTarget = (student) => ({
+  type: 'student',
+  id: student._id,
+  label: student.indexNumber
+});
+
 export const updateStudent = async (req, res) => {
   const { id } = req.params;
-  const updateData = req.body;
+  // Guardians are replaced as a whole through updateStudentGuardians, the
+  // password is hashed on save so it cannot go through the update
+  const updateData = pickEditableStudentFields(req.body);
+  const { password } = req.body;
 
   try {
     // Find the student first to get the current data
@@ -354,6 +444,14 @@ export const updateStudent = async (req, res) => {
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
+    setAuditContext(req, { action: 'student.update', target: studentAuditTarget(student), before: student });
+
+    if (password !== undefined) {
+      student.password = password;
+      // Older students may not pass today's validation, only the password has to
+      await student.validate(['password']);
+      await student.save({ validateBeforeSave: false });
+    }
 
     // Update the student with the new data
     const updatedStudent = await Student.findByIdAndUpdate(
@@ -361,58 +459,154 @@ export const updateStudent = async (req, res) => {
       updateData, 
       { new: true, runValidators: true }
     );
+    setAuditContext(req, { after: updatedStudent });
     
     res.status(200).json({ 
       message: 'Student updated successfully', 
       student: updatedStudent 
     });
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
     console.error('Error updating student:', err);
     res.status(500).json({ message: 'Error updating student', error: err });
   }
 };
 
+/**
+ * Move a student to the trash
+ * Attendance and message history stay, restoreStudent brings the student
+ * back and purgeStudent removes everything for good
+ */
 export const deleteStudent = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const student = await Student.findByIdAndDelete(id);
+    const student = await Student.findById(id);
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
-    res.status(200).json({ message: 'Student deleted successfully' });
+
+    setAuditContext(req, { action: 'student.delete', target: studentAuditTarget(student), before: student });
+    await student.softDelete(req.admin._id);
+    setAuditContext(req, { after: student });
+    logInfo(`Student ${student.indexNumber} moved to the trash by ${req.admin.email}`);
+
+    res.status(200).json({ message: 'Student moved to the trash, it can be restored from there' });
   } catch (err) {
     res.status(500).json({ message: 'Error deleting student', error: err });
   }
 };
 
+/**
+ * List deleted students, most recently deleted first
+ */
+export const getDeletedStudents = async (req, res) => {
+  try {
+    const students = await Student.find({ ...req.classFilter, deletedAt: { $ne: null } })
+      .select('name indexNumber student_email schoolClass status deletedAt deletedBy')
+      .populate('schoolClass', 'name')
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: students.length,
+      data: students
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: 'Error fetching deleted students', error: error.message });
+  }
+};
+
+/**
+ * Take a student out of the trash
+ */
+export const restoreStudent = async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!student) {
+      return res.status(404).json({ status: 'error', message: 'Student not found in the trash' });
+    }
+
+    setAuditContext(req, { action: 'student.restore', target: studentAuditTarget(student), before: student });
+    await student.restore();
+    setAuditContext(req, { after: student });
+    logInfo(`Student ${student.indexNumber} restored by ${req.admin.email}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Student restored successfully',
+      data: student
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: 'Error restoring student', error: error.message });
+  }
+};
+
+/**
+ * Permanently remove a student from the trash with their attendance, QR
+ * code and parent links
+ */
+export const purgeStudent = async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!student) {
+      return res.status(404).json({ status: 'error', message: 'Student not found in the trash, move it there first' });
+    }
+
+    setAuditContext(req, { action: 'student.purge', target: studentAuditTarget(student), before: student });
+
+    // Attendance lives in its own collection, remove it with the student
+    const { deletedCount } = await Attendance.deleteMany({ student: student._id });
+    setAuditContext(req, { details: { attendanceRecordsDeleted: deletedCount } });
+    await Parent.updateMany({ students: student._id }, { $pull: { students: student._id } });
+
+    if (student.qrCodeFile?.key) {
+      await getFileStore().delete(student.qrCodeFile.key);
+    }
+    if (student.photo?.key) {
+      await getFileStore().delete(student.photo.key);
+    }
+
+    await Student.deleteOne({ _id: student._id, deletedAt: { $ne: null } });
+    logInfo(`Student ${student.indexNumber} permanently deleted by ${req.admin.email}`);
+
+    res.status(200).json({ status: 'success', message: 'Student permanently deleted' });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: 'Error purging student', error: error.message });
+  }
+};
+
 export const getAllStudents = async (req, res) => {
   try {
-    // Fetch all students
-    const students = await Student.find();
+    // Fetch all students, optionally only one class, status or search
+    const students = await Student.find(buildStudentQuery(req.query, req.classFilter))
+      .populate('schoolClass', 'name grade section');
     
     // Process each student to ensure lastAttendance is set correctly
     const processedStudents = await Promise.all(students.map(async (student) => {
       // Convert to plain object so we can modify it
       const studentObj = student.toObject();
       
-      // If the student has attendance records but lastAttendance is not set
-      if (studentObj.attendanceHistory && studentObj.attendanceHistory.length > 0 && !studentObj.lastAttendance) {
-        // Find the most recent attendance record
-        const sortedAttendance = [...studentObj.attendanceHistory].sort(
-          (a, b) => DateTime.fromJSDate(b.date).ts - DateTime.fromJSDate(a.date).ts
-        );
+      // If lastAttendance is not set, backfill it from the most recent attendance record
+      if (!studentObj.lastAttendance) {
+        const latestRecord = await Attendance.findOne({ student: studentObj._id })
+          .sort({ date: -1 })
+          .select('date')
+          .lean();
         
         // Set lastAttendance to the date of the most recent record
-        if (sortedAttendance.length > 0) {
+        if (latestRecord) {
           // Update the student in the database
           await Student.findByIdAndUpdate(
             studentObj._id, 
-            { lastAttendance: sortedAttendance[0].date }
+            { lastAttendance: latestRecord.date }
           );
           
           // Update the object we're returning
-          studentObj.lastAttendance = sortedAttendance[0].date;
+          studentObj.lastAttendance = latestRecord.date;
         }
       }
       
@@ -429,21 +623,66 @@ export const getAllStudents = async (req, res) => {
   }
 };
 
+/**
+ * Export the roster as CSV or XLSX, with the filters of getAllStudents
+ * Query: format (csv or xlsx), columns (comma separated keys, see
+ * STUDENT_EXPORT_COLUMNS), status, search and classId. The file uses the
+ * importer's headers, so it can be edited and imported again.
+ */
+export const exportStudents = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!STUDENT_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ status: 'error', message: `Format must be one of: ${STUDENT_EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { columns, error } = resolveExportColumns(req.query.columns);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error, availableColumns: STUDENT_EXPORT_COLUMNS });
+    }
+
+    const students = await Student.find(buildStudentQuery(req.query, req.classFilter))
+      .populate('schoolClass', 'name')
+      .sort({ indexNumber: 1 })
+      .lean();
+
+    const rows = await buildExportRows(students, columns);
+    const file = await renderExport(columns, rows, format);
+
+    logInfo(`${students.length} students exported as ${format} by ${req.admin.email}`);
+
+    const suffix = req.schoolClass ? req.schoolClass.name.replace(/[^\w-]+/g, '_') : new Date().toISOString().split('T')[0];
+    res.set('Content-Type', format === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="students-${suffix}.${format}"`);
+    return res.send(file);
+  } catch (error) {
+    logError(`Error exporting students: ${error.message}`);
+    res.status(500).json({ status: 'error', message: 'Error exporting students', error: error.message });
+  }
+};
+
 export const getScannedStudentsToday = async (req, res) => {
   try {
-    // Get today's date range (from start of day to current time)
-    const today = new Date();
-    today.setUTCHours(0, 0, 0, 0);
+    // Get today's date range, the same day Attendance.date records use
+    const today = startOfDay();
     
     // Get all active students first
-    const allStudents = await Student.find({ status: 'active' })
-      .select('_id name firstName lastName indexNumber status email student_email parent_email parent_telephone class attendanceHistory')
+    const allStudents = await Student.find({ status: 'active', ...req.classFilter })
+      .select('_id name firstName lastName indexNumber status email student_email parent_email parent_telephone class')
       .sort('indexNumber')
       .lean();
     
     // Set today's date boundaries
-    const endOfDay = new Date(today);
-    endOfDay.setUTCHours(23, 59, 59, 999);
+    const todayEnd = endOfDay(today);
+    
+    // Load today's attendance records for these students
+    const todayRecordsByStudent = await Attendance.mapByStudent({
+      students: allStudents,
+      startDate: today,
+      endDate: todayEnd
+    });
     
     // Create a map of student attendance
     const studentAttendanceMap = {};
@@ -452,11 +691,8 @@ export const getScannedStudentsToday = async (req, res) => {
     allStudents.forEach(student => {
       const studentId = student._id.toString();
       
-      // Filter attendance records for today
-      const todayAttendance = (student.attendanceHistory || []).filter(record => {
-        const recordDate = new Date(record.date);
-        return recordDate >= today && recordDate <= endOfDay;
-      });
+      // Attendance records for today
+      const todayAttendance = todayRecordsByStudent.get(studentId) || [];
       
       if (todayAttendance.length > 0) {
         // Sort by timestamp descending to get the latest record first
@@ -546,71 +782,39 @@ export const getAttendanceReport = async (req, res) => {
     const { startOfDay, endOfDay } = getDateRange(new Date(date));
 
     try {
-      // Get all students first
-      const allStudents = await Student.find().lean();
-      
+      const overrides = getOverrideFilter(req);
+
       // Get attendance records for the specified date
-      const attendanceRecords = await Student.aggregate([
-        {
-          $unwind: {
-            path: "$attendanceHistory",
-            preserveNullAndEmptyArrays: true
-          }
-        },
-        {
-          $match: {
-            "attendanceHistory.date": {
-              $gte: startOfDay,
-              $lt: endOfDay
-            }
-          }
-        },
-        {
-          $group: {
-            _id: "$_id",
-            name: { $first: "$name" },
-            indexNumber: { $first: "$indexNumber" },
-            student_email: { $first: "$student_email" },
-            records: { $push: "$attendanceHistory" }
-          }
-        }
-      ]);
+      const recordsByStudent = await Attendance.mapByStudent({
+        startDate: startOfDay,
+        endDate: endOfDay,
+        overrides
+      });
 
-      // Create a map of students who have attendance records
-      const attendanceMap = new Map(attendanceRecords.map(record => [record._id.toString(), record]));
+      // Get all students, only those with a matching record when records
+      // entered by hand are filtered, the others were not absent
+      const studentQuery = { ...req.classFilter };
+      if (overrides !== 'include') {
+        studentQuery._id = { $in: [...recordsByStudent.keys()] };
+      }
+      const allStudents = await Student.find(studentQuery).lean();
 
       // Process all students to include both present and absent
       const processedStudents = allStudents.map(student => {
-        const attendance = attendanceMap.get(student._id.toString());
-        
-        if (attendance) {
-          // Student has attendance records for this day
-          const records = attendance.records || [];
-          const entryRecord = records.find(r => r.status === 'entered' || r.status === 'present');
-          const leaveRecord = records.find(r => r.status === 'left');
-          const lateRecord = records.find(r => r.status === 'late');
-
-          return {
-            ...student,
-            attendanceHistory: [{
-              status: lateRecord ? 'late' : (entryRecord ? 'present' : 'absent'),
-              date: startOfDay,
-              entryTime: entryRecord?.timestamp || null,
-              leaveTime: leaveRecord?.timestamp || null
-            }]
-          };
-        } else {
-          // Student was absent
-          return {
-            ...student,
-            attendanceHistory: [{
-              status: 'absent',
-              date: startOfDay,
-              entryTime: null,
-              leaveTime: null
-            }]
-          };
-        }
+        // A student has at most one record per day
+        const record = recordsByStudent.get(student._id.toString())?.[0];
+
+        return {
+          name: student.name,
+          indexNumber: student.indexNumber,
+          student_email: student.student_email,
+          // Late arrivals show as late for the day, students without a record as absent
+          status: record?.arrivalStatus === 'late' ? 'late' : record?.status || 'absent',
+          date: startOfDay,
+          entryTime: record?.entryTime || null,
+          leaveTime: record?.leaveTime || null,
+          override: record?.override?.reasonLabel || null
+        };
       });
 
       // Create Excel report
@@ -707,16 +911,16 @@ const createExcelReport = (data, reportType) => {
   let headers;
   switch (reportType) {
     case 'daily':
-      headers = ['Student Name', 'Index Number', 'Email', 'Status', 'Entry Time', 'Leave Time', 'Duration'];
+      headers = ['Student Name', 'Index Number', 'Email', 'Status', 'Entry Time', 'Leave Time', 'Duration', 'Override'];
       break;
     case 'weekly':
-      headers = ['Student Name', 'Index Number', 'Email', 'Week', 'Days Present', 'Days Absent', 'Attendance Rate'];
+      headers = ['Student Name', 'Index Number', 'Email', 'Week', 'Days Present', 'Days Absent', 'Attendance Rate', 'Late Days'];
       break;
     case 'monthly':
       headers = ['Student Name', 'Index Number', 'Email', 'Month', 'Attendance Rate', 'Average Duration', 'Late Days'];
       break;
     case 'individual':
-      headers = ['Date', 'Status', 'Entry Time', 'Leave Time', 'Duration'];
+      headers = ['Date', 'Status', 'Entry Time', 'Leave Time', 'Duration', 'Override'];
       break;
     default:
       headers = ['Student Name', 'Index Number', 'Email', 'Status', 'Entry Time', 'Leave Time', 'Duration'];
@@ -819,6 +1023,9 @@ const createExcelReport = (data, reportType) => {
             return row.averageDuration || 'N/A';
           case 'Late Days': 
             return row.lateDays || 0;
+          case 'Override':
+            // Reason the record was entered by hand, blank for scans
+            return row.override || '';
           default:
             return row[header] || 'N/A';
         }
@@ -916,6 +1123,17 @@ const createExcelReport = (data, reportType) => {
 
   return workbook.xlsx.writeBuffer();
 };
+
+// Marking by hand moves the day forward like a scan would. Marking a
+// recorded day absent, or a second departure, would replace what was
+// recorded and has to go through a correction request.
+const overwritesRecordedDay = (record, status) => {
+  if (!record) return false;
+  if (status === 'absent') return record.status !== 'absent';
+  if (status === 'left') return Boolean(record.leaveTime) || !record.entryTime;
+  return false;
+};
+
 export const markStudentAttendance = async (req, res) => {
   try {
     const { studentId, status, date, adminNote, scanLocation, deviceInfo, sendNotification } = req.body;
@@ -947,35 +1165,35 @@ export const markStudentAttendance = async (req, res) => {
       });
     }
 
+    // The day's record as it was, so the audit log shows what changed
+    const todayRecord = await Attendance.findOne({ student: student._id, date: startOfDay() });
+    setAuditContext(req, {
+      action: 'attendance.mark',
+      target: studentAuditTarget(student),
+      before: todayRecord
+    });
+
+    if (overwritesRecordedDay(todayRecord, status)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Today is already recorded as ${todayRecord.status}, request a correction instead`
+      });
+    }
+
     // Mark attendance with the provided status
-    await student.markAttendance(
+    const record = await student.markAttendance(
       status, 
-      req.user?._id || null, 
+      req.admin._id, 
       deviceInfo || 'Manual entry by admin',
       scanLocation || 'Admin Portal'
     );
+    setAuditContext(req, { after: record, details: { status, adminNote } });
 
-    // If notification is requested, send WhatsApp message
-    if (sendNotification !== false && student.parent_telephone) {
+    // If notification is requested, send WhatsApp messages to the guardians
+    if (sendNotification !== false) {
       try {
-        // Include additional info
-        const attendanceData = {
-          id: student._id,
-          name: student.name,
-          indexNumber: student.indexNumber,
-          status,
-          timestamp: new Date(),
-          entryTime: new Date(),
-          student_email: student.student_email,
-          parent_telephone: student.parent_telephone,
-          parent_email: student.parent_email,
-          address: student.address
-        };
-
         // Use the messaging service to send notification
-        await sendAttendanceNotification(student._id, status, new Date(), adminNote);
-        
-        console.log(`WhatsApp notification sent to ${student.parent_telephone}`);
+        await sendAttendanceNotification(student._id, status, new Date());
       } catch (notificationError) {
         console.error('Error sending WhatsApp notification:', notificationError);
         // Continue even if notification fails
@@ -1073,80 +1291,278 @@ export const runAutoCheckout = async (req, res) => {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    // Get all students who checked in today but didn't check out
-    const students = await Student.find({
-      'attendanceHistory.date': {
+    // Get today's records for students who checked in but didn't check out
+    const pendingRecords = await Attendance.find({
+      date: {
         $gte: today
       },
-      'attendanceHistory.status': 'entered',
-      'attendanceHistory.leaveTime': null
-    });
+      status: 'entered',
+      leaveTime: null
+    }).populate('student');
     
-    console.log(`Found ${students.length} students who need auto checkout`);
+    console.log(`Found ${pendingRecords.length} students who need auto checkout`);
     
     let processed = 0;
     let failed = 0;
     
     // Process each student
-    for (const student of students) {
+    for (const todayRecord of pendingRecords) {
+      const student = todayRecord.student;
+      if (!student) continue;
+
       try {
-        // Find today's attendance record
-        const todayRecord = student.attendanceHistory.find(record => {
-          const recordDate = new Date(record.date);
-          recordDate.setHours(0, 0, 0, 0);
-          return recordDate.getTime() === today.getTime() && 
-                 record.status === 'entered' && 
-                 !record.leaveTime;
-        });
+        // Mark the student as left
+        await student.markAttendance(
+          'left',
+          req.user?._id || null,
+          'Auto checkout system',
+          'Auto Checkout'
+        );
         
-        if (todayRecord) {
-          // Mark the student as left
-          await student.markAttendance(
-            'left',
-            req.user?._id || null,
-            'Auto checkout system',
-            'Auto Checkout'
-          );
-          
-          // Send notification if enabled
-          if (autoCheckoutSettings.sendNotification && student.parent_telephone) {
-            try {
-              await sendAttendanceNotification(
-                student._id, 
-                'left', 
-                new Date(),
-                'Automatically checked out by system at end of day'
-              );
-            } catch (notificationError) {
-              console.error(`Error sending auto checkout notification to ${student.name}:`, notificationError);
-            }
+        // Send notification if enabled
+        if (autoCheckoutSettings.sendNotification) {
+          try {
+            await sendAttendanceNotification(student._id, 'left', new Date());
+          } catch (notificationError) {
+            console.error(`Error sending auto checkout notification to ${student.name}:`, notificationError);
           }
-          
-          processed++;
         }
+        
+        processed++;
       } catch (studentError) {
         console.error(`Error processing auto checkout for student ${student.name}:`, studentError);
         failed++;
       }
     }
     
-    // Update last run timestamp
-    autoCheckoutSettings.lastRun = new Date();
+    // Update last run timestamp
+    autoCheckoutSettings.lastRun = new Date();
+    
+    return res.status(200).json({
+      status: 'success',
+      message: `Auto checkout completed: ${processed} students processed, ${failed} failed`,
+      data: {
+        processed,
+        failed,
+        timestamp: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Error running auto checkout:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to run auto checkout',
+      error: error.message
+    });
+  }
+};
+
+// Get automatic absent marking settings and the last run result
+export const getAutoAbsentConfig = async (req, res) => {
+  try {
+    const settings = await getAutoAbsentSettings();
+    
+    return res.status(200).json({
+      status: 'success',
+      data: settings
+    });
+  } catch (error) {
+    console.error('Error getting auto absent settings:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to get auto absent settings',
+      error: error.message
+    });
+  }
+};
+
+// Configure automatic absent marking
+export const configureAutoAbsent = async (req, res) => {
+  try {
+    const { enabled, cutoffTime, notifyParents } = req.body;
+    
+    // Validate time format (HH:MM)
+    if (cutoffTime && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(cutoffTime)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid cut-off time format. Must be in HH:MM format (24-hour)'
+      });
+    }
+    
+    const changes = {};
+    if (enabled !== undefined) changes.enabled = Boolean(enabled);
+    if (cutoffTime) changes.cutoffTime = cutoffTime;
+    if (notifyParents !== undefined) changes.notifyParents = Boolean(notifyParents);
+    
+    await Setting.setValue(AUTO_ABSENT_SETTINGS_KEY, changes, req.admin._id);
+    
+    // Pick up the new cut-off time straight away
+    rescheduleAutoMarkAbsent();
+    
+    return res.status(200).json({
+      status: 'success',
+      message: 'Auto absent settings updated successfully',
+      data: await getAutoAbsentSettings()
+    });
+  } catch (error) {
+    console.error('Error configuring auto absent:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to configure auto absent',
+      error: error.message
+    });
+  }
+};
+
+// Run automatic absent marking now, optionally for another day
+export const runAutoAbsent = async (req, res) => {
+  try {
+    const { date, notifyParents } = req.body;
+    
+    const targetDate = date ? new Date(date) : new Date();
+    if (isNaN(targetDate.getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid date format. Please use YYYY-MM-DD format'
+      });
+    }
+    
+    const result = await autoMarkAbsentAttendance({
+      date: targetDate,
+      notifyParents,
+      trigger: 'manual'
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      message: result.skipped
+        ? 'Not a school day, no students were marked absent'
+        : `Auto absent completed: ${result.markedAbsent} students marked absent, ${result.failed} failed`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error running auto absent:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to run auto absent',
+      error: error.message
+    });
+  }
+};
+
+// Get the late arrival policy
+export const getLatePolicy = async (req, res) => {
+  try {
+    const policy = await Attendance.getLatePolicy();
+    
+    return res.status(200).json({
+      status: 'success',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error getting late policy:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to get late policy',
+      error: error.message
+    });
+  }
+};
+
+// Configure the school start time and grace period used to classify late arrivals
+export const configureLatePolicy = async (req, res) => {
+  try {
+    const { schoolStartTime, gracePeriodMinutes } = req.body;
+    
+    // Validate time format (HH:MM)
+    if (schoolStartTime && !/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(schoolStartTime)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid school start time format. Must be in HH:MM format (24-hour)'
+      });
+    }
+    
+    const grace = gracePeriodMinutes !== undefined ? Number(gracePeriodMinutes) : undefined;
+    if (grace !== undefined && (!Number.isInteger(grace) || grace < 0 || grace > 240)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Grace period must be a whole number of minutes between 0 and 240'
+      });
+    }
+    
+    const changes = {};
+    if (schoolStartTime) changes.schoolStartTime = schoolStartTime;
+    if (grace !== undefined) changes.gracePeriodMinutes = grace;
+    
+    await Setting.setValue(LATE_POLICY_SETTINGS_KEY, changes, req.admin._id);
+    
+    return res.status(200).json({
+      status: 'success',
+      message: 'Late policy updated successfully',
+      data: await Attendance.getLatePolicy()
+    });
+  } catch (error) {
+    console.error('Error configuring late policy:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to configure late policy',
+      error: error.message
+    });
+  }
+};
+
+// Get the duplicate-scan and anti-passback rules
+export const getScanRulesConfig = async (req, res) => {
+  try {
+    return res.status(200).json({
+      status: 'success',
+      data: await getScanRules()
+    });
+  } catch (error) {
+    console.error('Error getting scan rules:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to get scan rules',
+      error: error.message
+    });
+  }
+};
+
+// Configure the minimum interval between scans and the minimum time on
+// campus before an exit counts
+export const configureScanRules = async (req, res) => {
+  try {
+    const limits = {
+      minScanIntervalSeconds: 3600,
+      minTimeOnCampusMinutes: 600
+    };
+    
+    const changes = {};
+    for (const [field, max] of Object.entries(limits)) {
+      if (req.body[field] === undefined) continue;
+      
+      const value = Number(req.body[field]);
+      if (!Number.isInteger(value) || value < 0 || value > max) {
+        return res.status(400).json({ 
+          status: 'error',
+          message: `${field} must be a whole number between 0 and ${max}`
+        });
+      }
+      changes[field] = value;
+    }
+    
+    await Setting.setValue(SCAN_RULES_SETTINGS_KEY, changes, req.admin._id);
     
     return res.status(200).json({
       status: 'success',
-      message: `Auto checkout completed: ${processed} students processed, ${failed} failed`,
-      data: {
-        processed,
-        failed,
-        timestamp: new Date()
-      }
+      message: 'Scan rules updated successfully',
+      data: await getScanRules()
     });
   } catch (error) {
-    console.error('Error running auto checkout:', error);
+    console.error('Error configuring scan rules:', error);
     return res.status(500).json({
       status: 'error',
-      message: 'Failed to run auto checkout',
+      message: 'Failed to configure scan rules',
       error: error.message
     });
   }
@@ -1383,18 +1799,20 @@ export const getAttendanceByDate = async (req, res) => {
     const { startOfDay, endOfDay } = getDateRange(date);
     logInfo(`Fetching attendance records for date: ${date}`);
 
-    const students = await Student.find({
-      "attendanceHistory": {
-        $elemMatch: {
-          date: {
-            $gte: startOfDay,
-            $lt: endOfDay
-          }
-        }
-      }
-    }).select('name indexNumber student_email attendanceHistory');
+    const records = await Attendance.find({
+      date: {
+        $gte: startOfDay,
+        $lt: endOfDay
+      },
+      ...(await getAttendanceScope(req))
+    })
+    .populate('student', 'name indexNumber student_email')
+    .lean();
 
-    if (!students || students.length === 0) {
+    // Skip records whose student no longer exists
+    const dateRecords = records.filter(record => record.student);
+
+    if (dateRecords.length === 0) {
       logInfo(`No attendance records found for date: ${date}`);
       return res.status(200).json({
         status: 'success',
@@ -1411,33 +1829,31 @@ export const getAttendanceByDate = async (req, res) => {
       });
     }
 
-    const processedStudents = students.map(student => {
-      const dateAttendance = student.attendanceHistory.find(record => {
-        const recordDate = DateTime.fromJSDate(record.date);
-        const targetDate = DateTime.fromJSDate(startOfDay);
-        return recordDate.hasSame(targetDate, 'day');
-      });
+    const processedStudents = dateRecords.map(dateAttendance => {
+      const student = dateAttendance.student;
 
       return {
         id: student._id,
         name: student.name,
         indexNumber: student.indexNumber.toUpperCase(), // Ensure uppercase as per memory
         email: student.student_email,
-        status: dateAttendance?.status || 'absent',
-        entryTime: dateAttendance?.entryTime || null,
-        leaveTime: dateAttendance?.leaveTime || null
+        status: dateAttendance.status || 'absent',
+        arrivalStatus: dateAttendance.arrivalStatus || null,
+        minutesLate: dateAttendance.minutesLate || 0,
+        entryTime: dateAttendance.entryTime || null,
+        leaveTime: dateAttendance.leaveTime || null
       };
     });
 
     const stats = processedStudents.reduce((acc, student) => {
       acc.totalCount++;
+      if (student.arrivalStatus === 'late') {
+        acc.lateCount++;
+      }
       switch(student.status) {
         case 'present':
           acc.presentCount++;
           break;
-        case 'late':
-          acc.lateCount++;
-          break;
         case 'absent':
           acc.absentCount++;
           break;
@@ -1509,6 +1925,12 @@ export const sendMessageToStudent = async (req, res) => {
       });
     }
 
+    setAuditContext(req, {
+      action: 'message.send',
+      target: student ? studentAuditTarget(student) : { type: 'phone', id: recipient },
+      details: { recipient, message }
+    });
+
     // Send the message using sendTextMessage
     const result = await sendTextMessage(recipient, message);
     
@@ -1568,12 +1990,14 @@ export const adminSendBulkMessages = async (req, res) => {
       });
     }
     
-    const { studentIds, message } = req.body;
+    const { studentIds, message, translations } = req.body;
+    const classFilter = req.classFilter || {};
+    const hasStudentIds = Array.isArray(studentIds) && studentIds.length > 0;
     
-    if (!studentIds || !Array.isArray(studentIds) || studentIds.length === 0) {
+    if (!hasStudentIds && !classFilter.schoolClass) {
       return res.status(400).json({ 
         success: false, 
-        message: 'At least one student ID is required' 
+        message: 'At least one student ID or a class is required' 
       });
     }
     
@@ -1583,54 +2007,48 @@ export const adminSendBulkMessages = async (req, res) => {
         message: 'Message content is required'
       });
     }
+
+    const translationProblem = validateTranslations(translations);
+    if (translationProblem) {
+      return res.status(400).json({ success: false, message: translationProblem });
+    }
     
-    // Find all selected students
-    const selectedStudents = await Student.find({ _id: { $in: studentIds } });
+    // Find all selected students, or every active student of the class
+    const studentQuery = hasStudentIds
+      ? { _id: { $in: studentIds }, ...classFilter }
+      : { status: 'active', ...classFilter };
+    const selectedStudents = await Student.find(studentQuery);
     
     if (!selectedStudents || selectedStudents.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'No students found with the provided IDs'
+        message: hasStudentIds ? 'No students found with the provided IDs' : 'No active students found in the class'
       });
     }
     
-    // Get list of phone numbers
-    const phoneNumbers = selectedStudents
-      .filter(student => student.parent_telephone)
-      .map(student => student.parent_telephone);
-
-    if (phoneNumbers.length === 0) {
+    // Only guardians who follow bulk messages are messaged
+    if (!selectedStudents.some(student => student.getGuardiansFor('bulk').length > 0)) {
       return res.status(400).json({
         success: false,
-        message: 'No valid phone numbers found for the selected students'
+        message: 'None of the selected students has a guardian to message'
       });
     }
 
-    // Send bulk messages
-    const result = await sendBulkMessages(phoneNumbers, message);
-    
-    // Record messages for successful sends
-    for (const student of selectedStudents) {
-      if (student.parent_telephone) {
-        const successfulSend = result.results.successful.find(
-          s => s.phone === student.parent_telephone
-        );
-        
-        if (successfulSend) {
-          student.messages = student.messages || [];
-          student.messages.push({
-            content: message,
-            sentAt: new Date(),
-            type: 'notification', // Changed from 'bulk' to 'notification'
-            status: 'sent',
-            messageId: successfulSend.messageId,
-            recipient: student.parent_telephone,
-            sentBy: req.admin ? req.admin._id : null
-          });
-          await student.save();
-        }
+    // Send bulk messages, the guardians' message histories are saved as they go
+    const result = await sendBulkGuardianMessages(selectedStudents, message, {
+      translations,
+      sentBy: req.admin ? req.admin._id : null
+    });
+    setAuditContext(req, {
+      action: 'message.bulk',
+      target: { type: 'students', id: classFilter.schoolClass || null, label: `${selectedStudents.length} students` },
+      details: {
+        message,
+        translations,
+        students: selectedStudents.map(student => student.indexNumber),
+        summary: result.summary
       }
-    }
+    });
     
     return res.status(200).json({
       success: true,
@@ -1647,7 +2065,8 @@ export const adminSendBulkMessages = async (req, res) => {
     });
   }
 };
-// Send an attendance notification to a student's parent
+// Send an attendance notification to the guardians of a student who follow
+// the new status, and keep it in the student's message history
 export const sendAttendanceNotification = async (studentId, status, timestamp) => {
   try {
     // Check WhatsApp client status
@@ -1672,57 +2091,24 @@ export const sendAttendanceNotification = async (studentId, status, timestamp) =
       };
     }
     
-    // Check if parent phone number exists
-    if (!student.parent_telephone) {
-      console.log(`No parent phone number available for student: ${student.name} (${student.indexNumber})`);
+    // Send WhatsApp messages to the guardians
+    const delivery = await notifyGuardiansOfAttendance(student, status, timestamp || new Date());
+
+    if (delivery.results.length === 0) {
       return { 
         success: false, 
-        error: 'No parent phone number available',
-        code: 'NO_PHONE_NUMBER' 
+        error: 'No guardian to notify',
+        code: 'NO_GUARDIAN' 
       };
     }
-    
-    // Format status for display
-    const displayStatus = status === 'entered' ? 'Entered School' : 
-                         status === 'left' ? 'Left School' : 
-                         status.charAt(0).toUpperCase() + status.slice(1);
-    
-    // Get current time if timestamp not provided
-    const scanTime = timestamp || new Date();
-    
-    // Create student data object for WhatsApp message
-    const studentData = {
-      name: student.name,
-      indexNumber: student.indexNumber,
-      student_email: student.student_email,
-      address: student.address,
-      parent_telephone: student.parent_telephone,
-      status: status,
-      timestamp: scanTime
-    };
-    
-    // Clean phone number
-    const phoneNumber = student.parent_telephone.replace(/\s+/g, '');
-    
-    // Send WhatsApp message
-    console.log(`Sending attendance notification to ${phoneNumber} for ${student.name}'s attendance (${displayStatus})`);
-    
-    // Send WhatsApp message with student data
-    const result = await sendAttendanceAlert(
-      phoneNumber,
-      studentData,
-      status,
-      scanTime
-    );
-    
-    // Log result for debugging
-    if (result.success) {
-      console.log(`WhatsApp notification sent successfully to ${phoneNumber} for ${student.name}'s attendance`);
+
+    if (delivery.success) {
+      await student.save({ validateBeforeSave: false });
     } else {
-      console.error(`Failed to send WhatsApp notification to ${phoneNumber}:`, result.error || 'Unknown error');
+      logWarning(`Failed to notify the guardians of ${student.name}: ${delivery.results.map(result => result.error || result.reason).join(', ')}`);
     }
     
-    return result;
+    return delivery;
   } catch (error) {
     console.error('Error sending attendance notification:', error);
     return { 
@@ -1734,7 +2120,9 @@ export const sendAttendanceNotification = async (studentId, status, timestamp) =
 };
 
 /**
- * Generate a stylish QR code for a student with pixel art dinosaur logo
+ * Serve a student's QR code image from the file store
+ * Shows the student's current signed credential, see reissueStudentQR
+ * to revoke it and issue a new one
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -1748,43 +2136,78 @@ export const generateStudentQRCode = async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
     
-    // Generate QR code data with secure hash
-    const qrCodeData = JSON.stringify({
-      id: student._id,
-      name: student.name,
-      indexNumber: student.indexNumber,
-      email: student.student_email,
-      timestamp: new Date().toISOString(),
-      secureHash: crypto.createHash('sha256')
-        .update(`${student._id}${student.indexNumber}${process.env.JWT_SECRET || 'qrattend-secret'}`)
-        .digest('hex').substring(0, 16)
-    });
-    
-    // Generate stylish QR code with dinosaur logo
-    const qrCode = await generateStylishQRCode(qrCodeData, {
-      errorCorrectionLevel: 'H',
-      margin: 1,
-      color: {
-        dark: '#000000',  // Black QR code
-        light: '#FFFFFF'  // White background
-      },
-      width: 400
-    });
-    
-    // Convert base64 data URL to buffer
-    const base64Data = qrCode.replace(/^data:image\/png;base64,/, '');
-    const imageBuffer = Buffer.from(base64Data, 'base64');
-    
-    // Set appropriate headers and send QR code image
-    res.set('Content-Type', 'image/png');
-    res.set('Content-Disposition', `inline; filename="qrcode-${student.indexNumber}.png"`);
-    return res.send(imageBuffer);
+    // Stored image of the current credential, issuing one if the student has none yet
+    const { file } = await ensureStudentQRCode(student);
+
+    // Stream the QR code image from the file store
+    return await sendStoredFile(req, res, file, { filename: `qrcode-${student.indexNumber}.png` });
   } catch (error) {
     console.error('Error generating student QR code:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     return res.status(500).json({ message: 'Failed to generate QR code', error: error.message });
   }
 };
 
+/**
+ * Issue a new signed QR credential for a student and re-render the code
+ * Cards printed before stop working, e.g. after a card was lost
+ */
+export const reissueStudentQR = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ status: 'error', message: 'Student not found' });
+    }
+
+    const qrCode = await reissueStudentQRCode(student);
+    logInfo(`QR credential of ${student.indexNumber} reissued (version ${student.qrCredential.version}) by ${req.admin.email}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'QR code reissued, previous cards are no longer valid',
+      data: {
+        studentId: student._id,
+        indexNumber: student.indexNumber,
+        credential: student.qrCredential,
+        qrCode
+      }
+    });
+  } catch (error) {
+    console.error('Error reissuing student QR code:', error);
+    return res.status(500).json({ status: 'error', message: 'Failed to reissue QR code', error: error.message });
+  }
+};
+
+/**
+ * Revoke a student's QR credential without issuing a new one
+ */
+export const revokeStudentQR = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ status: 'error', message: 'Student not found' });
+    }
+
+    await revokeStudentQRCode(student);
+    logInfo(`QR credential of ${student.indexNumber} revoked by ${req.admin.email}`);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'QR code revoked, reissue it to give the student a new card',
+      data: {
+        studentId: student._id,
+        indexNumber: student.indexNumber,
+        credential: student.qrCredential
+      }
+    });
+  } catch (error) {
+    console.error('Error revoking student QR code:', error);
+    return res.status(500).json({ status: 'error', message: 'Failed to revoke QR code', error: error.message });
+  }
+};
+
 // Utility functions for logging
 const logInfo = (message) => {
   console.log(`INFO: ${message}`);
@@ -1812,51 +2235,39 @@ export const getRecentAttendance = async (req, res) => {
       currentTime: now.toJSDate()
     });
 
-    // Find students with attendance records for today
-    const students = await Student.find({
-      "attendanceHistory": {
-        $elemMatch: {
-          date: {
-            $gte: startOfDay,
-            $lte: endOfDay
-          }
-        }
-      }
+    // Find attendance records for today
+    const records = await Attendance.find({
+      date: {
+        $gte: startOfDay,
+        $lte: endOfDay
+      },
+      ...(await getAttendanceScope(req))
     })
-    .select('name indexNumber student_email attendanceHistory status messages')
+    .populate('student', 'name indexNumber student_email status messages')
     .lean();
 
     // Process attendance records
-    const processedRecords = students.map(student => {
-      // Find today's attendance records
-      const todayRecords = student.attendanceHistory.filter(record => {
-        const recordDate = new Date(record.date);
-        return recordDate >= startOfDay && recordDate <= endOfDay;
-      });
-
-      // Get the most recent record
-      const latestRecord = todayRecords.length > 0 
-        ? todayRecords.reduce((latest, current) => {
-            return new Date(current.date) > new Date(latest.date) ? current : latest;
-          })
-        : null;
+    const processedRecords = records
+      .filter(record => record.student)
+      .map(latestRecord => {
+        const student = latestRecord.student;
 
-      // Format the record for display
-      return {
-        _id: student._id,
-        name: student.name,
-        indexNumber: student.indexNumber,
-        email: student.student_email,
-        status: latestRecord?.status || 'absent',
-        entryTime: latestRecord?.entryTime || null,
-        leaveTime: latestRecord?.leaveTime || null,
-        timestamp: latestRecord?.date || null,
-        // Include message status if available
-        messageStatus: student.messages?.length > 0 
-          ? student.messages[student.messages.length - 1].status 
-          : null
-      };
-    });
+        // Format the record for display
+        return {
+          _id: student._id,
+          name: student.name,
+          indexNumber: student.indexNumber,
+          email: student.student_email,
+          status: latestRecord.status || 'absent',
+          entryTime: latestRecord.entryTime || null,
+          leaveTime: latestRecord.leaveTime || null,
+          timestamp: latestRecord.leaveTime || latestRecord.entryTime || latestRecord.date,
+          // Include message status if available
+          messageStatus: student.messages?.length > 0 
+            ? student.messages[student.messages.length - 1].status 
+            : null
+        };
+      });
 
     // Sort by most recent activity
     const sortedRecords = processedRecords.sort((a, b) => {
@@ -1933,26 +2344,18 @@ export const generateDailyReport = async (req, res) => {
 
     console.log(`Generating daily report for ${date} from ${targetDate} to ${endOfDay}`);
 
-    // Get all students with their attendance history
-    const students = await Student.find().lean();
+    // Get all students and their attendance records for the date
+    const students = await Student.find({ ...req.classFilter }).lean();
+    const recordsByStudent = await Attendance.mapByStudent({
+      startDate: targetDate,
+      endDate: endOfDay,
+      overrides: getOverrideFilter(req)
+    });
     
     // Process student records similar to DashboardPage
     const processedStudents = students.map(student => {
       // Find attendance record for the specific date
-      const dateAttendance = student.attendanceHistory?.find(record => {
-        if (!record || !record.date) return false;
-        
-        // Parse the record date
-        let recordDate;
-        try {
-          recordDate = new Date(record.date);
-          if (isNaN(recordDate.getTime())) return false;
-        } catch (e) {
-          return false;
-        }
-        
-        return recordDate >= targetDate && recordDate <= endOfDay;
-      });
+      const dateAttendance = recordsByStudent.get(student._id.toString())?.[0];
 
       // Parse times safely like in Dashboard
       let entryTimeObj = null;
@@ -1980,8 +2383,10 @@ export const generateDailyReport = async (req, res) => {
         }
       }
       
-      // Normalize status for display like in Dashboard
-      const status = dateAttendance?.status?.toLowerCase() || 'absent';
+      // Normalize status for display like in Dashboard, late arrivals show as late for the day
+      const status = dateAttendance?.arrivalStatus === 'late'
+        ? 'late'
+        : dateAttendance?.status?.toLowerCase() || 'absent';
       
       // Handle student name combining all possible variations like Dashboard
       let studentName;
@@ -2009,7 +2414,8 @@ export const generateDailyReport = async (req, res) => {
         status: status,
         entryTime: entryTimeObj,
         leaveTime: leaveTimeObj,
-        date: targetDate
+        date: targetDate,
+        override: dateAttendance?.override?.reasonLabel || null
       };
     });
 
@@ -2059,16 +2465,15 @@ export const generateWeeklyReport = async (req, res) => {
     const weekEnd = targetDate.endOf('week').toJSDate();
 
     // Get all students with attendance records for the week
+    const recordsByStudent = await Attendance.mapByStudent({
+      startDate: weekStart,
+      endDate: weekEnd,
+      overrides: getOverrideFilter(req)
+    });
     const students = await Student.find({
-      "attendanceHistory": {
-        $elemMatch: {
-          date: {
-            $gte: weekStart,
-            $lte: weekEnd
-          }
-        }
-      }
-    }).select('name indexNumber student_email attendanceHistory').lean();
+      _id: { $in: [...recordsByStudent.keys()] },
+      ...req.classFilter
+    }).select('name indexNumber student_email').lean();
 
     if (!students || students.length === 0) {
       return res.status(404).json({
@@ -2077,17 +2482,19 @@ export const generateWeeklyReport = async (req, res) => {
       });
     }
 
+    // Measure attendance against the school days of the week
+    const schoolDays = await AcademicYear.getSchoolDays(weekStart, weekEnd);
+    const schoolDayTimes = new Set(schoolDays.map(day => day.getTime()));
+    const totalDays = schoolDays.length;
+
     // Process student records
     const processedStudents = students.map(student => {
-      const weekAttendance = student.attendanceHistory.filter(record => {
-        const recordDate = DateTime.fromJSDate(record.date);
-        return recordDate >= weekStart && recordDate <= weekEnd;
-      });
+      const weekAttendance = (recordsByStudent.get(student._id.toString()) || [])
+        .filter(r => schoolDayTimes.has(new Date(r.date).getTime()));
 
-      const daysPresent = weekAttendance.filter(r => r.status === 'present' || r.status === 'entered').length;
-      const daysAbsent = weekAttendance.filter(r => r.status === 'absent').length;
-      const daysLate = weekAttendance.filter(r => r.status === 'late').length;
-      const totalDays = 5; // Assuming 5 working days per week
+      const daysPresent = weekAttendance.filter(r => r.status !== 'absent').length;
+      const daysAbsent = Math.max(0, totalDays - daysPresent);
+      const lateDays = weekAttendance.filter(r => r.arrivalStatus === 'late').length;
 
       return {
         name: student.name || 'N/A',
@@ -2097,8 +2504,8 @@ export const generateWeeklyReport = async (req, res) => {
         weekEnd: weekEnd,
         daysPresent,
         daysAbsent,
-        daysLate,
-        attendanceRate: (daysPresent / totalDays) * 100
+        lateDays,
+        attendanceRate: totalDays > 0 ? (daysPresent / totalDays) * 100 : 0
       };
     });
 
@@ -2146,16 +2553,15 @@ export const generateMonthlyReport = async (req, res) => {
     const monthEnd = targetDate.endOf('month').toJSDate();
 
     // Get all students with attendance records for the month
+    const recordsByStudent = await Attendance.mapByStudent({
+      startDate: monthStart,
+      endDate: monthEnd,
+      overrides: getOverrideFilter(req)
+    });
     const students = await Student.find({
-      "attendanceHistory": {
-        $elemMatch: {
-          date: {
-            $gte: monthStart,
-            $lte: monthEnd
-          }
-        }
-      }
-    }).select('name indexNumber student_email attendanceHistory').lean();
+      _id: { $in: [...recordsByStudent.keys()] },
+      ...req.classFilter
+    }).select('name indexNumber student_email').lean();
 
     if (!students || students.length === 0) {
       return res.status(404).json({
@@ -2164,17 +2570,19 @@ export const generateMonthlyReport = async (req, res) => {
       });
     }
 
+    // Measure attendance against the school days of the month
+    const schoolDays = await AcademicYear.getSchoolDays(monthStart, monthEnd);
+    const schoolDayTimes = new Set(schoolDays.map(day => day.getTime()));
+    const totalDays = schoolDays.length;
+
     // Process student records
     const processedStudents = students.map(student => {
-      const monthAttendance = student.attendanceHistory.filter(record => {
-        const recordDate = DateTime.fromJSDate(record.date);
-        return recordDate >= monthStart && recordDate <= monthEnd;
-      });
+      const monthAttendance = (recordsByStudent.get(student._id.toString()) || [])
+        .filter(r => schoolDayTimes.has(new Date(r.date).getTime()));
 
-      const daysPresent = monthAttendance.filter(r => r.status === 'present' || r.status === 'entered').length;
-      const daysAbsent = monthAttendance.filter(r => r.status === 'absent').length;
-      const daysLate = monthAttendance.filter(r => r.status === 'late').length;
-      const totalDays = monthAttendance.length;
+      const daysPresent = monthAttendance.filter(r => r.status !== 'absent').length;
+      const daysAbsent = Math.max(0, totalDays - daysPresent);
+      const lateDays = monthAttendance.filter(r => r.arrivalStatus === 'late').length;
 
       // Calculate average duration
       const totalDuration = monthAttendance.reduce((sum, record) => {
@@ -2194,8 +2602,8 @@ export const generateMonthlyReport = async (req, res) => {
         month: targetDate.toFormat('MMMM yyyy'),
         daysPresent,
         daysAbsent,
-        daysLate,
-        attendanceRate: (daysPresent / totalDays) * 100,
+        lateDays,
+        attendanceRate: totalDays > 0 ? (daysPresent / totalDays) * 100 : 0,
         averageDuration: daysPresent > 0 ? totalDuration / daysPresent : 0
       };
     });
@@ -2244,39 +2652,36 @@ export const generateIndividualReport = async (req, res) => {
     const monthEnd = targetDate.endOf('month').toJSDate();
 
     // Get student with attendance records for the month
-    const student = await Student.findOne({
-      _id: studentId,
-      "attendanceHistory": {
-        $elemMatch: {
-          date: {
-            $gte: monthStart,
-            $lte: monthEnd
-          }
-        }
-      }
-    }).select('name indexNumber student_email attendanceHistory').lean();
+    const student = await Student.findById(studentId)
+      .select('name indexNumber student_email')
+      .lean();
 
-    if (!student) {
+    const monthAttendance = student
+      ? await Attendance.findInRange({
+          students: [student],
+          startDate: monthStart,
+          endDate: monthEnd,
+          overrides: getOverrideFilter(req)
+        })
+      : [];
+
+    if (!student || monthAttendance.length === 0) {
       return res.status(404).json({
         status: 'error',
         message: 'Student not found or no attendance records for the specified month'
       });
     }
 
-    // Process attendance records
-    const monthAttendance = student.attendanceHistory.filter(record => {
-      const recordDate = DateTime.fromJSDate(record.date);
-      return recordDate >= monthStart && recordDate <= monthEnd;
-    });
-
     const processedRecords = monthAttendance.map(record => ({
       name: student.name || 'N/A',
       indexNumber: student.indexNumber || 'N/A',
       student_email: student.student_email || 'N/A',
       date: record.date,
-      status: record.status || 'absent',
+      // Late arrivals show as late for the day, like the daily report
+      status: record.arrivalStatus === 'late' ? 'late' : record.status || 'absent',
       entryTime: record.entryTime || null,
       leaveTime: record.leaveTime || null,
+      override: record.override?.reasonLabel || null,
       duration: record.entryTime && record.leaveTime ? 
         DateTime.fromJSDate(record.leaveTime)
           .diff(DateTime.fromJSDate(record.entryTime), 'hours')
@@ -2407,21 +2812,17 @@ export const getDailyReportPreview = async (req, res) => {
     console.log(`Getting daily report preview for date range: ${startDate} to ${endDate}`);
     console.log(`Converted date range: ${startOfDay} to ${endOfDay}`);
     
-    // Find students with attendance history for the specified date
-    const students = await Student.find({
-      "attendanceHistory.date": {
-        $gte: startOfDay,
-        $lte: endOfDay
-      }
-    })
-    .select('name indexNumber student_email attendanceHistory status')
+    // Find students with attendance records for the specified date
+    const studentIds = await Attendance.studentIdsInRange(startOfDay, endOfDay);
+    const students = await Student.find({ _id: { $in: studentIds }, ...req.classFilter })
+    .select('name indexNumber student_email status')
     .sort({ indexNumber: 1 })
     .limit(Number(limit));
     
     // If no students with attendance found, get any students
     if (!students || students.length === 0) {
-      const anyStudents = await Student.find()
-        .select('name indexNumber student_email attendanceHistory status')
+      const anyStudents = await Student.find({ ...req.classFilter })
+        .select('name indexNumber student_email status')
         .sort({ indexNumber: 1 })
         .limit(Number(limit));
         
@@ -2442,7 +2843,7 @@ export const getDailyReportPreview = async (req, res) => {
         leaveTime: null,
         student_email: student.student_email,
         date: startOfDay,
-        attendanceHistory: student.attendanceHistory || [] // Include full attendance history
+        attendanceHistory: [] // No records in the requested range
       }));
       
       // Set headers to preserve MongoDB format
@@ -2457,26 +2858,37 @@ export const getDailyReportPreview = async (req, res) => {
       return;
     }
     
+    // Load only the records in the requested range
+    const recordsByStudent = await Attendance.mapByStudent({
+      students,
+      startDate: startOfDay,
+      endDate: endOfDay,
+      overrides: getOverrideFilter(req)
+    });
+    
     // Process student data with MongoDB format preservation
     const previewData = students.map(student => {
+      const attendanceHistory = recordsByStudent.get(student._id.toString()) || [];
+
       // Find attendance record for the specific date
-      const attendanceRecord = student.attendanceHistory.find(record => {
-        const recordDate = new Date(record.date);
-        return recordDate >= startOfDay && recordDate <= endOfDay;
-      });
+      const attendanceRecord = attendanceHistory[0];
       
       let status = 'Absent';
       let entryTime = null;
       let leaveTime = null;
+      let minutesLate = 0;
+      let override = null;
       
       if (attendanceRecord) {
         // Set status based on attendance record
-        status = attendanceRecord.status === 'entered' ? 'Present' : 
+        status = attendanceRecord.status === 'absent' ? 'Absent' : 
                 attendanceRecord.status === 'left' ? 'Left' : 
-                attendanceRecord.status === 'late' ? 'Late' : 'Absent';
+                attendanceRecord.arrivalStatus === 'late' ? 'Late' : 'Present';
         
         entryTime = attendanceRecord.entryTime;
         leaveTime = attendanceRecord.leaveTime;
+        minutesLate = attendanceRecord.minutesLate || 0;
+        override = attendanceRecord.override || null;
                 
         console.log(`Found record for ${student.name}:`, {
           status: attendanceRecord.status,
@@ -2492,9 +2904,12 @@ export const getDailyReportPreview = async (req, res) => {
         status,
         entryTime,
         leaveTime,
+        minutesLate,
+        overridden: Boolean(override),
+        override,
         student_email: student.student_email,
         date: startOfDay,
-        attendanceHistory: student.attendanceHistory || [] // Include full attendance history
+        attendanceHistory // Attendance records within the requested range
       };
     });
     
@@ -2542,27 +2957,25 @@ export const getWeeklyReportPreview = async (req, res) => {
       });
     }
     
-    // Set time to start and end of day
-    start.setUTCHours(0, 0, 0, 0);
-    end.setUTCHours(23, 59, 59, 999);
+    // Set time to start and end of day, the days Attendance.date records use
+    start.setTime(startOfDay(start).getTime());
+    end.setTime(endOfDay(end).getTime());
     
-    // Calculate total days in date range
-    const totalDays = Math.round((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    // Only school days in the date range count
+    const schoolDays = await AcademicYear.getSchoolDays(start, end);
+    const schoolDayTimes = new Set(schoolDays.map(day => day.getTime()));
+    const totalDays = schoolDays.length;
     
     // Find students with attendance records in the date range
-    const students = await Student.find({
-      'attendanceHistory.date': {
-        $gte: start,
-        $lte: end
-      }
-    })
-    .select('name indexNumber student_email attendanceHistory status')
+    const studentIds = await Attendance.studentIdsInRange(start, end);
+    const students = await Student.find({ _id: { $in: studentIds }, ...req.classFilter })
+    .select('name indexNumber student_email status')
     .sort({ indexNumber: 1 })
     .limit(parseInt(limit));
     
     if (!students || students.length === 0) {
       // If no students with attendance, get a sample of students
-      const anyStudents = await Student.find()
+      const anyStudents = await Student.find({ ...req.classFilter })
         .select('name indexNumber student_email status')
         .sort({ indexNumber: 1 })
         .limit(parseInt(limit));
@@ -2596,23 +3009,35 @@ export const getWeeklyReportPreview = async (req, res) => {
       });
     }
     
+    // Load the records in the date range for these students
+    const recordsByStudent = await Attendance.mapByStudent({
+      students,
+      startDate: start,
+      endDate: end,
+      overrides: getOverrideFilter(req)
+    });
+    
     // Process student data to calculate weekly attendance stats
     const processedStudents = students.map(student => {
-      // Filter attendance records within the date range
-      const recordsInRange = student.attendanceHistory.filter(record => {
-        const recordDate = new Date(record.date);
-        return recordDate >= start && recordDate <= end;
-      });
+      // Attendance records within the date range
+      const recordsInRange = recordsByStudent.get(student._id.toString()) || [];
       
       // Count unique days present using Set to avoid duplicates
       const uniqueDaysPresent = new Set();
+      let lateDays = 0;
       
       recordsInRange.forEach(record => {
-        if (record.status === 'entered' || record.status === 'left' || record.status === 'late') {
+        if (!schoolDayTimes.has(new Date(record.date).getTime())) return;
+        
+        if (record.status === 'entered' || record.status === 'left' || record.status === 'present') {
           // Use date string as key for the Set
           const dateString = new Date(record.date).toISOString().split('T')[0];
           uniqueDaysPresent.add(dateString);
         }
+        
+        if (record.arrivalStatus === 'late') {
+          lateDays++;
+        }
       });
       
       const daysPresent = uniqueDaysPresent.size;
@@ -2625,7 +3050,8 @@ export const getWeeklyReportPreview = async (req, res) => {
         email: student.student_email || 'N/A',
         daysPresent,
         daysAbsent,
-        attendanceRate
+        attendanceRate,
+        lateDays
       };
     });
     
@@ -2664,27 +3090,25 @@ export const getMonthlyReportPreview = async (req, res) => {
       });
     }
     
-    // Set time to start and end of day
-    start.setUTCHours(0, 0, 0, 0);
-    end.setUTCHours(23, 59, 59, 999);
+    // Set time to start and end of day, the days Attendance.date records use
+    start.setTime(startOfDay(start).getTime());
+    end.setTime(endOfDay(end).getTime());
     
-    // Calculate total days in date range
-    const totalDays = Math.round((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    // Only school days in the date range count
+    const schoolDays = await AcademicYear.getSchoolDays(start, end);
+    const schoolDayTimes = new Set(schoolDays.map(day => day.getTime()));
+    const totalDays = schoolDays.length;
     
     // Find students with attendance records in the date range
-    const students = await Student.find({
-      'attendanceHistory.date': {
-        $gte: start,
-        $lte: end
-      }
-    })
-    .select('name indexNumber student_email attendanceHistory status')
+    const studentIds = await Attendance.studentIdsInRange(start, end);
+    const students = await Student.find({ _id: { $in: studentIds }, ...req.classFilter })
+    .select('name indexNumber student_email status')
     .sort({ indexNumber: 1 })
     .limit(parseInt(limit));
     
     if (!students || students.length === 0) {
       // If no students with attendance, get a sample of students
-      const anyStudents = await Student.find()
+      const anyStudents = await Student.find({ ...req.classFilter })
         .select('name indexNumber student_email status')
         .sort({ indexNumber: 1 })
         .limit(parseInt(limit));
@@ -2723,30 +3147,34 @@ export const getMonthlyReportPreview = async (req, res) => {
     // Get month and year from the date range for display
     const month = start.toLocaleString('default', { month: 'long', year: 'numeric' });
     
+    // Load the records in the date range for these students
+    const recordsByStudent = await Attendance.mapByStudent({
+      students,
+      startDate: start,
+      endDate: end,
+      overrides: getOverrideFilter(req)
+    });
+    
     // Process student data to calculate monthly attendance stats
     const processedStudents = students.map(student => {
-      // Filter attendance records within the date range
-      const recordsInRange = student.attendanceHistory.filter(record => {
-        const recordDate = new Date(record.date);
-        return recordDate >= start && recordDate <= end;
-      });
+      // Attendance records within the date range
+      const recordsInRange = recordsByStudent.get(student._id.toString()) || [];
       
       // Count unique days present and late days
       const uniqueDaysPresent = new Set();
       let lateDays = 0;
       
       recordsInRange.forEach(record => {
-        if (record.status === 'entered' || record.status === 'left') {
+        if (!schoolDayTimes.has(new Date(record.date).getTime())) return;
+        
+        if (record.status === 'entered' || record.status === 'left' || record.status === 'present') {
           // Use date string as key for the Set
           const dateString = new Date(record.date).toISOString().split('T')[0];
           uniqueDaysPresent.add(dateString);
         }
         
-        if (record.status === 'late') {
+        if (record.arrivalStatus === 'late') {
           lateDays++;
-          // Also count late days as present
-          const dateString = new Date(record.date).toISOString().split('T')[0];
-          uniqueDaysPresent.add(dateString);
         }
       });
       
@@ -2808,9 +3236,9 @@ export const getIndividualReportPreview = async (req, res) => {
       });
     }
     
-    // Set time to start and end of day
-    start.setUTCHours(0, 0, 0, 0);
-    end.setUTCHours(23, 59, 59, 999);
+    // Set time to start and end of day, the days Attendance.date records use
+    start.setTime(startOfDay(start).getTime());
+    end.setTime(endOfDay(end).getTime());
     
     // Find the student
     const student = await Student.findById(studentId);
@@ -2822,22 +3250,28 @@ export const getIndividualReportPreview = async (req, res) => {
       });
     }
     
-    // Filter attendance records for the date range
-    const attendanceRecords = student.attendanceHistory
-      .filter(record => {
-        const recordDate = new Date(record.date);
-        return recordDate >= start && recordDate <= end;
-      })
+    // Load attendance records for the date range
+    const recordsInRange = await Attendance.findInRange({
+      students: [student],
+      startDate: start,
+      endDate: end,
+      overrides: getOverrideFilter(req)
+    });
+
+    const attendanceRecords = recordsInRange
       .map(record => {
         // Format the record for display
       return {
           date: record.date,
-          status: record.status === 'entered' ? 'Present' : 
+          status: record.status === 'absent' ? 'Absent' : 
                  record.status === 'left' ? 'Left' : 
-                 record.status === 'late' ? 'Late' : 'Absent',
+                 record.arrivalStatus === 'late' ? 'Late' : 'Present',
+          minutesLate: record.minutesLate || 0,
           entryTime: record.entryTime,
           leaveTime: record.leaveTime,
-          scanLocation: record.scanLocation || 'Main Entrance'
+          scanLocation: record.scanLocation || 'Main Entrance',
+          overridden: Boolean(record.override),
+          override: record.override || null
       };
     })
     .sort((a, b) => new Date(b.date) - new Date(a.date))
@@ -2868,6 +3302,10 @@ export const getIndividualReportPreview = async (req, res) => {
   }
 };
 
+/**
+ * Delete a student's whole attendance history, superadmins only
+ * Body: reason. Every record is kept as an approved removal correction.
+ */
 export const clearStudentAttendanceHistory = async (req, res) => {
   try {
     const { studentId } = req.params;
@@ -2889,15 +3327,35 @@ export const clearStudentAttendanceHistory = async (req, res) => {
       });
     }
 
-    // Save original count for response
-    const originalCount = student.attendanceHistory.length;
-    
-    // Use the new model method to clear attendance history
-    await student.clearAttendanceHistory();
+    setAuditContext(req, {
+      action: 'attendance.clear',
+      target: studentAuditTarget(student),
+      before: {
+        attendanceCount: student.attendanceCount,
+        attendancePercentage: student.attendancePercentage,
+        lastAttendance: student.lastAttendance,
+        records: await Attendance.countDocuments({ student: student._id })
+      }
+    });
+
+    // Keeps the removed records as corrections, then clears the history
+    const { deletedCount } = await deleteAttendanceRecords(student, {
+      all: true,
+      reason: req.body?.reason,
+      admin: req.admin
+    });
+    setAuditContext(req, {
+      after: {
+        attendanceCount: student.attendanceCount,
+        attendancePercentage: student.attendancePercentage,
+        lastAttendance: student.lastAttendance,
+        records: 0
+      }
+    });
     
     return res.status(200).json({
       status: 'success',
-      message: `Successfully cleared ${originalCount} attendance records`,
+      message: `Successfully cleared ${deletedCount} attendance records`,
       data: {
         student: {
           id: student._id,
@@ -2909,6 +3367,9 @@ export const clearStudentAttendanceHistory = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
     console.error('Error clearing student attendance history:', error);
     return res.status(500).json({
       status: 'error',
@@ -2918,6 +3379,10 @@ export const clearStudentAttendanceHistory = async (req, res) => {
   }
 };
 
+/**
+ * Delete one attendance record, superadmins only
+ * Body: reason. The record is kept as an approved removal correction.
+ */
 export const deleteAttendanceRecord = async (req, res) => {
   try {
     const { studentId, recordId } = req.params;
@@ -2939,9 +3404,19 @@ export const deleteAttendanceRecord = async (req, res) => {
       });
     }
     
-    // Use the new model method to delete the record
+    // Keeps the record as a correction, then deletes it
     try {
-      const { deletedRecord, updatedStudent } = await student.deleteAttendanceRecord(recordId);
+      const { deletedRecord } = await deleteAttendanceRecords(student, {
+        recordId,
+        reason: req.body?.reason,
+        admin: req.admin
+      });
+      setAuditContext(req, {
+        action: 'attendance.delete',
+        target: { type: 'attendance', id: deletedRecord._id, label: student.indexNumber },
+        before: deletedRecord,
+        after: null
+      });
       
       return res.status(200).json({
         status: 'success',
@@ -2953,19 +3428,20 @@ export const deleteAttendanceRecord = async (req, res) => {
             status: deletedRecord.status
           },
           student: {
-            id: updatedStudent._id,
-            name: updatedStudent.name,
-            indexNumber: updatedStudent.indexNumber,
-            attendanceCount: updatedStudent.attendanceCount,
-            attendancePercentage: updatedStudent.attendancePercentage,
-            attendanceHistoryCount: updatedStudent.attendanceHistory.length
+            id: student._id,
+            name: student.name,
+            indexNumber: student.indexNumber,
+            attendanceCount: student.attendanceCount,
+            attendancePercentage: student.attendancePercentage,
+            attendanceHistoryCount: await Attendance.countDocuments({ student: student._id })
           }
         }
       });
-    } catch (modelError) {
-      return res.status(404).json({
+    } catch (deleteError) {
+      if (!deleteError.isOperational) throw deleteError;
+      return res.status(deleteError.statusCode).json({
         status: 'error',
-        message: modelError.message
+        message: deleteError.message
       });
     }
   } catch (error) {
@@ -2990,6 +3466,13 @@ export const getStudentAttendanceHistory = async (req, res) => {
       });
     }
 
+    if ([startDate, endDate].some(date => date && Number.isNaN(startOfDay(date).getTime()))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start and end dates must be valid dates'
+      });
+    }
+
     // Find the student
     const student = await Student.findById(studentId);
     
@@ -3000,8 +3483,8 @@ export const getStudentAttendanceHistory = async (req, res) => {
       });
     }
     
-    // Use the new model method to get filtered attendance history
-    const { records, totalRecords, stats } = student.getFilteredAttendanceHistory({
+    // Use the model method to get filtered attendance history
+    const { records, totalRecords, stats } = await student.getFilteredAttendanceHistory({
       startDate,
       endDate,
       limit,
@@ -3009,6 +3492,27 @@ export const getStudentAttendanceHistory = async (req, res) => {
       sortBy,
       sortOrder
     });
+
+    // Correction requests of the period, decided or not, so reviewers see the
+    // whole trail. Applied ones are also kept on the record itself
+    const correctionQuery = { student: student._id };
+    if (startDate || endDate) {
+      correctionQuery.date = {};
+      if (startDate) correctionQuery.date.$gte = startOfDay(startDate);
+      if (endDate) correctionQuery.date.$lte = startOfDay(endDate);
+    }
+    const correctionRequests = await AttendanceCorrection.find(correctionQuery)
+      .populate('requestedBy', 'name email')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    records.forEach(record => {
+      record.correctionRequests = correctionRequests.filter(
+        request => request.date.getTime() === record.date.getTime()
+      );
+      record.corrected = record.corrections?.length > 0;
+    });
     
     // Return the attendance history
     return res.status(200).json({
@@ -3021,6 +3525,7 @@ export const getStudentAttendanceHistory = async (req, res) => {
           email: student.student_email
         },
         attendanceHistory: records,
+        correctionRequests,
         totalRecords,
         stats
       }
@@ -3033,4 +3538,102 @@ export const getStudentAttendanceHistory = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+// List absence explanations submitted by students, pending ones by default
+export const getAbsenceExplanations = async (req, res) => {
+  try {
+    const { status = 'pending', startDate, endDate } = req.query;
+
+    const query = {
+      absenceExplanation: { $ne: null },
+      ...(await getAttendanceScope(req))
+    };
+    if (status !== 'all') {
+      query['absenceExplanation.status'] = status;
+    }
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const records = await Attendance.find(query)
+      .populate('student', 'name indexNumber schoolClass')
+      .populate('absenceExplanation.reviewedBy', 'name email')
+      .sort({ 'absenceExplanation.submittedAt': -1 })
+      .lean();
+
+    return res.status(200).json({
+      status: 'success',
+      results: records.length,
+      data: records.filter(record => record.student).map(record => ({
+        recordId: record._id,
+        date: record.date,
+        student: record.student,
+        absenceExplanation: record.absenceExplanation
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching absence explanations:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch absence explanations',
+      error: error.message
+    });
+  }
+};
+
+// Accept or reject a student's absence explanation
+export const reviewAbsenceExplanation = async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const { status, note } = req.body;
+
+    if (!['accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Status must be either accepted or rejected'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(recordId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid attendance record id'
+      });
+    }
+
+    const record = await Attendance.findById(recordId);
+    const inScope = record && await Student.exists({ _id: record.student, ...req.classFilter });
+
+    if (!record || !record.absenceExplanation || !inScope) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Absence explanation not found'
+      });
+    }
+
+    record.absenceExplanation.status = status;
+    record.absenceExplanation.reviewNote = note || null;
+    record.absenceExplanation.reviewedBy = req.admin._id;
+    record.absenceExplanation.reviewedAt = new Date();
+    await record.save();
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Absence explanation ${status}`,
+      data: {
+        recordId: record._id,
+        date: record.date,
+        absenceExplanation: record.absenceExplanation
+      }
+    });
+  } catch (error) {
+    console.error('Error reviewing absence explanation:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to review absence explanation',
+      error: error.message
+    });
+  }
+};
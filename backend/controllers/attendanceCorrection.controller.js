@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import Student from '../models/student.model.js';
+import AttendanceCorrection from '../models/attendanceCorrection.model.js';
+import {
+  createCorrectionRequest,
+  reviewCorrectionRequest
+} from '../services/attendanceCorrectionService.js';
+import { sendStoredFile } from '../services/fileStore.js';
+import { setAuditContext } from '../services/auditService.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+/**
+ * Send the right status for correction errors
+ * AppErrors carry their own status, anything else is ours
+ */
+const sendCorrectionError = (res, error, message) => {
+  // A failed attachment download cannot send an error body any more
+  if (res.headersSent) {
+    logError(`${message}: ${error.message}`);
+    return res.destroy(error);
+  }
+
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+
+  const isClientError = error.name === 'ValidationError' || error.name === 'CastError';
+  if (!isClientError) {
+    logError(`${message}: ${error.message}`);
+  }
+
+  res.status(isClientError ? 400 : 500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Load a correction by the :id route parameter, within the caller's classes
+ * Sends a 400 or 404 and returns null when it cannot be used
+ */
+const findCorrection = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid correction id' });
+    return null;
+  }
+
+  const correction = await AttendanceCorrection.findById(req.params.id);
+  const inScope = correction && await Student.exists({ _id: correction.student, ...req.classFilter });
+
+  if (!correction || !inScope) {
+    res.status(404).json({ success: false, message: 'Correction request not found' });
+    return null;
+  }
+
+  return correction;
+};
+
+/**
+ * Ask for a correction of one day of a student's attendance
+ * Multipart or JSON: recordId or date, status, entryTime, leaveTime, reason
+ * and an optional attachment file
+ */
+export const requestAttendanceCorrection = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    const correction = await createCorrectionRequest(student, req.body, req.file, req.admin);
+    setAuditContext(req, {
+      action: 'attendance.correction.request',
+      target: { type: 'attendanceCorrection', id: correction._id, label: student.indexNumber },
+      after: correction
+    });
+    logInfo(`Attendance correction requested for ${student.indexNumber} by ${req.admin.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Correction requested, another admin has to approve it',
+      data: correction
+    });
+  } catch (error) {
+    sendCorrectionError(res, error, 'Error requesting attendance correction');
+  }
+};
+
+/**
+ * List correction requests, pending ones by default, newest first
+ * Filters: status (pending, approved, rejected or all), studentId,
+ * startDate, endDate on the corrected day
+ */
+export const getAttendanceCorrections = async (req, res) => {
+  try {
+    const { status = 'pending', studentId, startDate, endDate } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const students = await Student.find({
+      ...req.classFilter,
+      ...(studentId ? { _id: studentId } : {})
+    }).distinct('_id');
+    query.student = { $in: students };
+
+    const corrections = await AttendanceCorrection.find(query)
+      .populate('student', 'name indexNumber schoolClass')
+      .populate('requestedBy', 'name email')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: corrections.length,
+      data: corrections
+    });
+  } catch (error) {
+    sendCorrectionError(res, error, 'Error fetching attendance corrections');
+  }
+};
+
+/**
+ * Download the document attached to a correction request
+ */
+export const downloadCorrectionAttachment = async (req, res) => {
+  try {
+    const correction = await findCorrection(req, res);
+    if (!correction) return;
+
+    if (!correction.attachment?.key) {
+      return res.status(404).json({ success: false, message: 'This correction has no attachment' });
+    }
+
+    await sendStoredFile(req, res, correction.attachment, {
+      filename: correction.attachment.filename,
+      maxAge: 3600
+    });
+  } catch (error) {
+    sendCorrectionError(res, error, 'Error downloading correction attachment');
+  }
+};
+
+const reviewCorrection = async (req, res, decision) => {
+  const correction = await findCorrection(req, res);
+  if (!correction) return;
+
+  const result = await reviewCorrectionRequest(correction._id, {
+    decision,
+    note: req.body?.note,
+    reviewer: req.admin
+  });
+
+  const applied = result.record?.corrections?.at(-1)?.toObject();
+  setAuditContext(req, {
+    action: `attendance.correction.${decision === 'approved' ? 'approve' : 'reject'}`,
+    target: { type: 'attendance', id: result.record?._id || correction.attendance },
+    before: applied ? applied.from : null,
+    after: applied ? applied.to : null,
+    details: { correction: correction._id, note: req.body?.note || null }
+  });
+  logInfo(`Attendance correction ${correction._id} ${decision} by ${req.admin.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: `Correction ${decision}`,
+    data: {
+      correction: result.correction,
+      record: result.record
+    }
+  });
+};
+
+/**
+ * Approve a correction and apply it to the attendance record
+ * Body: note (optional)
+ */
+export const approveAttendanceCorrection = async (req, res) => {
+  try {
+    await reviewCorrection(req, res, 'approved');
+  } catch (error) {
+    sendCorrectionError(res, error, 'Error approving attendance correction');
+  }
+};
+
+/**
+ * Reject a correction, the attendance record stays as it is
+ * Body: note (optional)
+ */
+export const rejectAttendanceCorrection = async (req, res) => {
+  try {
+    await reviewCorrection(req, res, 'rejected');
+  } catch (error) {
+    sendCorrectionError(res, error, 'Error rejecting attendance correction');
+  }
+};
@@ -0,0 +1,100 @@
+import Student from '../models/student.model.js';
+import Attendance, { OVERRIDE_REASONS_SETTINGS_KEY } from '../models/attendance.model.js';
+import Setting from '../models/setting.model.js';
+import {
+  recordAttendanceOverride,
+  validateOverrideReasons,
+  normalizeOverrideReasons
+} from '../services/attendanceOverrideService.js';
+import { setAuditContext } from '../services/auditService.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+/**
+ * Send the right status for override errors
+ * AppErrors carry their own status, anything else is ours
+ */
+const sendOverrideError = (res, error, message) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+
+  const isClientError = error.name === 'ValidationError' || error.name === 'CastError';
+  if (!isClientError) {
+    logError(`${message}: ${error.message}`);
+  }
+
+  res.status(isClientError ? 400 : 500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Record a day of a student's attendance by hand
+ * Body: date, reasonCode, entryTime, leaveTime, status (worked out from the
+ * times when left out), note and verifiedBy
+ */
+export const overrideStudentAttendance = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    const record = await recordAttendanceOverride(student, req.body, req.admin);
+    const { previous } = record.override.toObject();
+    setAuditContext(req, {
+      action: 'attendance.override',
+      target: { type: 'attendance', id: record._id, label: student.indexNumber },
+      before: previous?.status ? previous : null,
+      after: { status: record.status, entryTime: record.entryTime, leaveTime: record.leaveTime },
+      details: { reasonCode: record.override.reasonCode, note: record.override.note, verifiedBy: record.verifiedBy }
+    });
+    logInfo(`Attendance of ${student.indexNumber} overridden (${record.override.reasonCode}) by ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance recorded',
+      data: record
+    });
+  } catch (error) {
+    sendOverrideError(res, error, 'Error recording attendance override');
+  }
+};
+
+/**
+ * Get the reason codes staff choose from when overriding attendance
+ */
+export const getOverrideReasonsConfig = async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await Attendance.getOverrideReasons() });
+  } catch (error) {
+    sendOverrideError(res, error, 'Error fetching override reasons');
+  }
+};
+
+/**
+ * Replace the reason code list
+ * Body: reasons, [{ code, label, requiresNote }]. Existing records keep the
+ * label they were recorded with.
+ */
+export const configureOverrideReasons = async (req, res) => {
+  try {
+    const { reasons } = req.body;
+    const problem = validateOverrideReasons(reasons);
+    if (problem) {
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    await Setting.setValue(OVERRIDE_REASONS_SETTINGS_KEY, { reasons: normalizeOverrideReasons(reasons) }, req.admin._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Override reasons updated successfully',
+      data: await Attendance.getOverrideReasons()
+    });
+  } catch (error) {
+    sendOverrideError(res, error, 'Error updating override reasons');
+  }
+};
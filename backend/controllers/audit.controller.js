@@ -0,0 +1,91 @@
+import AuditLog from '../models/auditLog.model.js';
+import {
+  buildAuditQuery,
+  toAuditExportRow,
+  AUDIT_EXPORT_COLUMNS
+} from '../services/auditService.js';
+import { toCsv } from '../utils/csv.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+// The export is one CSV in memory, so it is capped like the other exports
+const MAX_EXPORT_ENTRIES = 50000;
+
+/**
+ * Send the right status for audit log errors
+ * Bad ids and dates in the filters are the caller's fault, anything else is ours
+ */
+const sendAuditError = (res, error, message) => {
+  const isClientError = error.name === 'ValidationError' || error.name === 'CastError';
+
+  if (!isClientError) {
+    logError(`${message}: ${error.message}`);
+  }
+
+  res.status(isClientError ? 400 : 500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Search the audit log, newest first
+ * Filters: actor, action, targetType, targetId, method, success, from, to,
+ * search. Paged with page and limit.
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const query = buildAuditQuery(req.query);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries
+    });
+  } catch (error) {
+    sendAuditError(res, error, 'Error fetching audit log');
+  }
+};
+
+/**
+ * Download the audit log as CSV, same filters as getAuditLogs
+ */
+export const exportAuditLogs = async (req, res) => {
+  try {
+    const query = buildAuditQuery(req.query);
+    const count = await AuditLog.countDocuments(query);
+
+    if (count > MAX_EXPORT_ENTRIES) {
+      return res.status(400).json({
+        success: false,
+        message: `${count} entries match, narrow the filters to at most ${MAX_EXPORT_ENTRIES} entries per export`
+      });
+    }
+
+    const entries = await AuditLog.find(query).sort({ createdAt: -1 }).lean();
+    const csv = toCsv(AUDIT_EXPORT_COLUMNS, entries.map(toAuditExportRow));
+
+    logInfo(`${entries.length} audit log entries exported by ${req.admin.email}`);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().split('T')[0]}.csv"`);
+    res.send(`\uFEFF${csv}`);
+  } catch (error) {
+    sendAuditError(res, error, 'Error exporting audit log');
+  }
+};
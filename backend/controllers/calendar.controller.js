@@ -0,0 +1,355 @@
+import AcademicYear from '../models/academicYear.model.js';
+import Student from '../models/student.model.js';
+import { parseMongoDate } from '../utils/dateUtils.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+/**
+ * Send the right status for calendar errors
+ * Validation problems are the caller's fault, anything else is ours
+ */
+const sendCalendarError = (res, error, message) => {
+  const isClientError = error.name === 'ValidationError' ||
+    error.name === 'CastError' ||
+    error.code === 11000;
+
+  if (!isClientError) {
+    logError(`${message}: ${error.message}`);
+  }
+
+  res.status(isClientError ? 400 : 500).json({
+    success: false,
+    message: error.code === 11000 ? 'An academic year with this name already exists' : message,
+    error: error.message
+  });
+};
+
+// Calendar edits come in bursts, e.g. several holidays in a row, so the
+// recalculation waits for them to settle
+const RECALCULATION_DELAY_MS = 10 * 1000;
+
+let recalculationTimer = null;
+let recalculationRunning = false;
+let recalculationRequested = false;
+
+const recalculateAttendancePercentagesNow = async () => {
+  recalculationTimer = null;
+  recalculationRunning = true;
+  recalculationRequested = false;
+
+  try {
+    const count = await Student.recalculateAllAttendancePercentages();
+    logInfo(`Recalculated attendance percentages for ${count} students`);
+  } catch (error) {
+    logError(`Error recalculating attendance percentages: ${error.message}`);
+  } finally {
+    recalculationRunning = false;
+    // The calendar changed again while this pass ran
+    if (recalculationRequested) refreshAttendancePercentages();
+  }
+};
+
+/**
+ * Percentages depend on the calendar, so refresh them after every change
+ * Runs in the background, the admin does not wait for it. Only one pass
+ * over the students runs at a time, changes made meanwhile queue another.
+ */
+const refreshAttendancePercentages = () => {
+  if (recalculationRunning) {
+    recalculationRequested = true;
+    return;
+  }
+
+  clearTimeout(recalculationTimer);
+  recalculationTimer = setTimeout(recalculateAttendancePercentagesNow, RECALCULATION_DELAY_MS);
+};
+
+/**
+ * Load an academic year by the :id route parameter
+ * Sends a 404 and returns null when it does not exist
+ */
+const findAcademicYear = async (req, res) => {
+  const academicYear = await AcademicYear.findById(req.params.id);
+  if (!academicYear) {
+    res.status(404).json({
+      success: false,
+      message: 'Academic year not found'
+    });
+    return null;
+  }
+  return academicYear;
+};
+
+/**
+ * List all academic years, newest first
+ */
+export const getAcademicYears = async (req, res) => {
+  try {
+    const academicYears = await AcademicYear.find().sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: academicYears.length,
+      data: academicYears
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'Error fetching academic years');
+  }
+};
+
+/**
+ * Get a single academic year with its terms and holidays
+ */
+export const getAcademicYear = async (req, res) => {
+  try {
+    const academicYear = await findAcademicYear(req, res);
+    if (!academicYear) return;
+
+    res.status(200).json({
+      success: true,
+      data: academicYear
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'Error fetching academic year');
+  }
+};
+
+/**
+ * Create an academic year
+ * Terms and holidays may be sent along or added later
+ */
+export const createAcademicYear = async (req, res) => {
+  try {
+    const { name, startDate, endDate, weekendDays, terms, holidays } = req.body;
+
+    const academicYear = await AcademicYear.create({
+      name,
+      startDate,
+      endDate,
+      weekendDays,
+      terms,
+      holidays
+    });
+
+    logInfo(`Academic year ${academicYear.name} created by ${req.admin.email}`);
+    refreshAttendancePercentages();
+
+    res.status(201).json({
+      success: true,
+      message: 'Academic year created successfully',
+      data: academicYear
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'Error creating academic year');
+  }
+};
+
+/**
+ * Update the name, dates or weekend days of an academic year
+ */
+export const updateAcademicYear = async (req, res) => {
+  try {
+    const academicYear = await findAcademicYear(req, res);
+    if (!academicYear) return;
+
+    ['name', 'startDate', 'endDate', 'weekendDays'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        academicYear[field] = req.body[field];
+      }
+    });
+
+    await academicYear.save();
+    refreshAttendancePercentages();
+
+    res.status(200).json({
+      success: true,
+      message: 'Academic year updated successfully',
+      data: academicYear
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'Error updating academic year');
+  }
+};
+
+/**
+ * Delete an academic year
+ */
+export const deleteAcademicYear = async (req, res) => {
+  try {
+    const academicYear = await findAcademicYear(req, res);
+    if (!academicYear) return;
+
+    await academicYear.deleteOne();
+    logInfo(`Academic year ${academicYear.name} deleted by ${req.admin.email}`);
+    refreshAttendancePercentages();
+
+    res.status(200).json({
+      success: true,
+      message: 'Academic year deleted successfully'
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'Error deleting academic year');
+  }
+};
+
+/**
+ * Add a term to an academic year
+ */
+export const addTerm = async (req, res) => {
+  try {
+    const academicYear = await findAcademicYear(req, res);
+    if (!academicYear) return;
+
+    const { name, startDate, endDate } = req.body;
+    academicYear.terms.push({ name, startDate, endDate });
+    academicYear.terms.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+    await academicYear.save();
+    refreshAttendancePercentages();
+
+    res.status(201).json({
+      success: true,
+      message: 'Term added successfully',
+      data: academicYear
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'Error adding term');
+  }
+};
+
+/**
+ * Remove a term from an academic year
+ */
+export const deleteTerm = async (req, res) => {
+  try {
+    const academicYear = await findAcademicYear(req, res);
+    if (!academicYear) return;
+
+    const term = academicYear.terms.id(req.params.termId);
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Term not found'
+      });
+    }
+
+    term.deleteOne();
+    await academicYear.save();
+    refreshAttendancePercentages();
+
+    res.status(200).json({
+      success: true,
+      message: 'Term deleted successfully',
+      data: academicYear
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'Error deleting term');
+  }
+};
+
+/**
+ * Add a public holiday or an ad-hoc closure to an academic year
+ * Closures can span several days by sending an endDate
+ */
+export const addHoliday = async (req, res) => {
+  try {
+    const academicYear = await findAcademicYear(req, res);
+    if (!academicYear) return;
+
+    const { name, type, startDate, endDate } = req.body;
+    academicYear.holidays.push({ name, type, startDate, endDate });
+    academicYear.holidays.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+    await academicYear.save();
+    refreshAttendancePercentages();
+
+    res.status(201).json({
+      success: true,
+      message: `${type === 'closure' ? 'Closure' : 'Holiday'} added successfully`,
+      data: academicYear
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'Error adding holiday');
+  }
+};
+
+/**
+ * Remove a holiday or closure from an academic year
+ */
+export const deleteHoliday = async (req, res) => {
+  try {
+    const academicYear = await findAcademicYear(req, res);
+    if (!academicYear) return;
+
+    const holiday = academicYear.holidays.id(req.params.holidayId);
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    holiday.deleteOne();
+    await academicYear.save();
+    refreshAttendancePercentages();
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday deleted successfully',
+      data: academicYear
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'Error deleting holiday');
+  }
+};
+
+/**
+ * List the school days between two dates
+ * Useful for checking the calendar before relying on it in reports
+ */
+export const getSchoolDays = async (req, res) => {
+  try {
+    const startDate = parseMongoDate(req.query.startDate);
+    const endDate = parseMongoDate(req.query.endDate);
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid startDate and endDate are required'
+      });
+    }
+
+    if (startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date must be before end date'
+      });
+    }
+
+    const schoolDays = await AcademicYear.getSchoolDays(startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      count: schoolDays.length,
+      data: schoolDays
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'Error calculating school days');
+  }
+};
+
+/**
+ * Recalculate every student's attendance percentage now
+ */
+export const recalculateAttendancePercentages = async (req, res) => {
+  try {
+    const count = await Student.recalculateAllAttendancePercentages();
+
+    res.status(200).json({
+      success: true,
+      message: `Recalculated attendance percentages for ${count} students`,
+      count
+    });
+  } catch (error) {
+    sendCalendarError(res, error, 'Error recalculating attendance percentages');
+  }
+};
@@ -0,0 +1,296 @@
+import mongoose from 'mongoose';
+import SchoolClass from '../models/class.model.js';
+import Student from '../models/student.model.js';
+import Admin from '../models/admin.model.js';
+import AcademicYear from '../models/academicYear.model.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+/**
+ * Send the right status for class errors
+ * Validation problems are the caller's fault, anything else is ours
+ */
+const sendClassError = (res, error, message) => {
+  const isClientError = error.name === 'ValidationError' ||
+    error.name === 'CastError' ||
+    error.code === 11000;
+
+  if (!isClientError) {
+    logError(`${message}: ${error.message}`);
+  }
+
+  res.status(isClientError ? 400 : 500).json({
+    success: false,
+    message: error.code === 11000 ? 'This grade and section already exists for the academic year' : message,
+    error: error.message
+  });
+};
+
+/**
+ * Load a class by the :id route parameter
+ * Sends a 404 and returns null when it does not exist
+ */
+const findClass = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid class id'
+    });
+    return null;
+  }
+
+  const schoolClass = await SchoolClass.findById(req.params.id);
+  if (!schoolClass) {
+    res.status(404).json({
+      success: false,
+      message: 'Class not found'
+    });
+    return null;
+  }
+  return schoolClass;
+};
+
+/**
+ * Check the academic year and class teacher references in a request body
+ * @returns {Promise<string|null>} Error message, or null when both are fine
+ */
+const validateReferences = async ({ academicYear, classTeacher }) => {
+  if (academicYear !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(academicYear) || !(await AcademicYear.exists({ _id: academicYear }))) {
+      return 'Academic year not found';
+    }
+  }
+
+  if (classTeacher) {
+    // Only teacher accounts are scoped to the classes they are assigned to
+    if (!mongoose.Types.ObjectId.isValid(classTeacher) || !(await Admin.exists({ _id: classTeacher, role: 'teacher' }))) {
+      return 'Class teacher must be an existing teacher account';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * List classes, optionally for one academic year
+ * Runs after resolveClassFilter, which scopes teachers to their classes
+ */
+export const getClasses = async (req, res) => {
+  try {
+    const query = {};
+    // Teachers only list the classes they are assigned to
+    if (req.scopedClassIds) {
+      query._id = { $in: req.scopedClassIds };
+    }
+    if (req.query.academicYear) {
+      query.academicYear = req.query.academicYear;
+    }
+
+    const classes = await SchoolClass.find(query)
+      .populate('academicYear', 'name startDate endDate')
+      .populate('classTeacher', 'name email')
+      .populate('studentCount')
+      .sort({ grade: 1, section: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: classes.length,
+      data: classes
+    });
+  } catch (error) {
+    sendClassError(res, error, 'Error fetching classes');
+  }
+};
+
+/**
+ * Get a class with its enrolled students
+ */
+export const getClass = async (req, res) => {
+  try {
+    const schoolClass = await findClass(req, res);
+    if (!schoolClass) return;
+
+    await schoolClass.populate([
+      { path: 'academicYear', select: 'name startDate endDate' },
+      { path: 'classTeacher', select: 'name email' },
+      {
+        path: 'students',
+        select: 'name indexNumber student_email status attendancePercentage lastAttendance',
+        options: { sort: { indexNumber: 1 } }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: schoolClass
+    });
+  } catch (error) {
+    sendClassError(res, error, 'Error fetching class');
+  }
+};
+
+/**
+ * Create a class for an academic year
+ */
+export const createClass = async (req, res) => {
+  try {
+    const { name, grade, section, academicYear, classTeacher } = req.body;
+
+    const referenceError = await validateReferences({ academicYear, classTeacher });
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError
+      });
+    }
+
+    const schoolClass = await SchoolClass.create({
+      name,
+      grade,
+      section,
+      academicYear,
+      classTeacher
+    });
+
+    logInfo(`Class ${schoolClass.name} created by ${req.admin.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Class created successfully',
+      data: schoolClass
+    });
+  } catch (error) {
+    sendClassError(res, error, 'Error creating class');
+  }
+};
+
+/**
+ * Update a class
+ */
+export const updateClass = async (req, res) => {
+  try {
+    const schoolClass = await findClass(req, res);
+    if (!schoolClass) return;
+
+    const referenceError = await validateReferences(req.body);
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError
+      });
+    }
+
+    ['name', 'grade', 'section', 'academicYear', 'classTeacher'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        schoolClass[field] = req.body[field];
+      }
+    });
+
+    await schoolClass.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Class updated successfully',
+      data: schoolClass
+    });
+  } catch (error) {
+    sendClassError(res, error, 'Error updating class');
+  }
+};
+
+/**
+ * Delete a class, its students become unassigned
+ */
+export const deleteClass = async (req, res) => {
+  try {
+    const schoolClass = await findClass(req, res);
+    if (!schoolClass) return;
+
+    const { modifiedCount } = await Student.updateMany(
+      { schoolClass: schoolClass._id },
+      { schoolClass: null }
+    );
+    await schoolClass.deleteOne();
+
+    logInfo(`Class ${schoolClass.name} deleted by ${req.admin.email}, ${modifiedCount} students unassigned`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Class deleted successfully',
+      unassignedStudents: modifiedCount
+    });
+  } catch (error) {
+    sendClassError(res, error, 'Error deleting class');
+  }
+};
+
+/**
+ * Enroll students in a class
+ * Students move out of any class they were in before
+ */
+export const enrollStudents = async (req, res) => {
+  try {
+    const schoolClass = await findClass(req, res);
+    if (!schoolClass) return;
+
+    const { studentIds } = req.body;
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'studentIds must be a non-empty array'
+      });
+    }
+
+    const invalidIds = studentIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some student ids are invalid',
+        invalidIds
+      });
+    }
+
+    const { matchedCount, modifiedCount } = await Student.updateMany(
+      { _id: { $in: studentIds } },
+      { schoolClass: schoolClass._id }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${modifiedCount} students enrolled in ${schoolClass.name}`,
+      enrolled: modifiedCount,
+      notFound: studentIds.length - matchedCount
+    });
+  } catch (error) {
+    sendClassError(res, error, 'Error enrolling students');
+  }
+};
+
+/**
+ * Remove a student from a class
+ */
+export const unenrollStudent = async (req, res) => {
+  try {
+    const schoolClass = await findClass(req, res);
+    if (!schoolClass) return;
+
+    const student = await Student.findOneAndUpdate(
+      { _id: req.params.studentId, schoolClass: schoolClass._id },
+      { schoolClass: null },
+      { new: true }
+    );
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not enrolled in this class'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${student.name} removed from ${schoolClass.name}`
+    });
+  } catch (error) {
+    sendClassError(res, error, 'Error removing student from class');
+  }
+};
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import Student, {
+  GUARDIAN_RELATIONSHIPS,
+  GUARDIAN_CHANNELS,
+  GUARDIAN_LANGUAGES,
+  GUARDIAN_EVENTS
+} from '../models/student.model.js';
+import { setAuditContext } from '../services/auditService.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+// Enough for parents, step-parents and a couple of emergency contacts
+const MAX_GUARDIANS = 10;
+
+const GUARDIAN_FIELDS = ['name', 'relationship', 'telephone', 'email', 'preferredChannel', 'language', 'events'];
+
+/**
+ * Send the right status for guardian errors
+ * Validation errors are the caller's, anything else is ours
+ */
+const sendGuardianError = (res, error, message) => {
+  const isClientError = error.name === 'ValidationError' || error.name === 'CastError';
+  if (!isClientError) {
+    logError(`${message}: ${error.message}`);
+  }
+
+  res.status(isClientError ? 400 : 500).json({
+    success: false,
+    message: isClientError ? error.message : message,
+    error: error.message
+  });
+};
+
+/**
+ * Load a student by the :id route parameter
+ * Sends a 400 or 404 and returns null when it does not exist
+ */
+const findStudent = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid student id' });
+    return null;
+  }
+
+  const student = await Student.findById(req.params.id);
+  if (!student) {
+    res.status(404).json({ success: false, message: 'Student not found' });
+    return null;
+  }
+
+  return student;
+};
+
+/**
+ * Get a student's guardians and the values their fields can take
+ */
+export const getStudentGuardians = async (req, res) => {
+  try {
+    const student = await findStudent(req, res);
+    if (!student) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        guardians: student.guardians,
+        // Who is notified while the list is empty
+        fallback: student.guardians.length === 0 ? student.getGuardiansFor(GUARDIAN_EVENTS) : [],
+        options: {
+          relationships: GUARDIAN_RELATIONSHIPS,
+          channels: GUARDIAN_CHANNELS,
+          languages: GUARDIAN_LANGUAGES,
+          events: GUARDIAN_EVENTS
+        }
+      }
+    });
+  } catch (error) {
+    sendGuardianError(res, error, 'Error fetching student guardians');
+  }
+};
+
+/**
+ * Replace a student's guardians
+ * Body: guardians, [{ name, relationship, telephone, email, preferredChannel,
+ * language, events }]. Leaving out events subscribes a guardian to all of
+ * them, an empty list to none. An empty guardian list notifies the parent
+ * telephone on record again.
+ */
+export const updateStudentGuardians = async (req, res) => {
+  try {
+    const { guardians } = req.body;
+    if (!Array.isArray(guardians)) {
+      return res.status(400).json({ success: false, message: 'Guardians must be a list' });
+    }
+    if (guardians.length > MAX_GUARDIANS) {
+      return res.status(400).json({ success: false, message: `A student can have at most ${MAX_GUARDIANS} guardians` });
+    }
+    if (guardians.some(guardian => !guardian || typeof guardian !== 'object')) {
+      return res.status(400).json({ success: false, message: 'Each guardian must be an object' });
+    }
+    if (guardians.some(guardian => guardian.events !== undefined && !Array.isArray(guardian.events))) {
+      return res.status(400).json({ success: false, message: 'Guardian events must be a list' });
+    }
+
+    const student = await findStudent(req, res);
+    if (!student) return;
+
+    const before = student.guardians.map(guardian => guardian.toObject());
+    student.guardians = guardians.map(guardian =>
+      Object.fromEntries(GUARDIAN_FIELDS.filter(field => guardian[field] !== undefined).map(field => [field, guardian[field]]))
+    );
+
+    // Older students may not pass today's validation, only the guardians have to
+    await student.validate(['guardians']);
+    await student.save({ validateBeforeSave: false });
+
+    setAuditContext(req, {
+      action: 'student.guardians.update',
+      target: { type: 'student', id: student._id, label: student.indexNumber },
+      before: { guardians: before },
+      after: { guardians: student.guardians }
+    });
+    logInfo(`Guardians of ${student.indexNumber} updated by ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Guardians updated successfully',
+      data: student.guardians
+    });
+  } catch (error) {
+    sendGuardianError(res, error, 'Error updating student guardians');
+  }
+};
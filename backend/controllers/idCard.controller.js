@@ -0,0 +1,188 @@
+import mongoose from 'mongoose';
+import Student from '../models/student.model.js';
+import Setting from '../models/setting.model.js';
+import {
+  renderIdCardsPdf,
+  getIdCardBranding,
+  ID_CARD_BRANDING_SETTINGS_KEY
+} from '../services/idCardService.js';
+import { streamQRCodeZip, QR_EXPORT_FORMATS } from '../services/qrExportService.js';
+import { readStudentPhoto } from '../services/studentPhotoService.js';
+import { buildStudentQuery } from '../utils/studentQuery.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+// Bulk requests are capped so one request cannot render the whole school
+const MAX_CARDS_PER_REQUEST = 500;
+
+// QR images are cheaper than card sheets, so exports allow more students
+const MAX_QR_CODES_PER_EXPORT = 2000;
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+
+const sendPdf = (res, pdf, filename) => {
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.set('Content-Length', pdf.length);
+  return res.send(pdf);
+};
+
+/**
+ * Bulk downloads cover active students unless another status is asked for
+ */
+const buildCardQuery = (req) => buildStudentQuery(req.query, req.classFilter, { defaultStatus: 'active' });
+
+/**
+ * Download the ID card of one student as a PDF
+ */
+export const getStudentIdCard = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid student id' });
+    }
+
+    const student = await Student.findById(req.params.id).populate('schoolClass', 'name');
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    const pdf = await renderIdCardsPdf([student], { getPhoto: readStudentPhoto });
+    return sendPdf(res, pdf, `id-card-${student.indexNumber}.pdf`);
+  } catch (error) {
+    logError(`Error generating ID card: ${error.message}`);
+    res.status(500).json({ success: false, message: 'Error generating ID card', error: error.message });
+  }
+};
+
+/**
+ * Download ID cards for a filtered set of students, ten per A4 page
+ */
+export const getIdCards = async (req, res) => {
+  try {
+    const query = buildCardQuery(req);
+    const count = await Student.countDocuments(query);
+
+    if (count === 0) {
+      return res.status(404).json({ success: false, message: 'No students match the filters' });
+    }
+
+    if (count > MAX_CARDS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        message: `${count} students match, narrow the filters to at most ${MAX_CARDS_PER_REQUEST} cards per download`
+      });
+    }
+
+    const students = await Student.find(query)
+      .populate('schoolClass', 'name')
+      .sort({ indexNumber: 1 });
+
+    const pdf = await renderIdCardsPdf(students, { getPhoto: readStudentPhoto });
+    logInfo(`${students.length} ID cards generated by ${req.admin.email}`);
+
+    const suffix = req.schoolClass ? req.schoolClass.name.replace(/[^\w-]+/g, '_') : new Date().toISOString().split('T')[0];
+    return sendPdf(res, pdf, `id-cards-${suffix}.pdf`);
+  } catch (error) {
+    logError(`Error generating ID cards: ${error.message}`);
+    res.status(500).json({ success: false, message: 'Error generating ID cards', error: error.message });
+  }
+};
+
+/**
+ * Download a ZIP of QR codes for a filtered set of students, e.g. a new intake
+ * Query: format (png or svg) plus the bulk card filters. Files are named by
+ * index number and listed in manifest.csv. Missing codes are generated.
+ */
+export const exportQRCodes = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'png').toLowerCase();
+    if (!QR_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `Format must be one of: ${QR_EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const query = buildCardQuery(req);
+    const count = await Student.countDocuments(query);
+
+    if (count === 0) {
+      return res.status(404).json({ success: false, message: 'No students match the filters' });
+    }
+
+    if (count > MAX_QR_CODES_PER_EXPORT) {
+      return res.status(400).json({
+        success: false,
+        message: `${count} students match, narrow the filters to at most ${MAX_QR_CODES_PER_EXPORT} QR codes per export`
+      });
+    }
+
+    const students = await Student.find(query)
+      .populate('schoolClass', 'name')
+      .sort({ indexNumber: 1 });
+
+    const suffix = req.schoolClass ? req.schoolClass.name.replace(/[^\w-]+/g, '_') : new Date().toISOString().split('T')[0];
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="qr-codes-${suffix}.zip"`);
+
+    const { files, generated } = await streamQRCodeZip(students, res, { format });
+    logInfo(`${files} QR codes exported as ${format} by ${req.admin.email} (${generated} generated)`);
+  } catch (error) {
+    logError(`Error exporting QR codes: ${error.message}`);
+
+    // Once the archive has started there is no way to send an error body
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, message: 'Error exporting QR codes', error: error.message });
+  }
+};
+
+/**
+ * Get the school name, tagline and colours printed on ID cards
+ */
+export const getIdCardBrandingConfig = async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await getIdCardBranding() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching ID card branding', error: error.message });
+  }
+};
+
+/**
+ * Update the school name, tagline and colours printed on ID cards
+ */
+export const configureIdCardBranding = async (req, res) => {
+  try {
+    const { schoolName, tagline, primaryColor, textColor } = req.body;
+    const changes = {};
+
+    if (schoolName !== undefined) {
+      if (!String(schoolName).trim() || String(schoolName).length > 60) {
+        return res.status(400).json({ success: false, message: 'School name must be 1 to 60 characters' });
+      }
+      changes.schoolName = String(schoolName).trim();
+    }
+
+    if (tagline !== undefined) {
+      if (String(tagline).length > 80) {
+        return res.status(400).json({ success: false, message: 'Tagline cannot exceed 80 characters' });
+      }
+      changes.tagline = String(tagline).trim();
+    }
+
+    for (const [field, value] of Object.entries({ primaryColor, textColor })) {
+      if (value === undefined) continue;
+      if (!HEX_COLOR.test(value)) {
+        return res.status(400).json({ success: false, message: `${field} must be a hex colour like #1E3A8A` });
+      }
+      changes[field] = value;
+    }
+
+    await Setting.setValue(ID_CARD_BRANDING_SETTINGS_KEY, changes, req.admin._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'ID card branding updated successfully',
+      data: await getIdCardBranding()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error updating ID card branding', error: error.message });
+  }
+};
@@ -8,6 +8,8 @@ import {
   logout as whatsappLogout 
 } from '../services/whatsapp.service.js';
 import Student from '../models/student.model.js';
+import { sendBulkGuardianMessages, validateTranslations } from '../services/guardianNotificationService.js';
+import { setAuditContext } from '../services/auditService.js';
 import { DateTime } from 'luxon';
 
 /**
@@ -187,6 +189,8 @@ export const sendQrCodeScanMessage = async (studentData) => {
 
 /**
  * Send a manual WhatsApp message
+ * Teachers, who have a class filter, can only message a number on record
+ * for a student of their classes
  */
 export const sendMessage = async (req, res) => {
   try {
@@ -205,6 +209,29 @@ export const sendMessage = async (req, res) => {
       formattedPhone = '+' + formattedPhone;
     }
 
+    if (req.classFilter?.schoolClass) {
+      // Numbers are stored with or without the leading +
+      const telephone = phoneNumber.replace(/[\s-]/g, '');
+      const numbers = [telephone, telephone.replace(/^\+/, ''), '+' + telephone.replace(/^\+/, '')];
+      const isFamilyOfClass = await Student.exists({
+        ...req.classFilter,
+        $or: [{ parent_telephone: { $in: numbers } }, { 'guardians.telephone': { $in: numbers } }]
+      });
+
+      if (!isFamilyOfClass) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only message parents and guardians of students in your classes'
+        });
+      }
+    }
+
+    setAuditContext(req, {
+      action: 'message.send',
+      target: { type: 'phone', id: formattedPhone },
+      details: { recipient: formattedPhone, message, type }
+    });
+
     const result = await sendTextMessage(formattedPhone, message);
     
     if (!result.success) {
@@ -232,11 +259,13 @@ export const sendMessage = async (req, res) => {
 };
 
 /**
- * Send bulk WhatsApp messages to multiple students' parents
+ * Send bulk WhatsApp messages to the guardians of multiple students
+ * Body: studentIds, message and translations by language code, e.g.
+ * { si: '...' }, for guardians who read another language
  */
 export const handleBulkMessages = async (req, res) => {
   try {
-    const { studentIds, message } = req.body;
+    const { studentIds, message, translations } = req.body;
     
     if (!studentIds || !Array.isArray(studentIds) || studentIds.length === 0) {
       return res.status(400).json({ 
@@ -251,8 +280,13 @@ export const handleBulkMessages = async (req, res) => {
         message: 'Message content is required'
       });
     }
+
+    const translationProblem = validateTranslations(translations);
+    if (translationProblem) {
+      return res.status(400).json({ success: false, message: translationProblem });
+    }
     
-    const students = await Student.find({ _id: { $in: studentIds } });
+    const students = await Student.find({ _id: { $in: studentIds }, ...req.classFilter });
     
     if (!students || students.length === 0) {
       return res.status(404).json({
@@ -261,34 +295,21 @@ export const handleBulkMessages = async (req, res) => {
       });
     }
     
-    // Get list of phone numbers
-    const phoneNumbers = students
-      .filter(student => student.parent_telephone)
-      .map(student => student.parent_telephone);
-
-    const result = await sendBulkWhatsAppMessages(phoneNumbers, message);
-    
-    // Record messages for successful sends
-    for (const student of students) {
-      if (student.parent_telephone) {
-        const successfulSend = result.results.successful.find(
-          s => s.phone === student.parent_telephone
-        );
-        
-        if (successfulSend) {
-          student.messages = student.messages || [];
-          student.messages.push({
-            content: message,
-            sentAt: new Date(),
-            type: 'notification',
-            status: 'sent',
-            messageId: successfulSend.messageId,
-            recipient: student.parent_telephone
-          });
-          await student.save();
-        }
+    // Messages every guardian who follows bulk messages and records them
+    const result = await sendBulkGuardianMessages(students, message, {
+      translations,
+      sentBy: req.admin ? req.admin._id : null
+    });
+    setAuditContext(req, {
+      action: 'message.bulk',
+      target: { type: 'students', label: `${students.length} students` },
+      details: {
+        message,
+        translations,
+        students: students.map(student => student.indexNumber),
+        summary: result.summary
       }
-    }
+    });
     
     return res.status(200).json({
       success: true,
@@ -0,0 +1,438 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Parent, { PLACEHOLDER_PARENT_EMAIL, normalizeTelephone } from '../models/parent.model.js';
+import Student from '../models/student.model.js';
+import Attendance from '../models/attendance.model.js';
+import AcademicYear from '../models/academicYear.model.js';
+import { sendTextMessage } from '../services/whatsapp.service.js';
+import { OTP_TTL_MINUTES } from '../utils/loginOtp.js';
+import { startOfDay, endOfDay } from '../utils/dateUtils.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+// Statuses that mean the child was on campus that day
+const ATTENDED_STATUSES = ['present', 'entered', 'left'];
+
+// Fields of a child a parent may see
+const CHILD_FIELDS = 'name indexNumber schoolClass status attendancePercentage lastAttendance';
+
+const signParentToken = (parent) =>
+  jwt.sign({ id: parent._id, role: 'parent' }, process.env.JWT_SECRET, {
+    expiresIn: '1h'
+  });
+
+// Refresh the children and send the login response
+const sendLoginResponse = async (parent, res) => {
+  await parent.syncChildren();
+  parent.lastLogin = Date.now();
+  await parent.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    token: signParentToken(parent),
+    parent: {
+      id: parent._id,
+      name: parent.name,
+      email: parent.email,
+      telephone: parent.telephone,
+      children: parent.students.length
+    }
+  });
+};
+
+/**
+ * Load one of the logged in parent's children by the :studentId parameter
+ * Sends a 404 and returns null for any other student
+ */
+const findChild = async (req, res, fields = CHILD_FIELDS) => {
+  const { studentId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(studentId) || !req.parent.hasChild(studentId)) {
+    res.status(404).json({
+      success: false,
+      message: 'Student not found'
+    });
+    return null;
+  }
+
+  const student = await Student.findById(studentId).select(fields);
+  if (!student) {
+    res.status(404).json({
+      success: false,
+      message: 'Student not found'
+    });
+    return null;
+  }
+  return student;
+};
+
+/**
+ * Send a one-time login code over WhatsApp
+ * Accounts are created on first use for numbers registered on a student,
+ * the response is the same whether the number is known or not
+ */
+export const requestLoginOtp = async (req, res) => {
+  try {
+    const telephone = normalizeTelephone(req.body.telephone);
+    if (!telephone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a telephone number'
+      });
+    }
+
+    const response = {
+      success: true,
+      message: 'If this number is registered, a login code has been sent on WhatsApp'
+    };
+
+    let parent = await Parent.findOne({ telephone });
+    if (!parent) {
+      const hasChildren = await Student.exists({
+        $or: [{ parent_telephone: telephone }, { 'guardians.telephone': telephone }]
+      });
+      if (!hasChildren) {
+        return res.status(200).json(response);
+      }
+      parent = new Parent({ telephone });
+    }
+
+    if (!parent.isActive) {
+      return res.status(200).json(response);
+    }
+
+    const code = parent.createLoginOtp();
+    await parent.save();
+
+    const result = await sendTextMessage(
+      telephone,
+      `Your attendance portal login code is *${code}*.\nIt expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+    );
+
+    if (!result.success) {
+      logError(`Failed to send parent login code: ${result.error}`);
+      return res.status(503).json({
+        success: false,
+        message: 'Could not send the login code, please try again later'
+      });
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    logError(`Error requesting parent login code: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting login code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Log in with the code sent over WhatsApp
+ */
+export const verifyLoginOtp = async (req, res) => {
+  try {
+    const telephone = normalizeTelephone(req.body.telephone);
+    const { code } = req.body;
+
+    if (!telephone || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the telephone number and the login code'
+      });
+    }
+
+    const parent = await Parent.findOne({ telephone }).select('+otpHash +otpExpires +otpAttempts');
+    if (!parent || !parent.isActive || !(await parent.verifyLoginOtp(code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login code'
+      });
+    }
+
+    await sendLoginResponse(parent, res);
+  } catch (error) {
+    logError(`Error verifying parent login code: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying login code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Log in with email and password
+ */
+export const loginParent = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide both email and password'
+      });
+    }
+
+    const parent = await Parent.findOne({ email: email.toLowerCase().trim() }).select('+password');
+    if (!parent || !parent.isActive || !(await parent.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    await sendLoginResponse(parent, res);
+  } catch (error) {
+    logError(`Error logging in parent: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the logged in parent and their children
+ */
+export const getParentProfile = async (req, res) => {
+  try {
+    await req.parent.populate({
+      path: 'students',
+      select: CHILD_FIELDS,
+      populate: { path: 'schoolClass', select: 'name grade section' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: req.parent
+    });
+  } catch (error) {
+    logError(`Error fetching parent profile: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching profile',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update name, email and password
+ * The email must be one the school has on record for one of the children,
+ * so a parent cannot link themselves to other students through it
+ */
+export const updateParentAccount = async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+    const parent = req.parent;
+
+    if (email !== undefined) {
+      const normalizedEmail = String(email).toLowerCase().trim();
+      const isChildEmail = normalizedEmail !== PLACEHOLDER_PARENT_EMAIL &&
+        await Student.exists({
+          _id: { $in: parent.students },
+          $or: [{ parent_email: normalizedEmail }, { 'guardians.email': normalizedEmail }]
+        });
+
+      if (!isChildEmail) {
+        return res.status(400).json({
+          success: false,
+          message: 'The email must match a parent or guardian email the school has on record for your child'
+        });
+      }
+      parent.email = normalizedEmail;
+    }
+
+    if (name !== undefined) parent.name = name;
+    if (password !== undefined) parent.password = password;
+
+    // Email login needs a password, either sent now or already stored
+    if (email !== undefined && password === undefined) {
+      const { password: storedPassword } = await Parent.findById(parent._id).select('+password');
+      if (!storedPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please set a password to log in with your email'
+        });
+      }
+    }
+
+    await parent.syncChildren();
+    await parent.save();
+
+    logInfo(`Parent account ${parent._id} updated`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account updated successfully',
+      data: {
+        id: parent._id,
+        name: parent.name,
+        email: parent.email,
+        telephone: parent.telephone,
+        children: parent.students.length
+      }
+    });
+  } catch (error) {
+    const isClientError = error.name === 'ValidationError' || error.code === 11000;
+    res.status(isClientError ? 400 : 500).json({
+      success: false,
+      message: error.code === 11000 ? 'This email is already used by another account' : 'Error updating account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a child's attendance history with optional date range and pagination
+ */
+export const getChildAttendance = async (req, res) => {
+  try {
+    const student = await findChild(req, res, `${CHILD_FIELDS} createdAt`);
+    if (!student) return;
+
+    const { startDate, endDate, limit = 50, offset = 0 } = req.query;
+    const history = await student.getFilteredAttendanceHistory({
+      startDate,
+      endDate,
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      success: true,
+      student: {
+        id: student._id,
+        name: student.name,
+        indexNumber: student.indexNumber,
+        attendancePercentage: student.attendancePercentage
+      },
+      data: history.records.map(record => ({
+        date: record.date,
+        status: record.status,
+        entryTime: record.entryTime,
+        leaveTime: record.leaveTime,
+        arrivalStatus: record.arrivalStatus,
+        minutesLate: record.minutesLate
+      })),
+      totalRecords: history.totalRecords,
+      stats: history.stats
+    });
+  } catch (error) {
+    logError(`Error fetching child attendance: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching attendance history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a child's attendance per month against the school days
+ * ?months=6 controls how many months back from the current one are included
+ */
+export const getChildMonthlySummary = async (req, res) => {
+  try {
+    const student = await findChild(req, res);
+    if (!student) return;
+
+    const months = Math.min(Math.max(parseInt(req.query.months, 10) || 6, 1), 24);
+    const today = endOfDay();
+    const firstMonth = new Date(today.getFullYear(), today.getMonth() - (months - 1), 1);
+
+    const records = await Attendance.findInRange({
+      students: [student._id],
+      startDate: startOfDay(firstMonth),
+      endDate: today
+    });
+    const recordsByDay = new Map(records.map(record => [record.date.getTime(), record]));
+
+    const summary = [];
+    for (let i = 0; i < months; i++) {
+      const monthStart = new Date(firstMonth.getFullYear(), firstMonth.getMonth() + i, 1);
+      const monthEnd = endOfDay(new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0));
+      const schoolDays = await AcademicYear.getSchoolDays(monthStart, monthEnd < today ? monthEnd : today);
+
+      let present = 0;
+      let late = 0;
+      schoolDays.forEach(day => {
+        const record = recordsByDay.get(day.getTime());
+        if (record && ATTENDED_STATUSES.includes(record.status)) {
+          present++;
+          if (record.arrivalStatus === 'late') late++;
+        }
+      });
+
+      summary.push({
+        month: `${monthStart.getFullYear()}-${String(monthStart.getMonth() + 1).padStart(2, '0')}`,
+        schoolDays: schoolDays.length,
+        present,
+        absent: schoolDays.length - present,
+        late,
+        percentage: schoolDays.length > 0
+          ? Math.round((present / schoolDays.length) * 1000) / 10
+          : 0
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      student: {
+        id: student._id,
+        name: student.name,
+        indexNumber: student.indexNumber
+      },
+      data: summary.reverse()
+    });
+  } catch (error) {
+    logError(`Error fetching child monthly summary: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching monthly summary',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the messages the school sent about a child, newest first
+ */
+export const getChildMessages = async (req, res) => {
+  try {
+    const student = await findChild(req, res, 'name indexNumber messages');
+    if (!student) return;
+
+    const messages = student.messages
+      .filter(message => message.type !== 'test')
+      .sort((a, b) => b.sentAt - a.sentAt)
+      .map(message => ({
+        content: message.content,
+        type: message.type,
+        status: message.status,
+        sentAt: message.sentAt
+      }));
+
+    res.status(200).json({
+      success: true,
+      student: {
+        id: student._id,
+        name: student.name,
+        indexNumber: student.indexNumber
+      },
+      count: messages.length,
+      data: messages
+    });
+  } catch (error) {
+    logError(`Error fetching child messages: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching message history',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,181 @@
+import mongoose from 'mongoose';
+import Promotion from '../models/promotion.model.js';
+import AttendanceArchive from '../models/attendanceArchive.model.js';
+import {
+  planPromotion,
+  applyPromotion,
+  rollbackPromotion,
+  PROMOTION_ROLLBACK_DAYS
+} from '../services/promotionService.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+/**
+ * Send the right status for promotion errors
+ * AppErrors carry their own status, anything else is ours
+ */
+const sendPromotionError = (res, error, message) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+
+  const isClientError = error.name === 'ValidationError' || error.name === 'CastError';
+  if (!isClientError) {
+    logError(`${message}: ${error.message}`);
+  }
+
+  res.status(isClientError ? 400 : 500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const pickOptions = ({ fromYear, toYear, finalGrade, finalYearStatus, classMap, createMissingClasses }) => ({
+  fromYear,
+  toYear,
+  finalGrade,
+  finalYearStatus,
+  classMap,
+  createMissingClasses: createMissingClasses === true || createMissingClasses === 'true'
+});
+
+/**
+ * Show what a promotion would do without changing anything
+ * Body: fromYear, toYear, finalGrade, finalYearStatus, classMap, createMissingClasses
+ */
+export const previewPromotion = async (req, res) => {
+  try {
+    const plan = await planPromotion(pickOptions(req.body));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fromYear: { _id: plan.fromYear._id, name: plan.fromYear.name },
+        toYear: { _id: plan.toYear._id, name: plan.toYear.name },
+        finalYearStatus: plan.finalYearStatus,
+        summary: plan.summary,
+        unassignedStudents: plan.unassignedStudents,
+        rollbackDays: PROMOTION_ROLLBACK_DAYS,
+        classes: plan.classes.map(({ students, ...entry }) => ({
+          ...entry,
+          studentCount: students.length,
+          students: students.map(({ _id, indexNumber, name }) => ({ _id, indexNumber, name }))
+        }))
+      }
+    });
+  } catch (error) {
+    sendPromotionError(res, error, 'Error previewing promotion');
+  }
+};
+
+/**
+ * Archive the closing year's attendance and promote the students
+ * Same body as the preview
+ */
+export const runPromotion = async (req, res) => {
+  try {
+    const promotion = await applyPromotion(pickOptions(req.body), req.admin._id);
+
+    logInfo(`Promotion ${promotion._id} run by ${req.admin.email}: ${promotion.summary.promoted} promoted, ` +
+      `${promotion.summary.graduated} graduated, ${promotion.summary.deactivated} deactivated`);
+
+    res.status(201).json({
+      success: true,
+      message: `Promotion applied, it can be rolled back until ${promotion.rollbackUntil.toISOString()}`,
+      data: promotion
+    });
+  } catch (error) {
+    sendPromotionError(res, error, 'Error running promotion');
+  }
+};
+
+/**
+ * List promotion runs, newest first
+ */
+export const getPromotions = async (req, res) => {
+  try {
+    const promotions = await Promotion.find()
+      .select('-changes')
+      .populate('fromYear toYear', 'name')
+      .populate('appliedBy rolledBackBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: promotions.length,
+      data: promotions
+    });
+  } catch (error) {
+    sendPromotionError(res, error, 'Error fetching promotions');
+  }
+};
+
+/**
+ * Get one promotion run with its student changes
+ */
+export const getPromotion = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid promotion id' });
+    }
+
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('fromYear toYear', 'name')
+      .populate('appliedBy rolledBackBy', 'name email');
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: 'Promotion not found' });
+    }
+
+    res.status(200).json({ success: true, data: promotion });
+  } catch (error) {
+    sendPromotionError(res, error, 'Error fetching promotion');
+  }
+};
+
+/**
+ * Undo a promotion run within its rollback window
+ */
+export const rollbackPromotionRun = async (req, res) => {
+  try {
+    const promotion = await rollbackPromotion(req.params.id, req.admin._id);
+
+    logInfo(`Promotion ${promotion._id} rolled back by ${req.admin.email}, ` +
+      `${promotion.rollbackConflicts.length} students changed since were left alone`);
+
+    res.status(200).json({
+      success: true,
+      message: promotion.rollbackConflicts.length > 0
+        ? `Promotion rolled back, ${promotion.rollbackConflicts.length} students changed since the promotion were left as they are`
+        : 'Promotion rolled back',
+      data: promotion
+    });
+  } catch (error) {
+    sendPromotionError(res, error, 'Error rolling back promotion');
+  }
+};
+
+/**
+ * Frozen attendance totals of closed years
+ * Query: academicYear, student, classId (through req.classFilter)
+ */
+export const getAttendanceArchive = async (req, res) => {
+  try {
+    const { academicYear, student } = req.query;
+    const query = { ...req.classFilter };
+    if (academicYear) query.academicYear = academicYear;
+    if (student) query.student = student;
+
+    const archives = await AttendanceArchive.find(query)
+      .populate('academicYear', 'name')
+      .sort({ className: 1, indexNumber: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: archives.length,
+      data: archives
+    });
+  } catch (error) {
+    sendPromotionError(res, error, 'Error fetching attendance archive');
+  }
+};
@@ -0,0 +1,197 @@
+import Setting from '../models/setting.model.js';
+import {
+  getQRStyle,
+  validateQRStyle,
+  prepareQRLogo,
+  startQRRegeneration,
+  getQRRegenerationStatus,
+  QR_STYLE_SETTINGS_KEY
+} from '../services/qrStyleService.js';
+import { renderPreviewQRCode } from '../services/qrCredentialService.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+const STYLE_FIELDS = ['foregroundColor', 'backgroundColor', 'moduleShape', 'size', 'errorCorrectionLevel', 'logo'];
+
+/**
+ * The style without the logo image, which can be large
+ */
+const toPublicStyle = ({ logoImage, ...style }) => ({
+  ...style,
+  hasCustomLogo: Boolean(logoImage)
+});
+
+/**
+ * Pick the style fields an admin sent
+ * Numbers arrive as strings from query strings and forms
+ */
+const pickStyleChanges = (body = {}) => {
+  const changes = {};
+  STYLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      changes[field] = field === 'size' ? Number(body[field]) : body[field];
+    }
+  });
+  if (changes.errorCorrectionLevel) {
+    changes.errorCorrectionLevel = String(changes.errorCorrectionLevel).toUpperCase();
+  }
+  return changes;
+};
+
+/**
+ * Get the QR code style
+ */
+export const getQRStyleConfig = async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: toPublicStyle(await getQRStyle()) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching QR style', error: error.message });
+  }
+};
+
+/**
+ * Update the QR code style
+ * Applies to codes rendered from now on, run the regenerate job to update
+ * existing students
+ */
+export const configureQRStyle = async (req, res) => {
+  try {
+    const changes = pickStyleChanges(req.body);
+    const style = { ...(await getQRStyle()), ...changes };
+    const problem = validateQRStyle(style);
+    if (problem) {
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    await Setting.setValue(QR_STYLE_SETTINGS_KEY, changes, req.admin._id);
+    logInfo(`QR style updated by ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'QR style updated, regenerate existing QR codes to apply it to every student',
+      data: toPublicStyle(style)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error updating QR style', error: error.message });
+  }
+};
+
+/**
+ * Upload the school logo for the centre of QR codes and switch to it
+ * Expects multipart form data with a 'logo' image
+ */
+export const uploadQRLogo = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Please upload a logo image' });
+    }
+
+    let logoImage;
+    try {
+      logoImage = await prepareQRLogo(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: 'The logo could not be read as an image' });
+    }
+
+    const changes = { logoImage, logo: 'custom' };
+    const style = { ...(await getQRStyle()), ...changes };
+    const problem = validateQRStyle(style);
+    if (problem) {
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    await Setting.setValue(QR_STYLE_SETTINGS_KEY, changes, req.admin._id);
+    logInfo(`QR logo uploaded by ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'QR logo uploaded, regenerate existing QR codes to apply it to every student',
+      data: toPublicStyle(style)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error uploading QR logo', error: error.message });
+  }
+};
+
+/**
+ * Remove the uploaded logo and go back to the default one
+ */
+export const removeQRLogo = async (req, res) => {
+  try {
+    await Setting.setValue(QR_STYLE_SETTINGS_KEY, { logoImage: null, logo: 'default' }, req.admin._id);
+    logInfo(`QR logo removed by ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'QR logo removed',
+      data: toPublicStyle(await getQRStyle())
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error removing QR logo', error: error.message });
+  }
+};
+
+/**
+ * Render a sample QR code with the stored style and any unsaved changes
+ * in the body, e.g. { "moduleShape": "rounded" }. Query: format (png or svg)
+ */
+export const previewQRStyle = async (req, res) => {
+  try {
+    const style = { ...(await getQRStyle()), ...pickStyleChanges(req.body) };
+    const problem = validateQRStyle(style);
+    if (problem) {
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    if (req.query.format === 'svg') {
+      res.set('Content-Type', 'image/svg+xml');
+      return res.send(await renderPreviewQRCode(style, 'svg'));
+    }
+
+    const dataUrl = await renderPreviewQRCode(style);
+    res.set('Content-Type', 'image/png');
+    return res.send(Buffer.from(dataUrl.split(',')[1], 'base64'));
+  } catch (error) {
+    logError(`Error rendering QR preview: ${error.message}`);
+    res.status(500).json({ success: false, message: 'Error rendering QR preview', error: error.message });
+  }
+};
+
+/**
+ * Start re-rendering every student's QR code in the current style
+ * Students keep their credentials, printed cards still scan
+ */
+export const regenerateQRCodes = async (req, res) => {
+  try {
+    const job = await startQRRegeneration(req.admin._id);
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: 'QR codes are already being regenerated',
+        data: await getQRRegenerationStatus()
+      });
+    }
+
+    logInfo(`QR regeneration of ${job.total} students started by ${req.admin.email}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'QR regeneration started',
+      data: job
+    });
+  } catch (error) {
+    logError(`Error starting QR regeneration: ${error.message}`);
+    res.status(500).json({ success: false, message: 'Error starting QR regeneration', error: error.message });
+  }
+};
+
+/**
+ * Progress of the last regenerate job
+ */
+export const getQRRegeneration = async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await getQRRegenerationStatus() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error fetching QR regeneration status', error: error.message });
+  }
+};
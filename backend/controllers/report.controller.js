@@ -1,7 +1,9 @@
 // controllers/report.controller.js
 import ExcelJS from 'exceljs';
-import { parseMongoDate, formatTimeFromDate, calculateDuration } from '../utils/dateUtils.js';
+import { parseMongoDate, formatTimeFromDate, calculateDuration, startOfDay, endOfDay } from '../utils/dateUtils.js';
 import Student from '../models/student.model.js';
+import Attendance from '../models/attendance.model.js';
+import AcademicYear from '../models/academicYear.model.js';
 import { logInfo, logError } from '../utils/terminal.js';
 
 /**
@@ -48,8 +50,8 @@ export const generateDailyAttendanceReport = async (req, res) => {
     const handleMongoDBTimestamps = handleTimestamps === 'true';
 
     // Find all students
-    const students = await Student.find()
-      .select('name indexNumber student_email attendanceHistory status')
+    const students = await Student.find({ ...req.classFilter })
+      .select('name indexNumber student_email status')
       .sort({ indexNumber: 1 });
 
     if (!students || students.length === 0) {
@@ -128,21 +130,15 @@ export const generateDailyAttendanceReport = async (req, res) => {
     let leftCount = 0;
     let lateCount = 0;
     
+    // Load the attendance records for the report date
+    const recordsByStudent = await Attendance.mapByStudent({
+      startDate: reportDate,
+      endDate: endOfDay(reportDate)
+    });
+    
     // Helper to find attendance record for a specific date
     const findAttendanceRecord = (student) => {
-      // Use parseMongoDate to properly handle MongoDB date format
-      const attendanceRecord = student.attendanceHistory.find(record => {
-        const recordDate = parseMongoDate(record.date);
-        if (!recordDate) {
-          return false;
-        }
-        
-        // Reset time to start of day for comparison
-        recordDate.setHours(0, 0, 0, 0);
-        return recordDate.getTime() === reportDate.getTime();
-      });
-      
-      return attendanceRecord;
+      return recordsByStudent.get(student._id.toString())?.[0];
     };
     
     // Process each student
@@ -157,23 +153,26 @@ export const generateDailyAttendanceReport = async (req, res) => {
       let leaveTime = null;
       let duration = null;
       
-      if (attendanceRecord) {
+      if (attendanceRecord && attendanceRecord.status !== 'absent') {
         // Use values from the attendance record
         entryTime = attendanceRecord.entryTime;
         leaveTime = attendanceRecord.leaveTime;
         
         // Format the status based on the attendance record
-        if (attendanceRecord.status === 'entered') {
-          status = 'Present';
-        } else if (attendanceRecord.status === 'left') {
+        if (attendanceRecord.status === 'left') {
           status = 'Left';
-        } else if (attendanceRecord.status === 'late') {
+        } else if (attendanceRecord.arrivalStatus === 'late') {
           status = 'Late';
-          lateCount++;
+        } else if (attendanceRecord.status === 'entered') {
+          status = 'Present';
         } else {
           status = attendanceRecord.status || 'Absent';
         }
         
+        if (attendanceRecord.arrivalStatus === 'late') {
+          lateCount++;
+        }
+        
         presentCount++;
       } else {
         absentCount++;
@@ -347,8 +346,8 @@ export const generateStudentSummaryReport = async (req, res) => {
     }
 
     // Find all students
-    const students = await Student.find()
-      .select('name indexNumber age status attendanceHistory attendanceCount attendancePercentage')
+    const students = await Student.find({ ...req.classFilter })
+      .select('name indexNumber age status attendanceCount attendancePercentage lastAttendance')
       .sort({ indexNumber: 1 });
 
     if (!students || students.length === 0) {
@@ -387,24 +386,25 @@ export const generateStudentSummaryReport = async (req, res) => {
       fgColor: { argb: 'FFD3D3D3' }
     };
     
-    // Calculate the number of business days in the date range
-    const totalDays = getBusinessDaysBetweenDates(start, end);
+    // Measure attendance against the school days in the date range
+    const schoolDays = await getSchoolDaySet(start, end);
+    const totalDays = schoolDays.size;
+    
+    // Load attendance records for the date range
+    const recordsByStudent = await Attendance.mapByStudent({ startDate: start, endDate: end });
     
     // Add data rows for each student
     let rowCount = 1;
     students.forEach(student => {
-      // Filter attendance records for the specified date range
-      const attendanceRecords = student.attendanceHistory.filter(record => {
-        const recordDate = new Date(record.date);
-        return recordDate >= start && recordDate <= end;
-      });
+      // Attendance records for the specified date range
+      const attendanceRecords = recordsByStudent.get(student._id.toString()) || [];
       
       // Count unique days present
       const uniqueDaysPresent = new Set();
       let totalHours = 0;
       
       attendanceRecords.forEach(record => {
-        if (record.entryTime) {
+        if (record.entryTime && schoolDays.has(new Date(record.date).getTime())) {
           // Extract the date part only for uniqueness check
           const dateString = new Date(record.date).toDateString();
           uniqueDaysPresent.add(dateString);
@@ -523,8 +523,8 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
     const endDate = new Date(yearNum, monthNum, 0); // Last day of the month
     
     // Find all active students
-    const students = await Student.find({ status: 'active' })
-      .select('name indexNumber age attendanceHistory')
+    const students = await Student.find({ status: 'active', ...req.classFilter })
+      .select('name indexNumber age')
       .sort({ indexNumber: 1 });
 
     if (!students || students.length === 0) {
@@ -569,6 +569,7 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
     headers.push(
       { header: 'Present', key: 'presentDays', width: 10 },
       { header: 'Absent', key: 'absentDays', width: 10 },
+      { header: 'Late', key: 'lateDays', width: 10 },
       { header: '%', key: 'percentage', width: 8 }
     );
     
@@ -582,25 +583,29 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
       fgColor: { argb: 'FFD3D3D3' }
     };
     
-    // Helper to check if date is a weekend
-    const isWeekend = (date) => {
-      const day = date.getDay();
-      return day === 0 || day === 6; // 0 is Sunday, 6 is Saturday
-    };
+    // Only school days count towards the percentage
+    const schoolDays = await getSchoolDaySet(startDate, endDate);
+    const isSchoolDay = (day) => schoolDays.has(new Date(yearNum, monthNum - 1, day).getTime());
     
-    // Mark weekend columns with different color (but still count them)
+    // Mark weekends, holidays and closures with a different color
     for (let day = 1; day <= daysInMonth; day++) {
-      const date = new Date(yearNum, monthNum - 1, day);
-      if (isWeekend(date)) {
-        const colIndex = day + 2; // Offset for index, name columns
+      if (!isSchoolDay(day)) {
+        const colIndex = day + 3; // Offset for index, name and age columns
         worksheet.getColumn(colIndex).fill = {
           type: 'pattern',
           pattern: 'solid',
-          fgColor: { argb: 'FFF0F0F0' } // Light gray for weekend days
+          fgColor: { argb: 'FFF0F0F0' } // Light gray for non-school days
         };
       }
     }
     
+    // Load attendance records for the month
+    const recordsByStudent = await Attendance.mapByStudent({
+      students,
+      startDate,
+      endDate: endOfDay(endDate)
+    });
+    
     // Add data for each student
     students.forEach((student, index) => {
       const rowData = {
@@ -609,6 +614,7 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
         age: student.age || 'N/A',
         presentDays: 0,
         absentDays: 0,
+        lateDays: 0,
         percentage: '0%'
       };
       
@@ -618,34 +624,39 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
       }
       
       // Map attendance data to days
-      student.attendanceHistory.forEach(record => {
+      (recordsByStudent.get(student._id.toString()) || []).forEach(record => {
         const recordDate = new Date(record.date);
         
         // Check if record falls within the month
         if (recordDate >= startDate && recordDate <= endDate) {
           const day = recordDate.getDate();
           
-          // Mark as present if there's an entry time
+          // Mark as present if there's an entry time, late arrivals get an L
           if (record.entryTime) {
-            rowData[`day${day}`] = '✓';
-            rowData.presentDays++;
+            const isLate = record.arrivalStatus === 'late';
+            rowData[`day${day}`] = isLate ? 'L' : '✓';
+            if (isSchoolDay(day)) {
+              rowData.presentDays++;
+              if (isLate) rowData.lateDays++;
+            }
           }
         }
       });
       
-      // Calculate absent days (including weekends)
-      let workingDays = 0;
+      // Calculate absent days, only school days can be missed
+      const workingDays = schoolDays.size;
       for (let day = 1; day <= daysInMonth; day++) {
-        const date = new Date(yearNum, monthNum - 1, day);
-        // Include all days, including weekends
-        workingDays++;
         if (!rowData[`day${day}`]) {
-          rowData[`day${day}`] = '✗';
-          rowData.absentDays++;
+          if (isSchoolDay(day)) {
+            rowData[`day${day}`] = '✗';
+            rowData.absentDays++;
+          } else {
+            rowData[`day${day}`] = '-';
+          }
         }
       }
       
-      // Calculate attendance percentage for all days
+      // Calculate attendance percentage against school days
       const attendancePercentage = workingDays > 0 
         ? ((rowData.presentDays / workingDays) * 100).toFixed(2) 
         : 0;
@@ -657,7 +668,7 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
       // Apply conditional formatting for present/absent
       for (let day = 1; day <= daysInMonth; day++) {
         const cellValue = rowData[`day${day}`];
-        const cellRef = worksheet.getCell(`${String.fromCharCode(day + 67)}${index + 2}`);
+        const cellRef = row.getCell(day + 3); // Offset for index, name and age columns
         
         if (cellValue === '✓') {
           cellRef.fill = {
@@ -665,6 +676,12 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
             pattern: 'solid',
             fgColor: { argb: 'FF90EE90' } // Light green for present
           };
+        } else if (cellValue === 'L') {
+          cellRef.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFFFC000' } // Orange for late
+          };
         } else if (cellValue === '✗') {
           cellRef.fill = {
             type: 'pattern',
@@ -698,18 +715,15 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
   }
 };
 
-function getBusinessDaysBetweenDates(startDate, endDate) {
-  let count = 0;
-  const currentDate = new Date(startDate);
-  
-  while (currentDate <= endDate) {
-    // Count all days including weekends
-    count++;
-    currentDate.setDate(currentDate.getDate() + 1);
-  }
-  
-  return count;
-}
+/**
+ * Get the school days in a date range as a set of day timestamps
+ * Attendance record dates are stored at the start of the day, so
+ * `set.has(new Date(record.date).getTime())` tells whether a record counts
+ */
+const getSchoolDaySet = async (startDate, endDate) => {
+  const schoolDays = await AcademicYear.getSchoolDays(startDate, endDate);
+  return new Set(schoolDays.map(day => day.getTime()));
+};
 
 export const generateWeeklyAttendanceReport = async (req, res) => {
   try {
@@ -738,8 +752,8 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
     }
     
     // Set time to start and end of day
-    start.setUTCHours(0, 0, 0, 0);
-    end.setUTCHours(23, 59, 59, 999);
+    start.setTime(startOfDay(start).getTime());
+    end.setTime(endOfDay(end).getTime());
     
     // Check if date range is valid (start before end, not future dates)
     if (start > end) {
@@ -761,11 +775,17 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
     }
     
     // Get all active students
-    const students = await Student.find({ status: 'active' })
-      .select('_id name indexNumber student_email status attendanceHistory')
+    const students = await Student.find({ status: 'active', ...req.classFilter })
+      .select('_id name indexNumber student_email status')
       .sort('indexNumber')
       .lean();
     
+    // Attach the attendance records in the date range to each student
+    const recordsByStudent = await Attendance.mapByStudent({ students, startDate: start, endDate: end });
+    students.forEach(student => {
+      student.attendanceHistory = recordsByStudent.get(student._id.toString()) || [];
+    });
+    
     if (!students || students.length === 0) {
       return res.status(404).json({
         success: false,
@@ -826,8 +846,9 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
       cell.alignment = { horizontal: 'center', vertical: 'middle' };
     });
     
-    // Get business days in the date range
-    const workingDays = getBusinessDaysBetweenDates(start, end);
+    // Only school days count as days present or absent
+    const schoolDays = await AcademicYear.getSchoolDays(start, end);
+    const workingDays = schoolDays.length;
     
     // Process each student's attendance
     students.forEach((student, index) => {
@@ -836,54 +857,25 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
       let absentDays = 0;
       let lateDays = 0;
       
-      // Generate an array of dates in the range
-      const dateRange = [];
-      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-        dateRange.push(new Date(d));
-      }
+      // Records are stored one per day, keyed by the start of the day
+      const recordsByDay = new Map();
+      student.attendanceHistory.forEach(record => {
+        const recordDate = parseMongoDate(record.date);
+        if (recordDate) {
+          recordsByDay.set(startOfDay(recordDate).getTime(), record);
+        }
+      });
       
-      // Check each date for attendance
-      dateRange.forEach(date => {
-        const dateStartTime = new Date(date);
-        dateStartTime.setUTCHours(0, 0, 0, 0);
+      // Check each school day for attendance
+      schoolDays.forEach(day => {
+        const record = recordsByDay.get(day.getTime());
         
-        const dateEndTime = new Date(date);
-        dateEndTime.setUTCHours(23, 59, 59, 999);
-        
-        // Find any attendance record for this date
-        const hasAttendance = student.attendanceHistory?.some(record => {
-          // Use parseMongoDate to properly handle MongoDB date format
-          const recordDate = parseMongoDate(record.date);
-          if (!recordDate) return false;
-          
-          // Reset time to start of day for comparison
-          recordDate.setHours(0, 0, 0, 0);
-          return recordDate.getTime() === dateStartTime.getTime();
-        });
-        
-        if (hasAttendance) {
+        if (record && record.status !== 'absent') {
           presentDays++;
           
-          // Check if the student was late (entry time after 9 AM)
-          const entryRecord = student.attendanceHistory?.find(record => {
-            const recordDate = parseMongoDate(record.date);
-            if (!recordDate) return false;
-            
-            recordDate.setHours(0, 0, 0, 0);
-            return recordDate.getTime() === dateStartTime.getTime() && record.status === 'entered';
-          });
-          
-          if (entryRecord?.entryTime) {
-            const entryTime = parseMongoDate(entryRecord.entryTime);
-            if (entryTime) {
-              const entryHour = entryTime.getHours();
-              const entryMinute = entryTime.getMinutes();
-              
-              // Check if entry time is after 9:00 AM
-              if (entryHour > 9 || (entryHour === 9 && entryMinute > 0)) {
-                lateDays++;
-              }
-            }
+          // Lateness is classified against the late policy when the entry is recorded
+          if (record.arrivalStatus === 'late') {
+            lateDays++;
           }
         } else {
           absentDays++;
@@ -1009,9 +1001,9 @@ export const generateIndividualStudentReport = async (req, res) => {
       });
     }
     
-    // Set time to start and end of day
-    start.setUTCHours(0, 0, 0, 0);
-    end.setUTCHours(23, 59, 59, 999);
+    // Set time to start and end of day, the days Attendance.date records use
+    start.setTime(startOfDay(start).getTime());
+    end.setTime(endOfDay(end).getTime());
     
     // Find the student
     const student = await Student.findById(studentId);
@@ -1074,12 +1066,11 @@ export const generateIndividualStudentReport = async (req, res) => {
       cell.alignment = { horizontal: 'center', vertical: 'middle' };
     });
     
-    // Filter attendance records for the date range
-    const attendanceRecords = student.attendanceHistory.filter(record => {
-      const recordDate = parseMongoDate(record.date);
-      if (!recordDate) return false;
-      
-      return recordDate >= start && recordDate <= end;
+    // Load attendance records for the date range
+    const attendanceRecords = await Attendance.findInRange({
+      students: [student],
+      startDate: start,
+      endDate: end
     });
     
     // Sort by date ascending
@@ -1099,12 +1090,8 @@ export const generateIndividualStudentReport = async (req, res) => {
     let rowIndex = 4; // Start from row 4 (after headers)
     
     dateRange.forEach(date => {
-      const dateStr = date.toISOString().split('T')[0];
-      const dateStartTime = new Date(date);
-      dateStartTime.setUTCHours(0, 0, 0, 0);
-      
-      const dateEndTime = new Date(date);
-      dateEndTime.setUTCHours(23, 59, 59, 999);
+      const dateStr = date.toLocaleDateString('en-CA'); // YYYY-MM-DD, server time
+      const dateStartTime = startOfDay(date);
       
       // Find record for this date
       const record = attendanceRecords.find(r => {
@@ -1112,8 +1099,7 @@ export const generateIndividualStudentReport = async (req, res) => {
         if (!recordDate) return false;
         
         // Reset time to start of day for comparison
-        const recordDay = new Date(recordDate);
-        recordDay.setUTCHours(0, 0, 0, 0);
+        const recordDay = startOfDay(recordDate);
         
         return recordDay.getTime() === dateStartTime.getTime();
       });
@@ -1129,10 +1115,12 @@ export const generateIndividualStudentReport = async (req, res) => {
         console.log(`Found attendance record for ${student.name} on ${dateStr}:`, JSON.stringify(record));
         
         // Determine status
-        if (record.status === 'entered') {
-          status = 'Present';
-        } else if (record.status === 'left') {
+        if (record.status === 'left') {
           status = 'Left';
+        } else if (record.arrivalStatus === 'late') {
+          status = 'Late';
+        } else if (record.status === 'entered') {
+          status = 'Present';
         }
         
         // Format entry time
@@ -1253,6 +1241,7 @@ export const generateIndividualStudentReport = async (req, res) => {
     // Add summary section
     worksheet.addRow([]);
     const presentDays = attendanceRecords.filter(r => r.status === 'entered' || r.status === 'left').length;
+    const lateDays = attendanceRecords.filter(r => r.arrivalStatus === 'late').length;
     const totalDays = dateRange.length;
     const attendanceRate = totalDays > 0 ? (presentDays / totalDays) * 100 : 0;
     
@@ -1268,6 +1257,7 @@ export const generateIndividualStudentReport = async (req, res) => {
       ['Total Days in Period', totalDays],
       ['Days Present', presentDays],
       ['Days Absent', totalDays - presentDays],
+      ['Late Days', lateDays],
       ['Attendance Rate', `${attendanceRate.toFixed(2)}%`]
     ];
     
@@ -0,0 +1,205 @@
+import mongoose from 'mongoose';
+import ScannerDevice from '../models/scannerDevice.model.js';
+import ScanLog from '../models/scanLog.model.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+/**
+ * Send the right status for scanner device errors
+ * Validation problems are the caller's fault, anything else is ours
+ */
+const sendDeviceError = (res, error, message) => {
+  const isClientError = error.name === 'ValidationError' || error.name === 'CastError';
+
+  if (!isClientError) {
+    logError(`${message}: ${error.message}`);
+  }
+
+  res.status(isClientError ? 400 : 500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Load a device by the :id route parameter
+ * Sends a 404 and returns null when it does not exist
+ */
+const findDevice = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid device id'
+    });
+    return null;
+  }
+
+  const device = await ScannerDevice.findById(req.params.id);
+  if (!device) {
+    res.status(404).json({
+      success: false,
+      message: 'Scanner device not found'
+    });
+    return null;
+  }
+  return device;
+};
+
+/**
+ * List registered scanner devices
+ */
+export const getScannerDevices = async (req, res) => {
+  try {
+    const devices = await ScannerDevice.find()
+      .populate('createdBy', 'name email')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: devices.length,
+      data: devices
+    });
+  } catch (error) {
+    sendDeviceError(res, error, 'Error fetching scanner devices');
+  }
+};
+
+/**
+ * Register a scanner device
+ * The API key is only returned in this response
+ */
+export const createScannerDevice = async (req, res) => {
+  try {
+    const { name, location, enabled, mode } = req.body;
+
+    const device = new ScannerDevice({
+      name,
+      location,
+      enabled,
+      mode,
+      createdBy: req.admin._id
+    });
+    const apiKey = device.issueApiKey();
+    await device.save();
+
+    logInfo(`Scanner device ${device.deviceId} (${device.name}) registered by ${req.admin.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Scanner device registered, store the API key now as it will not be shown again',
+      data: device,
+      apiKey
+    });
+  } catch (error) {
+    sendDeviceError(res, error, 'Error registering scanner device');
+  }
+};
+
+/**
+ * Update a device's name, location, gate mode or enabled switch
+ */
+export const updateScannerDevice = async (req, res) => {
+  try {
+    const device = await findDevice(req, res);
+    if (!device) return;
+
+    ['name', 'location', 'enabled', 'mode'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        device[field] = req.body[field];
+      }
+    });
+    await device.save();
+
+    logInfo(`Scanner device ${device.deviceId} updated by ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scanner device updated successfully',
+      data: device
+    });
+  } catch (error) {
+    sendDeviceError(res, error, 'Error updating scanner device');
+  }
+};
+
+/**
+ * Issue a new API key, the old one stops working immediately
+ */
+export const rotateScannerDeviceKey = async (req, res) => {
+  try {
+    const device = await findDevice(req, res);
+    if (!device) return;
+
+    const apiKey = device.issueApiKey();
+    await device.save();
+
+    logInfo(`API key of scanner device ${device.deviceId} rotated by ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key rotated, store the new key now as it will not be shown again',
+      data: device,
+      apiKey
+    });
+  } catch (error) {
+    sendDeviceError(res, error, 'Error rotating API key');
+  }
+};
+
+/**
+ * Remove a scanner device
+ * Attendance records keep the device id they were scanned with
+ */
+export const deleteScannerDevice = async (req, res) => {
+  try {
+    const device = await findDevice(req, res);
+    if (!device) return;
+
+    await device.deleteOne();
+
+    logInfo(`Scanner device ${device.deviceId} removed by ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scanner device removed successfully'
+    });
+  } catch (error) {
+    sendDeviceError(res, error, 'Error removing scanner device');
+  }
+};
+
+/**
+ * Search the scan log, e.g. ?outcome=rejected&reason=DUPLICATE_SCAN
+ * Filters: deviceId, outcome, reason, student, startDate, endDate, limit
+ */
+export const getScanLogs = async (req, res) => {
+  try {
+    const { deviceId, outcome, reason, student, startDate, endDate } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+    const query = {};
+    if (deviceId) query.deviceId = deviceId;
+    if (outcome) query.outcome = outcome;
+    if (reason) query.reason = reason;
+    if (student) query.student = student;
+    if (startDate || endDate) {
+      query.scannedAt = {};
+      if (startDate) query.scannedAt.$gte = new Date(startDate);
+      if (endDate) query.scannedAt.$lte = new Date(endDate);
+    }
+
+    const scans = await ScanLog.find(query)
+      .populate('student', 'name indexNumber')
+      .sort({ scannedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: scans.length,
+      data: scans
+    });
+  } catch (error) {
+    sendDeviceError(res, error, 'Error fetching scan log');
+  }
+};
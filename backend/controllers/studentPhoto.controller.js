@@ -0,0 +1,175 @@
+import fs from 'fs';
+import mongoose from 'mongoose';
+import Student from '../models/student.model.js';
+import {
+  parseCrop,
+  storeStudentPhoto,
+  removeStudentPhoto,
+  importPhotoZip,
+  getStudentPhotoUrl
+} from '../services/studentPhotoService.js';
+import { sendStoredFile } from '../services/fileStore.js';
+import { setAuditContext } from '../services/auditService.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+/**
+ * Send the right status for photo errors
+ * AppErrors carry their own status, anything else is ours
+ */
+const sendPhotoError = (res, error, message) => {
+  // A failed download cannot send an error body any more
+  if (res.headersSent) {
+    logError(`${message}: ${error.message}`);
+    return res.destroy(error);
+  }
+
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+
+  const isClientError = error.name === 'ValidationError' || error.name === 'CastError';
+  if (!isClientError) {
+    logError(`${message}: ${error.message}`);
+  }
+
+  res.status(isClientError ? 400 : 500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Load a student by the :id route parameter
+ * Sends a 400 or 404 and returns null when it does not exist
+ */
+const findStudent = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid student id' });
+    return null;
+  }
+
+  const student = await Student.findById(req.params.id);
+  if (!student) {
+    res.status(404).json({ success: false, message: 'Student not found' });
+    return null;
+  }
+
+  return student;
+};
+
+/**
+ * Upload a student's photo
+ * Multipart: photo, plus cropX, cropY, cropWidth and cropHeight to crop it.
+ * Without a crop the photo is cut to a portrait around the face.
+ */
+export const uploadStudentPhoto = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No photo uploaded' });
+    }
+
+    const student = await findStudent(req, res);
+    if (!student) return;
+
+    const before = student.photo;
+    const photo = await storeStudentPhoto(student, req.file.buffer, parseCrop(req.body));
+    setAuditContext(req, {
+      action: 'student.photo.upload',
+      target: { type: 'student', id: student._id, label: student.indexNumber },
+      before: { photo: before },
+      after: { photo }
+    });
+    logInfo(`Photo of ${student.indexNumber} updated by ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Photo updated successfully',
+      data: { photoUrl: getStudentPhotoUrl(student), photo }
+    });
+  } catch (error) {
+    sendPhotoError(res, error, 'Error uploading student photo');
+  }
+};
+
+/**
+ * Stream a student's photo
+ * Serves staff and scanner devices, the route decides who may ask
+ */
+export const getStudentPhoto = async (req, res) => {
+  try {
+    const student = await findStudent(req, res);
+    if (!student) return;
+
+    if (!student.photo?.key) {
+      return res.status(404).json({ success: false, message: 'This student has no photo' });
+    }
+
+    // URLs carry the photo's version, so a cached copy stays valid for a day
+    await sendStoredFile(req, res, student.photo, {
+      filename: `${student.indexNumber}.jpg`,
+      maxAge: 86400
+    });
+  } catch (error) {
+    sendPhotoError(res, error, 'Error fetching student photo');
+  }
+};
+
+/**
+ * Remove a student's photo
+ */
+export const deleteStudentPhoto = async (req, res) => {
+  try {
+    const student = await findStudent(req, res);
+    if (!student) return;
+
+    if (!student.photo?.key) {
+      return res.status(404).json({ success: false, message: 'This student has no photo' });
+    }
+
+    setAuditContext(req, {
+      action: 'student.photo.delete',
+      target: { type: 'student', id: student._id, label: student.indexNumber },
+      before: { photo: student.photo },
+      after: { photo: null }
+    });
+    await removeStudentPhoto(student);
+    logInfo(`Photo of ${student.indexNumber} removed by ${req.admin.email}`);
+
+    res.status(200).json({ success: true, message: 'Photo removed successfully' });
+  } catch (error) {
+    sendPhotoError(res, error, 'Error removing student photo');
+  }
+};
+
+/**
+ * Upload many photos at once as a ZIP of files named by index number,
+ * e.g. ST1024.jpg. Replies with what happened to every file.
+ */
+export const importStudentPhotos = async (req, res) => {
+  const file = req.file;
+  if (!file) {
+    return res.status(400).json({ success: false, message: 'No ZIP file uploaded' });
+  }
+
+  try {
+    const { summary, results } = await importPhotoZip(await fs.promises.readFile(file.path));
+    setAuditContext(req, {
+      action: 'student.photo.import',
+      target: { type: 'students', label: `${summary.updated} photos` },
+      details: summary
+    });
+    logInfo(`${summary.updated} of ${summary.files} student photos imported by ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.updated} photos imported, ${summary.skipped} skipped, ${summary.failed} failed`,
+      summary,
+      results
+    });
+  } catch (error) {
+    sendPhotoError(res, error, 'Error importing student photos');
+  } finally {
+    fs.promises.unlink(file.path).catch(() => {});
+  }
+};
@@ -1,19 +1,33 @@
-import Student from '../models/student.model.js';
-import { sendAttendanceAlert } from '../services/whatsapp.service.js';
+import jwt from 'jsonwebtoken';
+import Student, { GUARDIAN_EVENTS, pickEditableStudentFields } from '../models/student.model.js';
+import Attendance from '../models/attendance.model.js';
+import { startOfDay, endOfDay } from '../utils/dateUtils.js';
+import { sendTextMessage } from '../services/whatsapp.service.js';
+import { getAutoAbsentSettings } from '../services/autoAttendanceService.js';
+import { OTP_TTL_MINUTES } from '../utils/loginOtp.js';
+import { processScan } from '../services/scanService.js';
+import { ensureStudentQRCode, readStudentQRCode } from '../services/qrCredentialService.js';
+import { sendStoredFile } from '../services/fileStore.js';
+import { getStudentPhotoUrl } from '../services/studentPhotoService.js';
 
 /**
  * Download a student's QR code as a PNG file
+ * Staff are limited to the students of req.classFilter. Also serves
+ * /me/qr-code, where the student comes from verifyStudent
  */
 export const downloadQRCode = async (req, res) => {
   try {
-    const { indexNumber, name, studentId } = req.query;
+    const { indexNumber, name } = req.query;
+    // Logged in students can only download their own QR code
+    const studentId = req.student ? req.student._id : req.query.studentId;
+    const classFilter = req.student ? {} : req.classFilter || {};
 
     let student;
     
     if (studentId) {
-      student = await Student.findById(studentId);
+      student = await Student.findOne({ _id: studentId, ...classFilter });
     } else if (indexNumber && name) {
-      student = await Student.findOne({ indexNumber, name });
+      student = await Student.findOne({ indexNumber, name, ...classFilter });
     } else {
       return res.status(400).json({ message: 'Either studentId OR both indexNumber and name are required' });
     }
@@ -22,27 +36,30 @@ export const downloadQRCode = async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
-    if (!student.qrCode) {
+    // Revoked cards and students never issued one have nothing to download
+    if (!student.qrCredential?.issuedAt) {
       return res.status(404).json({ message: 'QR code not found for this student' });
     }
 
-    // Convert the QR code (base64) into a buffer
-    const qrCodeBuffer = Buffer.from(student.qrCode.split(',')[1], 'base64');
+    const { file } = await ensureStudentQRCode(student);
 
-    // Set the appropriate headers for file download
-    res.set('Content-Type', 'image/png');
-    res.set('Content-Disposition', `attachment; filename=${student.indexNumber}_qr_code.png`);
-
-    // Send the QR code as the response (this will trigger a download in the browser)
-    return res.send(qrCodeBuffer);
+    // Stream from the file store, this will trigger a download in the browser
+    return await sendStoredFile(req, res, file, {
+      filename: `${student.indexNumber}_qr_code.png`,
+      disposition: 'attachment'
+    });
   } catch (error) {
     console.error('Error downloading QR code:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({ message: 'Error downloading QR code', error });
   }
 };
 
 /**
  * Search for a student's QR code by name or index number
+ * Staff only, limited to the students of req.classFilter
  */
 export const searchQRCode = async (req, res) => {
   try {
@@ -53,182 +70,76 @@ export const searchQRCode = async (req, res) => {
     }
 
     const student = await Student.findOne({
-      $or: [{ name }, { indexNumber }]
+      $or: [name && { name }, indexNumber && { indexNumber }].filter(Boolean),
+      ...req.classFilter
     });
 
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
 
-    if (!student.qrCode) {
+    if (!student.qrCredential?.issuedAt) {
       return res.status(404).json({ message: 'QR Code not found for this student' });
     }
-   res.status(200).json({ qrCode: student.qrCode });
+
+    const { data } = await readStudentQRCode(student);
+    res.status(200).json({ qrCode: `data:image/png;base64,${data.toString('base64')}` });
   } catch (error) {
     console.error('Error searching for student:', error);
     res.status(500).json({ message: 'Error searching for student', error });
   }
 };
 
+// HTTP status for rejected live scans, other reasons are credential
+// problems and get a 401
+const SCAN_REJECTION_STATUS = {
+  NOT_FOUND: 404,
+  DUPLICATE_SCAN: 409,
+  OUT_OF_ORDER: 409,
+  MIN_TIME_ON_CAMPUS: 409,
+  ENTRY_ONLY_GATE: 409,
+  EXIT_ONLY_GATE: 409
+};
+
 /**
  * Mark student attendance via QR code scan
- * Handles both entry and exit scans
+ * Handles both entry and exit scans. Runs after verifyScannerDevice, the
+ * device and its location are recorded instead of anything in the body
  */
 export const markAttendance = async (req, res) => {
-  const { qrCodeData, deviceInfo, scanLocation } = req.body;
+  const { qrCodeData } = req.body;
+  const device = req.scannerDevice;
 
-  if (!qrCodeData) {
+  if (!qrCodeData || typeof qrCodeData !== 'string') {
     return res.status(400).json({ message: "QR code didn't scan correctly." });
   }
 
   try {
-    // Handle different data formats
-    let studentData = qrCodeData;
-    
-    // If qrCodeData is a string, try to parse it
-    if (typeof qrCodeData === 'string') {
-      try {
-        studentData = JSON.parse(qrCodeData);
-      } catch (error) {
-        return res.status(400).json({ message: "Invalid QR code data format." });
-      }
-    }
-    
-    // Extract student information
-    const { indexNumber, name, id, secureHash } = studentData;
-
-    if (!indexNumber || !name) {
-      return res.status(400).json({ message: 'Student information (indexNumber and name) are required.' });
-    }
-
-    // Find the student by ID if available, otherwise by indexNumber and name
-    let student;
-    if (id) {
-      student = await Student.findById(id);
-    }
-    
-    if (!student) {
-      student = await Student.findOne({ indexNumber, name });
-    }
-
-    if (!student) {
-      return res.status(404).json({ message: 'Student not found' });
-    }
-    
-    // Validate the secure hash if provided (additional security check)
-    if (secureHash) {
-      const expectedHash = require('crypto').createHash('sha256')
-        .update(`${student._id}${student.indexNumber}${process.env.JWT_SECRET || 'qrattend-secret'}`)
-        .digest('hex').substring(0, 16);
-      
-      if (secureHash !== expectedHash) {
-        return res.status(401).json({ 
-          message: 'Invalid QR code authentication',
-          studentInfo: {
-            name: student.name,
-            indexNumber: student.indexNumber
-          }
-        });
-      }
-    }
-
-    // Get the current date and time for marking attendance
-    const currentScanTime = new Date();
-    const todayDate = currentScanTime.toISOString().split('T')[0];
-
-    // Check if the student has attendance for today
-    const todayAttendanceIndex = student.attendanceHistory.findIndex(
-      (entry) => entry.date.toISOString().split('T')[0] === todayDate
-    );
-
-    // Determine status based on whether they already have a record for today
-    let statusToSave;
-    
-    if (todayAttendanceIndex === -1) {
-      // No record for today, this is an entry
-      statusToSave = 'entered';
-    } else {
-      const todayRecord = student.attendanceHistory[todayAttendanceIndex];
-      
-      // If they already have a leave time, this is a re-entry
-      // If they have an entry time but no leave time, this is a departure
-      if (todayRecord.leaveTime) {
-        statusToSave = 'entered'; // Re-entry
-      } else if (todayRecord.entryTime) {
-        statusToSave = 'left'; // Leaving
-      } else {
-        statusToSave = 'entered'; // Record exists but no entry time (unusual case)
-      }
+    // Verify the signed QR token and apply the entry / leave toggle
+    const scan = await processScan({ qrCodeData, device });
+    if (scan.outcome === 'rejected') {
+      return res.status(SCAN_REJECTION_STATUS[scan.reason] || 401).json({
+        message: scan.message,
+        reason: scan.reason,
+        retryAfterSeconds: scan.retryAfterSeconds,
+        attendanceStatus: scan.attendanceStatus,
+        studentInfo: scan.student ? {
+          name: scan.student.name,
+          indexNumber: scan.student.indexNumber,
+          photoUrl: getStudentPhotoUrl(scan.student)
+        } : undefined
+      });
     }
-    
-    // Get device info from the request
-    const userAgent = deviceInfo || req.headers['user-agent'] || 'Unknown Device';
-    const location = scanLocation || req.body.scanLocation || 'Main Entrance';
-    
-    // Use the model's markAttendance method to handle the record
-    await student.markAttendance(
-      statusToSave, 
-      null, // adminId is null for student scans
-      userAgent,
-      location
-    );
-
-    // Send WhatsApp notification if parent phone number exists
-    let whatsappResult = null;
-    if (student.parent_telephone) {
-      try {
-        // Create student data object with all required fields for WhatsApp notification
-        const studentDataForMessage = {
-          name: student.name,
-          indexNumber: student.indexNumber,
-          student_email: student.student_email,
-          address: student.address,
-          parent_telephone: student.parent_telephone,
-          status: statusToSave,
-          timestamp: currentScanTime
-        };
 
-        // Format phone number - remove spaces
-        const phoneNumber = student.parent_telephone.replace(/\s+/g, '');
-
-        // Send WhatsApp message using the sendAttendanceAlert function
-        whatsappResult = await sendAttendanceAlert(
-          phoneNumber,
-          studentDataForMessage,
-          statusToSave,
-          currentScanTime
-        );
-
-        // Record the message in student's history if successful
-        if (whatsappResult && whatsappResult.success) {
-          student.messages = student.messages || [];
-          student.messages.push({
-            content: whatsappResult.message,
-            sentAt: currentScanTime,
-            type: 'attendance',
-            status: 'sent',
-            messageId: whatsappResult.messageId,
-            recipient: student.parent_telephone
-          });
-
-          await student.save();
-          console.log(`WhatsApp notification sent successfully to ${student.parent_telephone} for ${student.name}'s attendance`);
-        } else {
-          console.log(`Failed to send WhatsApp notification to ${student.parent_telephone}: ${whatsappResult?.error || 'Unknown error'}`);
-        }
-      } catch (msgError) {
-        console.error('Error sending WhatsApp message:', msgError);
-        whatsappResult = { success: false, error: msgError.message };
-      }
-    } else {
-      console.log('No parent telephone number available for student:', student.indexNumber);
-    }
-    
-    // Find the updated attendance record to return in the response
-    const updatedStudent = await Student.findById(student._id);
-    const latestAttendanceRecord = updatedStudent.attendanceHistory.find(
-      record => record.date.toISOString().split('T')[0] === todayDate
-    );
+    const {
+      student,
+      record: latestAttendanceRecord,
+      attendanceStatus: statusToSave,
+      arrivalStatus,
+      minutesLate,
+      whatsappResult
+    } = scan;
+    const currentScanTime = scan.log.scannedAt;
     
     // Return the updated student info with attendance details
     return res.status(200).json({
@@ -241,7 +152,11 @@ export const markAttendance = async (req, res) => {
         student_email: student.student_email,
         address: student.address,
         parent_telephone: student.parent_telephone || '',
+        // Lets the guard check the card holder against the photo
+        photoUrl: getStudentPhotoUrl(student),
         status: statusToSave === 'left' ? 'Left Campus' : 'On Campus',
+        arrivalStatus,
+        minutesLate,
         time: currentScanTime.toLocaleTimeString('en-US', { 
           hour: '2-digit', 
           minute: '2-digit',
@@ -265,6 +180,11 @@ export const markAttendance = async (req, res) => {
         status: student.status
       },
       attendanceRecord: latestAttendanceRecord,
+      device: {
+        deviceId: device.deviceId,
+        name: device.name,
+        location: device.location
+      },
       messageDetails: whatsappResult?.success ? {
         messageId: whatsappResult.messageId,
         status: 'sent'
@@ -279,13 +199,132 @@ export const markAttendance = async (req, res) => {
   }
 };
 
+// Offline batch limits
+const MAX_BATCH_SIZE = 500;
+const MAX_SCAN_AGE_DAYS = 7;
+const MAX_CLOCK_SKEW_MINUTES = 5;
+// Parents are only alerted for scans this recent, older ones are history
+const RECENT_SCAN_MINUTES = 15;
+
+/**
+ * Sync scans a device queued while offline
+ * Each scan has a client generated id and the time it was scanned. Scans
+ * are applied oldest first through the same toggle as live scans, retries
+ * of an already synced id return the stored result instead.
+ */
+export const syncAttendanceBatch = async (req, res) => {
+  const { scans } = req.body;
+  const device = req.scannerDevice;
+
+  if (!Array.isArray(scans) || scans.length === 0) {
+    return res.status(400).json({ message: 'scans must be a non-empty array' });
+  }
+
+  if (scans.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ message: `A batch can hold at most ${MAX_BATCH_SIZE} scans` });
+  }
+
+  try {
+    const now = Date.now();
+    const results = new Array(scans.length);
+    const queue = [];
+
+    scans.forEach((scan, index) => {
+      const clientScanId = scan?.clientScanId ? String(scan.clientScanId) : null;
+      const scannedAt = new Date(scan?.scannedAt);
+      const reject = (reason, message) => {
+        results[index] = { clientScanId, outcome: 'rejected', reason, message };
+      };
+
+      if (!clientScanId) {
+        return reject('MISSING_CLIENT_ID', 'clientScanId is required');
+      }
+      if (!scan.qrCodeData || typeof scan.qrCodeData !== 'string') {
+        return reject('INVALID_FORMAT', "QR code didn't scan correctly.");
+      }
+      if (isNaN(scannedAt.getTime())) {
+        return reject('INVALID_TIMESTAMP', 'scannedAt must be a valid date');
+      }
+      if (scannedAt.getTime() > now + MAX_CLOCK_SKEW_MINUTES * 60 * 1000) {
+        return reject('INVALID_TIMESTAMP', 'scannedAt is in the future, check the device clock');
+      }
+      if (scannedAt.getTime() < now - MAX_SCAN_AGE_DAYS * 24 * 60 * 60 * 1000) {
+        return reject('TOO_OLD', `Scans older than ${MAX_SCAN_AGE_DAYS} days are not accepted`);
+      }
+
+      queue.push({ index, clientScanId, scannedAt, qrCodeData: scan.qrCodeData });
+    });
+
+    // Apply in the order the scans happened so entry and leave toggle correctly
+    queue.sort((a, b) => a.scannedAt - b.scannedAt);
+
+    for (const { index, clientScanId, scannedAt, qrCodeData } of queue) {
+      try {
+        const scan = await processScan({
+          qrCodeData,
+          device,
+          scannedAt,
+          clientScanId,
+          source: 'batch',
+          notify: now - scannedAt.getTime() <= RECENT_SCAN_MINUTES * 60 * 1000
+        });
+
+        results[index] = {
+          clientScanId,
+          outcome: scan.outcome,
+          reason: scan.reason,
+          message: scan.message,
+          duplicate: scan.duplicate,
+          attendanceStatus: scan.attendanceStatus || null,
+          scannedAt,
+          student: scan.student && !scan.duplicate ? {
+            id: scan.student._id,
+            name: scan.student.name,
+            indexNumber: scan.student.indexNumber
+          } : null,
+          notified: Boolean(scan.whatsappResult?.success)
+        };
+      } catch (error) {
+        console.error(`Error applying queued scan ${clientScanId}:`, error);
+        results[index] = {
+          clientScanId,
+          outcome: 'error',
+          reason: 'SERVER_ERROR',
+          message: 'Scan could not be applied, please retry'
+        };
+      }
+    }
+
+    const summary = {
+      total: results.length,
+      accepted: results.filter(result => result.outcome === 'accepted' && !result.duplicate).length,
+      rejected: results.filter(result => result.outcome === 'rejected' && !result.duplicate).length,
+      duplicates: results.filter(result => result.duplicate).length,
+      failed: results.filter(result => result.outcome === 'error').length
+    };
+
+    return res.status(200).json({
+      message: 'Batch processed',
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error('Error syncing attendance batch:', error);
+    return res.status(500).json({
+      message: 'Error syncing attendance batch',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get student profile details
+ * Also serves /me/profile for the logged in student
  */
 export const getStudentProfile = async (req, res) => {
   try {
-    const { studentId } = req.params;
-    const student = await Student.findById(studentId).select('-qrCode');
+    const studentId = req.student ? req.student._id : req.params.studentId;
+    const student = await Student.findById(studentId).select('-qrCodeFile');
     
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
@@ -307,13 +346,13 @@ export const getStudentProfile = async (req, res) => {
 export const updateStudentProfile = async (req, res) => {
   try {
     const { studentId } = req.params;
-    const updates = req.body;
+    const updates = pickEditableStudentFields(req.body);
 
     const student = await Student.findByIdAndUpdate(
       studentId,
       { $set: updates },
       { new: true, runValidators: true }
-    ).select('-qrCode');
+    ).select('-qrCodeFile');
 
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
@@ -332,34 +371,41 @@ export const updateStudentProfile = async (req, res) => {
 /**
  * Get attendance history for a specific student
  * Can filter by date range
+ * Also serves /me/attendance-history for the logged in student
  */
 export const getAttendanceHistory = async (req, res) => {
   try {
-    const { studentId } = req.params;
+    const studentId = req.student ? req.student._id : req.params.studentId;
     const { startDate, endDate } = req.query;
 
-    const query = { _id: studentId };
-    if (startDate && endDate) {
-      query['attendanceHistory.date'] = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
-    }
-
-    const student = await Student.findOne(query)
-      .select('name indexNumber attendanceHistory')
-      .sort({ 'attendanceHistory.date': -1 });
+    const student = await Student.findById(studentId)
+      .select('name indexNumber');
 
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    const query = { student: student._id };
+    if (startDate && endDate) {
+      query.date = {
+        $gte: startOfDay(startDate),
+        $lte: endOfDay(endDate)
+      };
+      if (Number.isNaN(query.date.$gte.getTime()) || Number.isNaN(query.date.$lte.getTime())) {
+        return res.status(400).json({ message: 'Start and end dates must be valid dates' });
+      }
+    }
+
+    const attendanceHistory = await Attendance.find(query)
+      .sort({ date: -1 })
+      .lean();
+
     res.status(200).json({
       message: 'Attendance history retrieved successfully',
       student: {
         name: student.name,
         indexNumber: student.indexNumber,
-        attendanceHistory: student.attendanceHistory
+        attendanceHistory
       }
     });
   } catch (error) {
@@ -384,31 +430,40 @@ export const getDashboardStats = async (req, res) => {
     const end = endDate ? new Date(endDate) : new Date();
     end.setHours(23, 59, 59, 999); // End of day
     
-    // Get total student count
-    const totalStudents = await Student.countDocuments({ status: 'active' });
+    // Get active students, attendance is only counted for them
+    const activeStudentIds = await Student.find({ status: 'active', ...req.classFilter }).distinct('_id');
+    const totalStudents = activeStudentIds.length;
+    const activeFilter = { student: { $in: activeStudentIds } };
     
     // Get students present today (those with entry time records for today)
-    const studentsPresent = await Student.countDocuments({
-      'attendanceHistory.entryTime': { $gte: start, $lte: end },
-      status: 'active'
-    });
+    const studentsPresent = (await Attendance.distinct('student', {
+      ...activeFilter,
+      entryTime: { $gte: start, $lte: end }
+    })).length;
     
     // Get students absent today
     const studentsAbsent = totalStudents - studentsPresent;
     
+    // Get students who arrived after the start time and grace period
+    const studentsLate = (await Attendance.distinct('student', {
+      ...activeFilter,
+      entryTime: { $gte: start, $lte: end },
+      arrivalStatus: 'late'
+    })).length;
+    
     // Get students currently in school (entered but not left)
-    const studentsInSchool = await Student.countDocuments({
-      'attendanceHistory.entryTime': { $gte: start, $lte: end },
-      'attendanceHistory.leaveTime': null,
-      status: 'active'
-    });
+    const studentsInSchool = (await Attendance.distinct('student', {
+      ...activeFilter,
+      entryTime: { $gte: start, $lte: end },
+      leaveTime: null
+    })).length;
     
     // Get students who have left (both entered and left)
-    const studentsLeft = await Student.countDocuments({
-      'attendanceHistory.entryTime': { $gte: start, $lte: end },
-      'attendanceHistory.leaveTime': { $ne: null },
-      status: 'active'
-    });
+    const studentsLeft = (await Attendance.distinct('student', {
+      ...activeFilter,
+      entryTime: { $gte: start, $lte: end },
+      leaveTime: { $ne: null }
+    })).length;
     
     // Get attendance over time (last 7 days)
     const last7Days = [];
@@ -420,9 +475,10 @@ export const getDashboardStats = async (req, res) => {
       const nextDay = new Date(day);
       nextDay.setDate(nextDay.getDate() + 1);
       
-      const count = await Student.countDocuments({
-        'attendanceHistory.date': { $gte: day, $lt: nextDay },
-        status: 'active'
+      const count = await Attendance.countDocuments({
+        ...activeFilter,
+        date: { $gte: day, $lt: nextDay },
+        status: { $ne: 'absent' }
       });
       
       last7Days.push({
@@ -437,11 +493,14 @@ export const getDashboardStats = async (req, res) => {
       : 0;
     
     // Get top 5 students with highest attendance
-    const topAttenders = await Student.find({ status: 'active' })
+    const topAttenders = await Student.find({ status: 'active', ...req.classFilter })
       .select('name indexNumber attendanceCount attendancePercentage')
       .sort({ attendanceCount: -1, attendancePercentage: -1 })
       .limit(5);
     
+    // Latest automatic absent marking run
+    const autoAbsent = await getAutoAbsentSettings();
+    
     // Return dashboard stats
     res.status(200).json({
       success: true,
@@ -450,6 +509,7 @@ export const getDashboardStats = async (req, res) => {
         totalStudents,
         studentsPresent,
         studentsAbsent,
+        studentsLate,
         studentsInSchool,
         studentsLeft,
         attendanceRate
@@ -462,7 +522,13 @@ export const getDashboardStats = async (req, res) => {
         indexNumber: student.indexNumber,
         attendanceCount: student.attendanceCount,
         attendancePercentage: student.attendancePercentage
-      }))
+      })),
+      autoAbsent: {
+        enabled: autoAbsent.enabled,
+        cutoffTime: autoAbsent.cutoffTime,
+        notifyParents: autoAbsent.notifyParents,
+        lastRun: autoAbsent.lastRun
+      }
     });
     
   } catch (error) {
@@ -474,3 +540,210 @@ export const getDashboardStats = async (req, res) => {
     });
   }
 };
+
+const signStudentToken = (student) =>
+  jwt.sign({ id: student._id, role: 'student' }, process.env.JWT_SECRET, {
+    expiresIn: '1h'
+  });
+
+// Send the login response for a student who proved who they are
+const sendStudentLogin = async (student, res) => {
+  student.lastLogin = Date.now();
+  await student.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    message: 'Login successful',
+    token: signStudentToken(student),
+    student: {
+      id: student._id,
+      name: student.name,
+      indexNumber: student.indexNumber,
+      hasPassword: Boolean(student.password)
+    }
+  });
+};
+
+/**
+ * Student login with index number and password
+ */
+export const loginStudent = async (req, res) => {
+  try {
+    const { indexNumber, password } = req.body;
+
+    if (!indexNumber || !password) {
+      return res.status(400).json({ message: 'Please provide both index number and password' });
+    }
+
+    const student = await Student.findOne({ indexNumber: String(indexNumber).toUpperCase().trim() })
+      .select('+password');
+
+    if (!student || student.status !== 'active' || !(await student.matchPassword(password))) {
+      return res.status(401).json({ message: 'Invalid index number or password' });
+    }
+
+    await sendStudentLogin(student, res);
+  } catch (error) {
+    console.error('Error logging in student:', error);
+    res.status(500).json({ message: 'Error logging in', error: error.message });
+  }
+};
+
+/**
+ * Send a student a one-time login code over WhatsApp
+ * The code goes to each of the student's guardians (or the parent telephone
+ * on record), the response does not reveal whether the index number exists
+ */
+export const requestStudentLoginOtp = async (req, res) => {
+  try {
+    const { indexNumber } = req.body;
+
+    if (!indexNumber) {
+      return res.status(400).json({ message: 'Please provide your index number' });
+    }
+
+    const response = { message: 'If the index number is registered, a login code has been sent on WhatsApp' };
+
+    const student = await Student.findOne({ indexNumber: String(indexNumber).toUpperCase().trim() });
+    const recipients = student
+      ? [...new Set(student.getGuardiansFor(GUARDIAN_EVENTS)
+        .filter(guardian => guardian.telephone)
+        .map(guardian => guardian.telephone.replace(/[\s-]/g, '')))]
+      : [];
+    if (!student || student.status !== 'active' || recipients.length === 0) {
+      return res.status(200).json(response);
+    }
+
+    const code = student.createLoginOtp();
+    await student.save({ validateBeforeSave: false });
+
+    const text = `Login code for *${student.name}* (${student.indexNumber}): *${code}*.\nIt expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`;
+    let sent = 0;
+    for (const recipient of recipients) {
+      const result = await sendTextMessage(recipient, text);
+      if (result.success) {
+        sent++;
+      } else {
+        console.error('Failed to send student login code:', result.error);
+      }
+    }
+
+    if (sent === 0) {
+      return res.status(503).json({ message: 'Could not send the login code, please try again later' });
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error('Error requesting student login code:', error);
+    res.status(500).json({ message: 'Error requesting login code', error: error.message });
+  }
+};
+
+/**
+ * Student login with the code sent over WhatsApp
+ */
+export const verifyStudentLoginOtp = async (req, res) => {
+  try {
+    const { indexNumber, code } = req.body;
+
+    if (!indexNumber || !code) {
+      return res.status(400).json({ message: 'Please provide your index number and the login code' });
+    }
+
+    const student = await Student.findOne({ indexNumber: String(indexNumber).toUpperCase().trim() })
+      .select('+password +otpHash +otpExpires +otpAttempts');
+
+    if (!student || student.status !== 'active' || !(await student.verifyLoginOtp(code))) {
+      return res.status(401).json({ message: 'Invalid or expired login code' });
+    }
+
+    await sendStudentLogin(student, res);
+  } catch (error) {
+    console.error('Error verifying student login code:', error);
+    res.status(500).json({ message: 'Error verifying login code', error: error.message });
+  }
+};
+
+/**
+ * Set or change the logged in student's password
+ * A student who has a password must send the current one
+ */
+export const updateStudentPassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword) {
+      return res.status(400).json({ message: 'Please provide a new password' });
+    }
+
+    const student = await Student.findById(req.student._id).select('+password');
+    if (student.password && !(await student.matchPassword(currentPassword || ''))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    student.password = newPassword;
+    await student.save();
+
+    // Tokens issued before the change are rejected, this one replaces them
+    res.status(200).json({ message: 'Password updated successfully', token: signStudentToken(student) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating student password:', error);
+    res.status(500).json({ message: 'Error updating password', error: error.message });
+  }
+};
+
+/**
+ * Submit an explanation for a day the logged in student was marked absent
+ * Can be edited until the school has reviewed it
+ */
+export const submitAbsenceExplanation = async (req, res) => {
+  try {
+    const { date, reason } = req.body;
+
+    if (!date || !reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'Please provide the date and a reason' });
+    }
+
+    const day = new Date(date);
+    if (isNaN(day.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    const record = await Attendance.findOne({
+      student: req.student._id,
+      date: startOfDay(day)
+    });
+
+    if (!record || record.status !== 'absent') {
+      return res.status(400).json({ message: 'You were not marked absent on this day' });
+    }
+
+    if (record.absenceExplanation && record.absenceExplanation.status !== 'pending') {
+      return res.status(400).json({ message: 'This explanation has already been reviewed' });
+    }
+
+    record.absenceExplanation = {
+      reason,
+      submittedAt: new Date(),
+      status: 'pending'
+    };
+    await record.save();
+
+    res.status(200).json({
+      message: 'Absence explanation submitted successfully',
+      record: {
+        date: record.date,
+        status: record.status,
+        absenceExplanation: record.absenceExplanation
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error submitting absence explanation:', error);
+    res.status(500).json({ message: 'Error submitting absence explanation', error: error.message });
+  }
+};
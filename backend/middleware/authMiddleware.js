@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import Admin from '../models/admin.model.js';
 import Student from '../models/student.model.js';
+import Parent from '../models/parent.model.js';
 import AppError from '../utils/appError.js';
 
 // Protect routes - verify JWT token
@@ -53,6 +54,10 @@ export const restrictTo = (...roles) => {
   };
 };
 
+// School-wide actions (settings, calendar, enrolment) are for admins only,
+// teachers are limited to the classes they are assigned to
+export const restrictToAdmins = restrictTo('admin', 'superadmin');
+
 // Verify student token
 export const verifyStudent = async (req, res, next) => {
   try {
@@ -66,12 +71,20 @@ export const verifyStudent = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'student') {
+      return next(new AppError('Invalid token. Please log in again.', 401));
+    }
+
     const student = await Student.findById(decoded.id);
 
     if (!student) {
       return next(new AppError('The student belonging to this token no longer exists.', 401));
     }
 
+    if (student.changedPasswordAfter(decoded.iat)) {
+      return next(new AppError('Password recently changed! Please log in again.', 401));
+    }
+
     if (student.status !== 'active') {
       return next(new AppError('Your account is not active. Please contact support.', 401));
     }
@@ -83,6 +96,39 @@ export const verifyStudent = async (req, res, next) => {
   }
 };
 
+// Verify parent portal token
+export const protectParent = async (req, res, next) => {
+  try {
+    let token;
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return next(new AppError('You are not logged in. Please log in to get access.', 401));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.role !== 'parent') {
+      return next(new AppError('Invalid token. Please log in again.', 401));
+    }
+
+    const parent = await Parent.findById(decoded.id);
+    if (!parent) {
+      return next(new AppError('The parent belonging to this token no longer exists.', 401));
+    }
+
+    if (!parent.isActive) {
+      return next(new AppError('Your account is not active. Please contact the school.', 401));
+    }
+
+    req.parent = parent;
+    next();
+  } catch (error) {
+    next(new AppError('Invalid token. Please log in again.', 401));
+  }
+};
+
 // Check if user is admin
 export const isAdmin = (req, res, next) => {
   try {
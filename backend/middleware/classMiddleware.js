@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import SchoolClass from '../models/class.model.js';
+import Student from '../models/student.model.js';
+import AppError from '../utils/appError.js';
+
+// Classes the logged in teacher is assigned to, cached on the request.
+// Admins are not scoped, so this is null for them.
+const getScopedClassIds = async (req) => {
+  if (req.admin?.role !== 'teacher') {
+    return null;
+  }
+
+  if (!req.scopedClassIds) {
+    req.scopedClassIds = await SchoolClass.find({ classTeacher: req.admin._id }).distinct('_id');
+  }
+  return req.scopedClassIds;
+};
+
+const isInScope = (scopedClassIds, classId) =>
+  scopedClassIds.some(id => id.equals(classId));
+
+// Resolve the optional classId filter (query string or body) into a Student
+// query filter on req.classFilter, so controllers can merge it into any
+// Student query. Without a classId the filter is empty for admins and
+// limited to their own classes for teachers.
+export const resolveClassFilter = async (req, res, next) => {
+  try {
+    const classId = req.query.classId || req.body?.classId;
+    const scopedClassIds = await getScopedClassIds(req);
+    req.classFilter = scopedClassIds ? { schoolClass: { $in: scopedClassIds } } : {};
+
+    if (!classId) {
+      return next();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(classId)) {
+      return next(new AppError('Invalid class id.', 400));
+    }
+
+    const schoolClass = await SchoolClass.findById(classId);
+    if (!schoolClass) {
+      return next(new AppError('Class not found.', 404));
+    }
+
+    if (scopedClassIds && !isInScope(scopedClassIds, schoolClass._id)) {
+      return next(new AppError('You are not assigned to this class.', 403));
+    }
+
+    req.schoolClass = schoolClass;
+    req.classFilter = { schoolClass: schoolClass._id };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Guard routes for a single class (:id) so teachers only reach their own
+export const requireClassAccess = async (req, res, next) => {
+  try {
+    const scopedClassIds = await getScopedClassIds(req);
+    if (!scopedClassIds || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next();
+    }
+
+    if (!isInScope(scopedClassIds, req.params.id)) {
+      return next(new AppError('You are not assigned to this class.', 403));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Guard routes for a single student so teachers only reach students in
+// their classes. The student id can come from the route, body or query;
+// unknown students are left to the controller to report as not found.
+export const requireStudentAccess = async (req, res, next) => {
+  try {
+    const scopedClassIds = await getScopedClassIds(req);
+    if (!scopedClassIds) {
+      return next();
+    }
+
+    const studentId = req.params.studentId || req.params.id || req.body?.studentId || req.query.studentId;
+    if (!studentId || !mongoose.Types.ObjectId.isValid(studentId)) {
+      return next();
+    }
+
+    const student = await Student.findById(studentId).select('schoolClass').lean();
+    if (!student) {
+      return next();
+    }
+
+    if (!student.schoolClass || !isInScope(scopedClassIds, student.schoolClass)) {
+      return next(new AppError('You can only access students in your assigned classes.', 403));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,36 @@
+import ScannerDevice from '../models/scannerDevice.model.js';
+import AppError from '../utils/appError.js';
+
+// Verify a registered scanner device from the X-Device-Id and X-Device-Key
+// headers. Unknown or disabled devices are rejected, the device is then
+// available to controllers as req.scannerDevice.
+export const verifyScannerDevice = async (req, res, next) => {
+  try {
+    const deviceId = req.headers['x-device-id'];
+    const apiKey = req.headers['x-device-key'];
+
+    if (!deviceId || !apiKey) {
+      return next(new AppError('Scanner device credentials are required.', 401));
+    }
+
+    const device = await ScannerDevice.authenticate(deviceId, apiKey);
+    if (!device) {
+      return next(new AppError('Unknown scanner device.', 401));
+    }
+
+    if (!device.enabled) {
+      return next(new AppError('This scanner device has been disabled.', 403));
+    }
+
+    // Last seen is informational, a failure must not block the scan
+    ScannerDevice.updateOne(
+      { _id: device._id },
+      { lastSeenAt: new Date(), lastSeenIp: req.ip }
+    ).catch(() => {});
+
+    req.scannerDevice = device;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
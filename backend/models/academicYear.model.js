@@ -0,0 +1,226 @@
+import mongoose from 'mongoose';
+import { startOfDay, endOfDay } from '../utils/dateUtils.js';
+
+// Sunday and Saturday, used when no academic year has been configured
+export const DEFAULT_WEEKEND_DAYS = [0, 6];
+
+const termSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Term name is required'],
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Term start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Term end date is required']
+  }
+});
+
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['public_holiday', 'closure'],
+      message: 'Type must be one of: public_holiday, closure'
+    },
+    default: 'public_holiday'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Holiday date is required']
+  },
+  endDate: {
+    // Same as startDate for a single day
+    type: Date
+  }
+});
+
+/**
+ * An academic year with its terms, weekend days, public holidays and
+ * ad-hoc closures. A day is a school day when it falls inside a term
+ * (or anywhere in the year if no terms are defined), is not a weekend
+ * day and is not covered by a holiday or closure.
+ */
+const academicYearSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Academic year name is required'],
+    unique: true,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  weekendDays: {
+    // Day numbers as returned by Date#getDay (0 = Sunday)
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: DEFAULT_WEEKEND_DAYS
+  },
+  terms: [termSchema],
+  holidays: [holidaySchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+academicYearSchema.index({ startDate: 1, endDate: 1 });
+
+// Store whole days only and keep date ranges the right way round
+// Missing dates are left alone so the required validators can report them
+academicYearSchema.pre('validate', function(next) {
+  const normalize = (date) => (date ? startOfDay(date) : date);
+
+  this.startDate = normalize(this.startDate);
+  this.endDate = normalize(this.endDate);
+
+  if (this.startDate && this.endDate && this.startDate > this.endDate) {
+    this.invalidate('endDate', 'Academic year end date must be after its start date');
+  }
+
+  this.terms.forEach((term, index) => {
+    term.startDate = normalize(term.startDate);
+    term.endDate = normalize(term.endDate);
+    if (!term.startDate || !term.endDate) return;
+
+    if (term.startDate > term.endDate) {
+      this.invalidate(`terms.${index}.endDate`, `Term "${term.name}" end date must be after its start date`);
+    } else if (term.startDate < this.startDate || term.endDate > this.endDate) {
+      this.invalidate(`terms.${index}.startDate`, `Term "${term.name}" must fall inside the academic year`);
+    }
+  });
+
+  this.holidays.forEach((holiday, index) => {
+    holiday.startDate = normalize(holiday.startDate);
+    holiday.endDate = normalize(holiday.endDate || holiday.startDate);
+    if (holiday.startDate && holiday.startDate > holiday.endDate) {
+      this.invalidate(`holidays.${index}.endDate`, `Holiday "${holiday.name}" end date must be after its start date`);
+    }
+  });
+
+  next();
+});
+
+const inRange = (day, startDate, endDate) => day >= startDate && day <= endDate;
+
+/**
+ * Check whether a day is a school day according to one academic year
+ * Works on both documents and lean objects
+ * @param {Object} year - Academic year
+ * @param {Date} day - Start of the day to check
+ * @returns {boolean}
+ */
+const isSchoolDayInYear = (year, day) => {
+  if (!inRange(day, year.startDate, year.endDate)) return false;
+
+  const weekendDays = year.weekendDays || DEFAULT_WEEKEND_DAYS;
+  if (weekendDays.includes(day.getDay())) return false;
+
+  const terms = year.terms || [];
+  if (terms.length > 0 && !terms.some(term => inRange(day, term.startDate, term.endDate))) {
+    return false;
+  }
+
+  return !(year.holidays || []).some(holiday =>
+    inRange(day, holiday.startDate, holiday.endDate || holiday.startDate)
+  );
+};
+
+academicYearSchema.methods.isSchoolDay = function(date) {
+  return isSchoolDayInYear(this, startOfDay(date));
+};
+
+// School days by date range, so attendance percentages do not rebuild the
+// calendar on every scan. Cleared whenever a calendar changes here, and
+// expired after a while for changes made by other server instances.
+const SCHOOL_DAYS_CACHE_TTL_MS = 10 * 60 * 1000;
+const SCHOOL_DAYS_CACHE_MAX_ENTRIES = 1000;
+const schoolDaysCache = new Map();
+
+const clearSchoolDaysCache = () => schoolDaysCache.clear();
+
+academicYearSchema.post(
+  ['save', 'deleteOne', 'updateOne', 'updateMany', 'deleteMany', 'findOneAndUpdate', 'findOneAndDelete'],
+  { document: true, query: true },
+  clearSchoolDaysCache
+);
+
+/**
+ * Find the academic year containing a date
+ * @param {Date} [date] - Defaults to today
+ * @returns {Promise<Object|null>} Academic year document
+ */
+academicYearSchema.statics.findForDate = function(date = new Date()) {
+  const day = startOfDay(date);
+  return this.findOne({ startDate: { $lte: day }, endDate: { $gte: day } });
+};
+
+/**
+ * List the school days in a date range
+ * Days outside every academic year are not school days once a calendar has
+ * been set up; until then every non-weekend day counts.
+ * @param {Date} startDate - Inclusive lower bound
+ * @param {Date} endDate - Inclusive upper bound
+ * @returns {Promise<Date[]>} Start of each school day, in order
+ */
+academicYearSchema.statics.getSchoolDays = async function(startDate, endDate) {
+  const first = startOfDay(startDate);
+  const last = endOfDay(endDate);
+  if (first > last) return [];
+
+  const cacheKey = `${first.getTime()}-${last.getTime()}`;
+  const cached = schoolDaysCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.schoolDays.map(day => new Date(day));
+  }
+
+  const [years, calendarConfigured] = await Promise.all([
+    this.find({ startDate: { $lte: last }, endDate: { $gte: first } }).lean(),
+    this.exists({})
+  ]);
+
+  const schoolDays = [];
+  for (let day = new Date(first); day <= last; day.setDate(day.getDate() + 1)) {
+    const current = new Date(day);
+    const year = years.find(y => inRange(current, y.startDate, y.endDate));
+
+    if (year) {
+      if (isSchoolDayInYear(year, current)) schoolDays.push(current);
+    } else if (!calendarConfigured && !DEFAULT_WEEKEND_DAYS.includes(current.getDay())) {
+      schoolDays.push(current);
+    }
+  }
+
+  if (schoolDaysCache.size >= SCHOOL_DAYS_CACHE_MAX_ENTRIES) clearSchoolDaysCache();
+  schoolDaysCache.set(cacheKey, { schoolDays, expiresAt: Date.now() + SCHOOL_DAYS_CACHE_TTL_MS });
+
+  return schoolDays.map(day => new Date(day));
+};
+
+/**
+ * Check whether a single date is a school day
+ * @param {Date} [date] - Defaults to today
+ * @returns {Promise<boolean>}
+ */
+academicYearSchema.statics.isSchoolDay = async function(date = new Date()) {
+  const schoolDays = await this.getSchoolDays(date, date);
+  return schoolDays.length > 0;
+};
+
+const AcademicYear = mongoose.model('AcademicYear', academicYearSchema);
+
+export default AcademicYear;
@@ -30,8 +30,9 @@ const adminSchema = new mongoose.Schema(
     role: {
       type: String,
       enum: {
-        values: ['admin', 'superadmin'],
-        message: 'Role must be either admin or superadmin'
+        // Teachers only see the students of the classes they teach
+        values: ['admin', 'superadmin', 'teacher'],
+        message: 'Role must be one of: admin, superadmin, teacher'
       },
       default: 'admin'
     },
@@ -0,0 +1,352 @@
+import mongoose from 'mongoose';
+import { DateTime } from 'luxon';
+import Setting from './setting.model.js';
+
+// Late arrival policy is stored in the settings collection under this key
+export const LATE_POLICY_SETTINGS_KEY = 'latePolicy';
+
+// The late policy's start time is a wall-clock time at the school
+export const SCHOOL_TIMEZONE = 'Asia/Colombo';
+
+export const DEFAULT_LATE_POLICY = {
+  schoolStartTime: '07:30', // HH:MM, 24-hour, school time
+  gracePeriodMinutes: 10
+};
+
+// Reason codes staff pick from when recording attendance by hand
+export const OVERRIDE_REASONS_SETTINGS_KEY = 'attendanceOverrideReasons';
+
+export const DEFAULT_OVERRIDE_REASONS = {
+  reasons: [
+    { code: 'FORGOT_CARD', label: 'Forgot card, verified by teacher', requiresNote: false },
+    { code: 'ARRIVED_WITH_PARENT', label: 'Arrived with parent', requiresNote: false },
+    { code: 'MEDICAL_APPOINTMENT', label: 'Medical appointment', requiresNote: false },
+    { code: 'SCANNER_FAULT', label: 'Scanner not working', requiresNote: false },
+    { code: 'OTHER', label: 'Other', requiresNote: true }
+  ]
+};
+
+// Which records reports include, by whether they were entered by hand
+export const OVERRIDE_FILTERS = ['include', 'only', 'exclude'];
+
+// A student's explanation for an absence and the school's review of it
+const absenceExplanationSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+// Attendance recorded by hand instead of by a scan
+const overrideSchema = new mongoose.Schema({
+  reasonCode: {
+    type: String,
+    required: true
+  },
+  // Copied so reports read the same after the reason list changes
+  reasonLabel: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  },
+  overriddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  overriddenAt: {
+    type: Date,
+    default: Date.now
+  },
+  previous: {
+    // The absent record that was replaced, empty when there was none
+    status: String,
+    entryTime: Date,
+    leaveTime: Date
+  }
+}, { _id: false });
+
+// An approved correction, with the values it replaced
+const appliedCorrectionSchema = new mongoose.Schema({
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceCorrection',
+    required: true
+  },
+  from: {
+    status: String,
+    entryTime: Date,
+    leaveTime: Date
+  },
+  to: {
+    status: String,
+    entryTime: Date,
+    leaveTime: Date
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * One attendance record per student per school day
+ * Replaces the array that used to be embedded in the Student document
+ */
+const attendanceSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  date: {
+    // Start of the day (server local time) this record belongs to
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['present', 'absent', 'left', 'entered'],
+      message: 'Status must be one of: present, absent, left, entered'
+    },
+    default: 'entered',
+    required: true
+  },
+  entryTime: {
+    type: Date,
+    default: null
+  },
+  arrivalStatus: {
+    // Set from the late policy when the first entry of the day is recorded
+    type: String,
+    enum: {
+      values: ['on_time', 'late'],
+      message: 'Arrival status must be one of: on_time, late'
+    },
+    default: null
+  },
+  minutesLate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minutes late cannot be negative']
+  },
+  leaveTime: {
+    type: Date,
+    default: null
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  scanLocation: {
+    type: String,
+    default: 'Main Entrance'
+  },
+  deviceInfo: {
+    type: String,
+    default: null
+  },
+  absenceExplanation: {
+    type: absenceExplanationSchema,
+    default: null
+  },
+  corrections: {
+    // Oldest first, the first entry holds the values as originally recorded
+    type: [appliedCorrectionSchema],
+    default: []
+  },
+  override: {
+    type: overrideSchema,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// A student has at most one record per day
+attendanceSchema.index({ student: 1, date: 1 }, { unique: true });
+
+// Daily roll and report queries filter by date first
+attendanceSchema.index({ date: 1, status: 1 });
+attendanceSchema.index({ 'absenceExplanation.status': 1 }, { sparse: true });
+attendanceSchema.index({ 'override.reasonCode': 1, date: 1 }, { sparse: true });
+
+/**
+ * Get the late arrival policy
+ * @returns {Promise<Object>} { schoolStartTime, gracePeriodMinutes }
+ */
+attendanceSchema.statics.getLatePolicy = function() {
+  return Setting.getValue(LATE_POLICY_SETTINGS_KEY, DEFAULT_LATE_POLICY);
+};
+
+/**
+ * Get the reason codes for attendance entered by hand
+ * @returns {Promise<Object>} { reasons: [{ code, label, requiresNote }] }
+ */
+attendanceSchema.statics.getOverrideReasons = function() {
+  return Setting.getValue(OVERRIDE_REASONS_SETTINGS_KEY, DEFAULT_OVERRIDE_REASONS);
+};
+
+/**
+ * Classify an entry time as on time or late
+ * The start time is read in the school timezone, whatever the server's is.
+ * Lateness is measured from the start time, the grace period only decides
+ * whether the entry counts as late at all
+ * @param {Date} entryTime - First entry of the day
+ * @param {Object} policy - Late policy
+ * @returns {Object} { arrivalStatus, minutesLate }
+ */
+attendanceSchema.statics.classifyArrival = function(entryTime, policy = DEFAULT_LATE_POLICY) {
+  const [hour, minute] = policy.schoolStartTime.split(':').map(Number);
+  const entry = DateTime.fromJSDate(new Date(entryTime)).setZone(SCHOOL_TIMEZONE);
+  const startTime = entry.set({ hour, minute, second: 0, millisecond: 0 });
+
+  const deadline = startTime.plus({ minutes: policy.gracePeriodMinutes || 0 });
+  if (entry <= deadline) {
+    return { arrivalStatus: 'on_time', minutesLate: 0 };
+  }
+
+  return {
+    arrivalStatus: 'late',
+    minutesLate: Math.ceil(entry.diff(startTime, 'minutes').minutes)
+  };
+};
+
+// Classify the first entry of the day against the late policy
+attendanceSchema.pre('save', async function() {
+  if (this.entryTime && this.isModified('entryTime') && !this.arrivalStatus) {
+    const policy = await this.constructor.getLatePolicy();
+    const { arrivalStatus, minutesLate } = this.constructor.classifyArrival(this.entryTime, policy);
+    this.arrivalStatus = arrivalStatus;
+    this.minutesLate = minutesLate;
+  }
+});
+
+/**
+ * Build a date range filter for the `date` field
+ * @param {Date} [startDate] - Inclusive lower bound
+ * @param {Date} [endDate] - Inclusive upper bound
+ * @returns {Object|undefined} Mongo filter or undefined when no bounds are given
+ */
+const buildDateFilter = (startDate, endDate) => {
+  if (!startDate && !endDate) return undefined;
+
+  const filter = {};
+  if (startDate) filter.$gte = startDate;
+  if (endDate) filter.$lte = endDate;
+  return filter;
+};
+
+/**
+ * Find attendance records in a date range
+ * @param {Object} options
+ * @param {Array} [options.students] - Student documents or ids to restrict to
+ * @param {Date} [options.startDate] - Inclusive lower bound
+ * @param {Date} [options.endDate] - Inclusive upper bound
+ * @param {string} [options.overrides] - 'only' or 'exclude' records entered
+ *   by hand, anything else includes them
+ * @returns {Promise<Array>} Lean records sorted by date ascending
+ */
+attendanceSchema.statics.findInRange = function({ students, startDate, endDate, overrides } = {}) {
+  const query = {};
+
+  const dateFilter = buildDateFilter(startDate, endDate);
+  if (dateFilter) query.date = dateFilter;
+
+  if (overrides === 'only') query.override = { $ne: null };
+  if (overrides === 'exclude') query.override = null;
+
+  if (students) {
+    query.student = { $in: students.map(student => student._id || student) };
+  }
+
+  return this.find(query).sort({ date: 1 }).lean();
+};
+
+/**
+ * Load attendance records in a date range grouped by student id
+ * Lets report code keep working with a per-student list of records
+ * @param {Object} options - Same as findInRange
+ * @returns {Promise<Map<string, Array>>} Map of student id to records
+ */
+attendanceSchema.statics.mapByStudent = async function(options = {}) {
+  const records = await this.findInRange(options);
+  const recordsByStudent = new Map();
+
+  records.forEach(record => {
+    const key = record.student.toString();
+    if (!recordsByStudent.has(key)) {
+      recordsByStudent.set(key, []);
+    }
+    recordsByStudent.get(key).push(record);
+  });
+
+  return recordsByStudent;
+};
+
+/**
+ * Get ids of students that have at least one record in a date range
+ * @param {Date} [startDate] - Inclusive lower bound
+ * @param {Date} [endDate] - Inclusive upper bound
+ * @returns {Promise<Array>} Distinct student ids
+ */
+attendanceSchema.statics.studentIdsInRange = function(startDate, endDate) {
+  const query = {};
+
+  const dateFilter = buildDateFilter(startDate, endDate);
+  if (dateFilter) query.date = dateFilter;
+
+  return this.distinct('student', query);
+};
+
+const Attendance = mongoose.model('Attendance', attendanceSchema);
+
+export default Attendance;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * A student's attendance totals for a closed academic year
+ * Written by the year-end promotion so the totals survive later changes to
+ * the calendar, the student or the attendance records
+ */
+const attendanceArchiveSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  academicYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    required: true
+  },
+  // Copied so the archive reads correctly after renames and deletions
+  indexNumber: String,
+  name: String,
+  schoolClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
+  },
+  className: {
+    type: String,
+    default: null
+  },
+  schoolDays: {
+    type: Number,
+    default: 0
+  },
+  attendedDays: {
+    type: Number,
+    default: 0
+  },
+  absentDays: {
+    type: Number,
+    default: 0
+  },
+  lateDays: {
+    type: Number,
+    default: 0
+  },
+  attendancePercentage: {
+    type: Number,
+    default: 0
+  },
+  promotion: {
+    // Run that wrote the archive, rolling it back removes the archive
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+attendanceArchiveSchema.index({ student: 1, academicYear: 1 }, { unique: true });
+attendanceArchiveSchema.index({ academicYear: 1, schoolClass: 1 });
+
+const AttendanceArchive = mongoose.model('AttendanceArchive', attendanceArchiveSchema);
+
+export default AttendanceArchive;
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+export const CORRECTABLE_STATUSES = ['present', 'absent', 'left', 'entered'];
+
+// The fields a correction can change, as they were or as proposed
+const attendanceValuesSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: {
+      values: CORRECTABLE_STATUSES,
+      message: `Status must be one of: ${CORRECTABLE_STATUSES.join(', ')}`
+    },
+    default: null
+  },
+  entryTime: {
+    type: Date,
+    default: null
+  },
+  leaveTime: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Reference to a file in the file store, see services/fileStore.js
+const attachmentSchema = new mongoose.Schema({
+  key: String,
+  filename: String,
+  contentType: String,
+  size: Number,
+  etag: String,
+  updatedAt: Date
+}, { _id: false });
+
+/**
+ * A proposed change to one day of a student's attendance
+ * Nothing changes until another admin approves the request, approval then
+ * applies it through Student#applyAttendanceCorrection. Records a superadmin
+ * deletes outright are kept here too, as approved removals.
+ */
+const attendanceCorrectionSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  attendance: {
+    // Null when the day has no record yet, approval then creates it
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    default: null
+  },
+  date: {
+    // Start of the day being corrected
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  original: {
+    // The record when the request was made, null when there was none
+    type: attendanceValuesSchema,
+    default: null
+  },
+  proposed: {
+    // Null fields stay as they are
+    type: attendanceValuesSchema,
+    required: true
+  },
+  removesRecord: {
+    // The record was deleted, original holds what it said
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  attachment: {
+    // Supporting document, e.g. a signed note from the gate
+    type: attachmentSchema,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One open request per student and day, reviewers see a single proposal
+attendanceCorrectionSchema.index(
+  { student: 1, date: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+attendanceCorrectionSchema.index({ status: 1, createdAt: -1 });
+attendanceCorrectionSchema.index({ student: 1, date: -1 });
+
+const AttendanceCorrection = mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
+
+export default AttendanceCorrection;
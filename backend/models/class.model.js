@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+/**
+ * A class (grade and section) for one academic year
+ * Students are enrolled through their `schoolClass` field, so a student
+ * belongs to at most one class at a time
+ */
+const classSchema = new mongoose.Schema({
+  name: {
+    // Display name, e.g. "Grade 10 - A"
+    type: String,
+    required: [true, 'Class name is required'],
+    trim: true,
+    maxlength: [50, 'Class name cannot exceed 50 characters']
+  },
+  grade: {
+    type: String,
+    required: [true, 'Grade is required'],
+    trim: true
+  },
+  section: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: ''
+  },
+  academicYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    required: [true, 'Academic year is required']
+  },
+  classTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One class per grade and section in a year
+classSchema.index({ academicYear: 1, grade: 1, section: 1 }, { unique: true });
+
+// Enrolled students
+classSchema.virtual('students', {
+  ref: 'Student',
+  localField: '_id',
+  foreignField: 'schoolClass'
+});
+
+classSchema.virtual('studentCount', {
+  ref: 'Student',
+  localField: '_id',
+  foreignField: 'schoolClass',
+  count: true
+});
+
+const SchoolClass = mongoose.model('Class', classSchema);
+
+export default SchoolClass;
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import validator from 'validator';
+import Student from './student.model.js';
+import { loginOtpPlugin } from '../utils/loginOtp.js';
+
+// Placeholder the student model stores when no parent email was given,
+// it must never link a parent to a child
+export const PLACEHOLDER_PARENT_EMAIL = 'default@example.com';
+
+// Same normalisation the student model applies to parent_telephone
+export const normalizeTelephone = (telephone) =>
+  telephone ? String(telephone).replace(/[\s-]/g, '') : telephone;
+
+/**
+ * A parent portal account
+ * Linked to children through the parent_email / parent_telephone and the
+ * guardian contacts stored on the students, the link is refreshed whenever
+ * the parent logs in
+ */
+const parentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Name cannot exceed 50 characters']
+    },
+    email: {
+      type: String,
+      unique: true,
+      sparse: true,
+      lowercase: true,
+      trim: true,
+      validate: [validator.isEmail, 'Please provide a valid email']
+    },
+    telephone: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true
+    },
+    password: {
+      type: String,
+      minlength: [8, 'Password must be at least 8 characters long'],
+      select: false
+    },
+    students: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student'
+    }],
+    lastLogin: Date,
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+parentSchema.plugin(loginOtpPlugin);
+
+// A parent needs at least one way to be matched to their children
+parentSchema.pre('validate', function (next) {
+  if (!this.email && !this.telephone) {
+    this.invalidate('email', 'Either an email or a telephone number is required');
+  }
+  next();
+});
+
+parentSchema.pre('save', async function (next) {
+  if (this.isModified('telephone')) {
+    this.telephone = normalizeTelephone(this.telephone);
+  }
+
+  if (!this.isModified('password') || !this.password) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Compare a login password, parents who only use OTP have none
+parentSchema.methods.matchPassword = async function (enteredPassword) {
+  if (!this.password) return false;
+  return await bcrypt.compare(enteredPassword, this.password);
+};
+
+// Re-link the students whose parent or guardian email or telephone match
+parentSchema.methods.syncChildren = async function () {
+  const matches = [];
+  if (this.email && this.email !== PLACEHOLDER_PARENT_EMAIL) {
+    matches.push({ parent_email: this.email }, { 'guardians.email': this.email });
+  }
+  if (this.telephone) {
+    const telephone = normalizeTelephone(this.telephone);
+    matches.push({ parent_telephone: telephone }, { 'guardians.telephone': telephone });
+  }
+
+  this.students = matches.length > 0
+    ? await Student.find({ $or: matches }).distinct('_id')
+    : [];
+
+  return this.students;
+};
+
+// Whether a student is one of this parent's children
+parentSchema.methods.hasChild = function (studentId) {
+  return this.students.some(id => id.equals(studentId));
+};
+
+const Parent = mongoose.model('Parent', parentSchema);
+
+export default Parent;
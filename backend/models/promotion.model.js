@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+const studentStateSchema = new mongoose.Schema({
+  schoolClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
+  },
+  status: String
+}, { _id: false });
+
+const promotionChangeSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  indexNumber: String,
+  action: {
+    type: String,
+    enum: ['promote', 'graduate', 'deactivate']
+  },
+  from: studentStateSchema,
+  to: studentStateSchema
+}, { _id: false });
+
+/**
+ * One year-end promotion run
+ * Keeps every student change so the run can be rolled back until
+ * rollbackUntil, see services/promotionService.js
+ */
+const promotionSchema = new mongoose.Schema({
+  fromYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    required: true
+  },
+  toYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    required: true
+  },
+  options: {
+    // Request the plan was built from
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'rolled_back'],
+    default: 'applied'
+  },
+  summary: {
+    promoted: { type: Number, default: 0 },
+    graduated: { type: Number, default: 0 },
+    deactivated: { type: Number, default: 0 },
+    archived: { type: Number, default: 0 },
+    unmappedClasses: { type: Number, default: 0 }
+  },
+  changes: [promotionChangeSchema],
+  createdClasses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  rollbackUntil: {
+    type: Date,
+    required: true
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  rolledBackAt: {
+    type: Date,
+    default: null
+  },
+  rollbackConflicts: [{
+    // Students changed after the promotion, left as they are
+    _id: false,
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+    indexNumber: String
+  }]
+}, {
+  timestamps: true
+});
+
+// A year can only be promoted once, roll back the run to promote it again
+promotionSchema.index(
+  { fromYear: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied' } }
+);
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+/**
+ * Every QR scan a scanner device sent, accepted or not
+ * Queued offline scans carry a client generated id, which is unique per
+ * device so a retried batch is only applied once
+ */
+const scanLogSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScannerDevice',
+    default: null
+  },
+  clientScanId: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['live', 'batch'],
+    default: 'live'
+  },
+  scannedAt: {
+    // When the card was scanned, for batches the device's clock
+    type: Date,
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  outcome: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected'],
+    default: 'pending'
+  },
+  reason: {
+    // Machine readable code for rejected scans, e.g. REVOKED
+    type: String,
+    default: null
+  },
+  message: {
+    type: String,
+    default: null
+  },
+  attendanceStatus: {
+    type: String,
+    default: null
+  },
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    default: null
+  },
+  notified: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+scanLogSchema.index(
+  { deviceId: 1, clientScanId: 1 },
+  { unique: true, partialFilterExpression: { clientScanId: { $type: 'string' } } }
+);
+scanLogSchema.index({ scannedAt: -1 });
+scanLogSchema.index({ outcome: 1, scannedAt: -1 });
+
+const ScanLog = mongoose.model('ScanLog', scanLogSchema);
+
+export default ScanLog;
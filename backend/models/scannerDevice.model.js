@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+/**
+ * A QR scanner allowed to post attendance scans
+ * Devices authenticate with their deviceId and an API key. Only a hash of
+ * the key is stored, the key itself is shown once when it is issued.
+ */
+const scannerDeviceSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `SCN-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+  },
+  name: {
+    type: String,
+    required: [true, 'Device name is required'],
+    trim: true,
+    maxlength: [50, 'Device name cannot exceed 50 characters']
+  },
+  location: {
+    // Recorded on every scan instead of anything the device sends
+    type: String,
+    required: [true, 'Device location is required'],
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  mode: {
+    // Entry-only and exit-only gates reject scans in the other direction
+    type: String,
+    enum: {
+      values: ['both', 'entry', 'exit'],
+      message: 'Mode must be one of: both, entry, exit'
+    },
+    default: 'both'
+  },
+  apiKeyHash: {
+    type: String,
+    select: false
+  },
+  apiKeyPrefix: {
+    // First characters of the key, so admins can tell keys apart
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
+  lastSeenIp: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Issue a new API key, replacing any previous one
+ * @returns {string} The plain key, it cannot be recovered later
+ */
+scannerDeviceSchema.methods.issueApiKey = function() {
+  const apiKey = crypto.randomBytes(32).toString('hex');
+
+  this.apiKeyHash = hashApiKey(apiKey);
+  this.apiKeyPrefix = apiKey.substring(0, 8);
+
+  return apiKey;
+};
+
+/**
+ * Find the device for a deviceId and API key pair
+ * @returns {Promise<Document|null>} The device, or null when the pair is wrong
+ */
+scannerDeviceSchema.statics.authenticate = async function(deviceId, apiKey) {
+  if (!deviceId || !apiKey) return null;
+
+  const device = await this.findOne({ deviceId: String(deviceId) }).select('+apiKeyHash');
+  if (!device || !device.apiKeyHash) return null;
+
+  const expected = Buffer.from(device.apiKeyHash, 'hex');
+  const received = Buffer.from(hashApiKey(apiKey), 'hex');
+
+  return crypto.timingSafeEqual(expected, received) ? device : null;
+};
+
+const ScannerDevice = mongoose.model('ScannerDevice', scannerDeviceSchema);
+
+export default ScannerDevice;
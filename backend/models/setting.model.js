@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * Key/value store for system settings that admins can change at runtime
+ * Each feature keeps one document under its own key
+ */
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Read a setting, filling in defaults for anything not stored yet
+ * @param {string} key - Setting key
+ * @param {Object} [defaults] - Values used for missing fields
+ * @returns {Promise<Object>} Stored value merged over the defaults
+ */
+settingSchema.statics.getValue = async function(key, defaults = {}) {
+  const setting = await this.findOne({ key }).lean();
+  return { ...defaults, ...(setting?.value || {}) };
+};
+
+/**
+ * Merge changes into a setting, creating it if needed
+ * @param {string} key - Setting key
+ * @param {Object} changes - Fields to update
+ * @param {string} [adminId] - Admin making the change
+ * @returns {Promise<Object>} The full stored value after the update
+ */
+settingSchema.statics.setValue = async function(key, changes, adminId = null) {
+  const update = adminId ? { updatedBy: adminId } : {};
+  Object.entries(changes).forEach(([field, value]) => {
+    update[`value.${field}`] = value;
+  });
+
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { $set: update },
+    { new: true, upsert: true }
+  ).lean();
+
+  return setting.value;
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
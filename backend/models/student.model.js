@@ -1,5 +1,94 @@
 import mongoose from 'mongoose'
 import validator from 'validator'
+import bcrypt from 'bcryptjs'
+import Attendance from './attendance.model.js'
+import AcademicYear from './academicYear.model.js'
+import { startOfDay, endOfDay } from '../utils/dateUtils.js'
+import { loginOtpPlugin } from '../utils/loginOtp.js'
+import { softDeletePlugin } from '../utils/softDelete.js'
+
+// Stored when a student was registered without a parent telephone, it is
+// never messaged
+export const PLACEHOLDER_PARENT_TELEPHONE = '00000000000'
+
+export const GUARDIAN_RELATIONSHIPS = ['mother', 'father', 'guardian', 'grandparent', 'sibling', 'other']
+
+// How a guardian wants to be reached, see services/guardianNotificationService.js
+export const GUARDIAN_CHANNELS = ['whatsapp', 'email']
+
+export const GUARDIAN_LANGUAGES = ['en', 'si', 'ta']
+
+// What a guardian can be notified about: arrivals, late arrivals only,
+// departures, absences, the automatic 6:30 PM departure and bulk messages
+export const GUARDIAN_EVENTS = ['entry', 'late', 'exit', 'absent', 'autoLeave', 'bulk']
+
+// Fields staff may edit directly. Passwords, guardians, the QR credential,
+// photo and deletion have their own endpoints
+export const EDITABLE_STUDENT_FIELDS = ['name', 'address', 'student_email', 'parent_email', 'parent_telephone', 'indexNumber', 'age', 'schoolClass', 'status']
+
+// The editable fields present in a request body
+export const pickEditableStudentFields = (body = {}) =>
+  Object.fromEntries(EDITABLE_STUDENT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]))
+
+const isTelephone = (v) => /^\+?\d{10,15}$/.test(String(v).replace(/[\s-]/g, ''))
+
+const guardianSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Guardian name is required'],
+    trim: true,
+    maxlength: [50, 'Guardian name cannot exceed 50 characters']
+  },
+  relationship: {
+    type: String,
+    enum: GUARDIAN_RELATIONSHIPS,
+    default: 'guardian'
+  },
+  telephone: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: v => !v || isTelephone(v),
+      message: props => `${props.value} is not a valid phone number! Should contain 10-15 digits, optionally starting with +`
+    }
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    validate: {
+      validator: v => !v || validator.isEmail(v),
+      message: 'Please provide a valid guardian email'
+    }
+  },
+  preferredChannel: {
+    type: String,
+    enum: GUARDIAN_CHANNELS,
+    default: 'whatsapp'
+  },
+  language: {
+    type: String,
+    enum: GUARDIAN_LANGUAGES,
+    default: 'en'
+  },
+  events: {
+    type: [{ type: String, enum: GUARDIAN_EVENTS }],
+    default: () => [...GUARDIAN_EVENTS]
+  }
+});
+
+// A guardian must be reachable on the channel they prefer
+guardianSchema.pre('validate', function(next) {
+  if (this.preferredChannel === 'whatsapp' && !this.telephone) {
+    this.invalidate('telephone', 'A telephone number is required for WhatsApp notifications');
+  }
+  if (this.preferredChannel === 'email' && !this.email) {
+    this.invalidate('email', 'An email is required for email notifications');
+  }
+  next();
+});
 
 const studentSchema = new mongoose.Schema({
   name: {
@@ -53,7 +142,13 @@ const studentSchema = new mongoose.Schema({
       },
       message: props => `${props.value} is not a valid phone number! Should contain 10-15 digits, optionally starting with +`
     },
-    default: '00000000000' // Default for QR scans
+    default: PLACEHOLDER_PARENT_TELEPHONE // Default for QR scans
+  },
+  guardians: {
+    // Who is notified about the student, parent_telephone is used while
+    // the list is empty
+    type: [guardianSchema],
+    default: []
   },
   indexNumber: {
     type: String,
@@ -80,57 +175,69 @@ const studentSchema = new mongoose.Schema({
     },
     default: 0 // Default for QR scans
   },
-  qrCode: {
+  qrCodeFile: {
+    // Reference to the QR image in the file store, see services/fileStore.js
+    type: {
+      key: String,
+      contentType: String,
+      size: Number,
+      etag: String,
+      updatedAt: Date
+    },
+    default: null
+  },
+  photo: {
+    // Cropped portrait in the file store, see services/studentPhotoService.js
+    type: {
+      key: String,
+      contentType: String,
+      size: Number,
+      etag: String,
+      updatedAt: Date
+    },
+    default: null
+  },
+  qrCredential: {
+    // Signed QR token state, see services/qrCredentialService.js
+    // Bumping the version revokes every card issued before
+    keyId: { type: String, default: null },
+    version: { type: Number, default: 0 },
+    issuedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null }
+  },
+  password: {
+    // Optional, for self-service login with the index number
     type: String,
-    required: false
+    minlength: [8, 'Password must be at least 8 characters long'],
+    select: false
+  },
+  // Login tokens issued before this are no longer accepted
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  lastLogin: {
+    type: Date,
+    default: null
+  },
+  schoolClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null,
+    index: true
   },
   attendanceCount: {
     type: Number,
     default: 0,
     min: [0, 'Attendance count cannot be negative']
   },
-  attendanceHistory: [{
-    date: { 
-      type: Date, 
-      default: Date.now,
-      required: true
-    },
-    status: { 
-      type: String, 
-      enum: {
-        values: ['present', 'absent', 'left', 'entered'],
-        message: 'Status must be one of: present, absent, left, entered'
-      },
-      default: 'entered',
-      required: true
-    },
-    entryTime: { 
-      type: Date,
-      default: null
-    },
-    leaveTime: { 
-      type: Date,
-      default: null
-    },
-    verifiedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Admin',
-      default: null
-    },
-    scanLocation: {
-      type: String,
-      default: 'Main Entrance'
-    },
-    deviceInfo: {
-      type: String,
-      default: null
-    }
-  }],
   status: {
     type: String,
     enum: {
-      values: ['active', 'inactive', 'suspended'],
-      message: 'Status must be one of: active, inactive, suspended'
+      // graduated and inactive are set by the year-end promotion, see
+      // services/promotionService.js
+      values: ['active', 'inactive', 'suspended', 'graduated'],
+      message: 'Status must be one of: active, inactive, suspended, graduated'
     },
     default: 'active'
   },
@@ -190,59 +297,153 @@ studentSchema.pre('save', function(next) {
     // Remove spaces and hyphens, but keep the + if it exists
     this.parent_telephone = this.parent_telephone.replace(/[\s-]/g, '');
   }
+  this.guardians.forEach(guardian => {
+    if (guardian.isModified('telephone') && guardian.telephone) {
+      guardian.telephone = guardian.telephone.replace(/[\s-]/g, '');
+    }
+  });
   next();
 });
 
-// Index for attendance history dates
-studentSchema.index({ 'attendanceHistory.date': 1 });
+// Hash the self-service password before saving
+studentSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
 
-// Virtual for calculating attendance percentage
-studentSchema.virtual('calculateAttendancePercentage').get(function() {
-  if (this.attendanceHistory.length === 0) return 0;
-  const presentCount = this.attendanceHistory.filter(record => record.status === 'present').length;
-  return (presentCount / this.attendanceHistory.length) * 100;
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    // A second back, so a token issued right after the change stays valid
+    this.passwordChangedAt = Date.now() - 1000;
+    next();
+  } catch (err) {
+    next(err);
+  }
 });
 
-// Method to mark attendance
-studentSchema.methods.markAttendance = async function(status, adminId = null, deviceInfo = null, scanLocation = 'Main Entrance') {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+studentSchema.plugin(loginOtpPlugin);
+
+// Deleted students stay in the trash until a superadmin purges them
+studentSchema.plugin(softDeletePlugin);
+
+// Compare a self-service login password, students without one use OTP
+studentSchema.methods.matchPassword = async function(enteredPassword) {
+  if (!this.password) return false;
+  return await bcrypt.compare(enteredPassword, this.password);
+};
+
+// Check if the password was changed after a login token was issued
+studentSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+  if (this.passwordChangedAt) {
+    const changedTimestamp = parseInt(this.passwordChangedAt.getTime() / 1000, 10);
+    return JWTTimestamp < changedTimestamp;
+  }
+  return false;
+};
+
+// The guardians to notify about an event, e.g. 'absent', or about any of
+// several events. Students without guardians fall back to the parent
+// telephone on record
+studentSchema.methods.getGuardiansFor = function(events) {
+  const wanted = [].concat(events);
+  if (this.guardians.length > 0) {
+    return this.guardians.filter(guardian => guardian.events.some(event => wanted.includes(event)));
+  }
+
+  if (!this.parent_telephone || this.parent_telephone === PLACEHOLDER_PARENT_TELEPHONE) {
+    return [];
+  }
+
+  return [{
+    name: 'Parent',
+    relationship: 'guardian',
+    telephone: this.parent_telephone,
+    email: null,
+    preferredChannel: 'whatsapp',
+    language: 'en',
+    events: [...GUARDIAN_EVENTS]
+  }];
+};
+
+// Statuses that count as the student being present for the day
+const PRESENT_STATUSES = ['present', 'entered'];
+
+// Statuses that mean the student was on campus at some point that day
+export const ATTENDED_STATUSES = ['present', 'entered', 'left'];
+
+// When the student was last seen according to their latest record
+const findLastAttendance = async (studentId) => {
+  const latestRecord = await Attendance.findOne({ student: studentId })
+    .sort({ date: -1 })
+    .select('date entryTime leaveTime')
+    .lean();
+
+  return latestRecord
+    ? latestRecord.leaveTime || latestRecord.entryTime || latestRecord.date
+    : null;
+};
+
+// Method to recalculate attendance percentage against the school days of
+// the current academic year (or since registration if that is later)
+studentSchema.methods.recalculateAttendancePercentage = async function() {
+  const today = startOfDay();
+  const currentYear = await AcademicYear.findForDate(today).lean();
+
+  let from = this.createdAt ? startOfDay(this.createdAt) : today;
+  if (currentYear && currentYear.startDate > from) {
+    from = currentYear.startDate;
+  }
+
+  const schoolDays = await AcademicYear.getSchoolDays(from, today);
+  const attendedDays = schoolDays.length > 0
+    ? await Attendance.countDocuments({
+        student: this._id,
+        date: { $in: schoolDays },
+        status: { $in: ATTENDED_STATUSES }
+      })
+    : 0;
+
+  this.attendancePercentage = schoolDays.length > 0
+    ? Math.min(100, (attendedDays / schoolDays.length) * 100)
+    : 0;
+
+  return this.attendancePercentage;
+};
+
+// Method to mark attendance, returns the attendance record of the scan's day
+// scannedAt lets queued offline scans be applied at the time they happened
+studentSchema.methods.markAttendance = async function(status, adminId = null, deviceInfo = null, scanLocation = 'Main Entrance', scannedAt = new Date()) {
+  const now = scannedAt;
+  const today = startOfDay(now);
   
-  // Find index of today's attendance record if it exists
-  const todayAttendanceIndex = this.attendanceHistory.findIndex(
-    record => record.date.toDateString() === today.toDateString()
-  );
+  // Find today's attendance record if it exists
+  let todayRecord = await Attendance.findOne({ student: this._id, date: today });
+  const creating = !todayRecord;
+  let countsPresent = false;
 
   // If no attendance record exists for today, create a new one
-  if (todayAttendanceIndex === -1) {
+  if (creating) {
     // Create a new attendance record with both entry and leave time fields
-    const newRecord = {
-      date: now,
+    todayRecord = new Attendance({
+      student: this._id,
+      date: today,
       status: status,
       verifiedBy: adminId,
       scanLocation: scanLocation || 'Main Entrance',
       deviceInfo: deviceInfo,
       entryTime: null,
       leaveTime: null
-    };
+    });
     
     // Set appropriate time based on status
     if (status === 'entered' || status === 'present') {
-      newRecord.entryTime = now;
-      
-      if (status === 'present') {
-        this.attendanceCount += 1;
-      }
+      todayRecord.entryTime = now;
+      countsPresent = status === 'present';
     } else if (status === 'left') {
-      newRecord.leaveTime = now;
+      todayRecord.leaveTime = now;
     }
-    
-    this.attendanceHistory.push(newRecord);
   } 
   // If an attendance record for today already exists, update it
   else {
-    const todayRecord = this.attendanceHistory[todayAttendanceIndex];
-    
     // Update the record based on the current status
     if (status === 'left') {
       todayRecord.leaveTime = now;
@@ -259,9 +460,7 @@ studentSchema.methods.markAttendance = async function(status, adminId = null, de
         todayRecord.status = status;
       }
       
-      if (status === 'present' && !todayRecord.leaveTime) {
-        this.attendanceCount += 1;
-      }
+      countsPresent = status === 'present' && !todayRecord.leaveTime;
     }
     
     // Update additional fields regardless of status
@@ -270,28 +469,38 @@ studentSchema.methods.markAttendance = async function(status, adminId = null, de
     if (deviceInfo) todayRecord.deviceInfo = deviceInfo;
   }
 
-  // Update last attendance
-  this.lastAttendance = now;
+  try {
+    await todayRecord.save();
+  } catch (error) {
+    // Another scan created the day's record first, apply this one to it
+    if (creating && error.code === 11000) {
+      return this.markAttendance(status, adminId, deviceInfo, scanLocation, scannedAt);
+    }
+    throw error;
+  }
+
+  if (countsPresent) {
+    this.attendanceCount += 1;
+  }
+
+  // Update last attendance, an older queued scan must not move it back
+  if (!this.lastAttendance || now > this.lastAttendance) {
+    this.lastAttendance = now;
+  }
   
   // Update attendance percentage - consider 'entered' and 'present' as present
-  const totalRecords = this.attendanceHistory.length;
-  const presentRecords = this.attendanceHistory.filter(record => 
-    record.status === 'present' || record.status === 'entered'
-  ).length;
-  
-  this.attendancePercentage = totalRecords > 0 
-    ? (presentRecords / totalRecords) * 100 
-    : 0;
+  await this.recalculateAttendancePercentage();
 
   await this.save();
-  return this;
+  return todayRecord;
 };
 
 // Method to get attendance statistics
-studentSchema.methods.getAttendanceStats = function(startDate, endDate) {
-  const records = this.attendanceHistory.filter(record => 
-    record.date >= startDate && record.date <= endDate
-  );
+studentSchema.methods.getAttendanceStats = async function(startDate, endDate) {
+  const records = await Attendance.find({
+    student: this._id,
+    date: { $gte: startDate, $lte: endDate }
+  }).select('status').lean();
 
   const stats = {
     total: records.length,
@@ -316,63 +525,158 @@ studentSchema.methods.getAttendanceStats = function(startDate, endDate) {
 
 // Method to clear all attendance history
 studentSchema.methods.clearAttendanceHistory = async function() {
-  this.attendanceHistory = [];
+  const { deletedCount } = await Attendance.deleteMany({ student: this._id });
+
   this.attendanceCount = 0;
   this.attendancePercentage = 0;
   this.lastAttendance = null;
   await this.save();
-  return this;
+  return { deletedCount, updatedStudent: this };
 };
 
 // Method to delete a specific attendance record
 studentSchema.methods.deleteAttendanceRecord = async function(recordId) {
-  // Find the record index
-  const recordIndex = this.attendanceHistory.findIndex(
-    record => record._id.toString() === recordId
-  );
-  
-  if (recordIndex === -1) {
+  if (!mongoose.Types.ObjectId.isValid(recordId)) {
     throw new Error('Attendance record not found');
   }
+
+  // Find the record, making sure it belongs to this student
+  const deletedRecord = await Attendance.findOneAndDelete({
+    _id: recordId,
+    student: this._id
+  });
   
-  // Get the record to be deleted
-  const deletedRecord = this.attendanceHistory[recordIndex];
-  
-  // Remove the record
-  this.attendanceHistory.splice(recordIndex, 1);
+  if (!deletedRecord) {
+    throw new Error('Attendance record not found');
+  }
   
   // Update attendance count if necessary
-  if (deletedRecord.status === 'present' || deletedRecord.status === 'entered') {
+  if (PRESENT_STATUSES.includes(deletedRecord.status)) {
     this.attendanceCount = Math.max(0, this.attendanceCount - 1);
   }
   
   // Recalculate attendance percentage
-  if (this.attendanceHistory.length > 0) {
-    const presentCount = this.attendanceHistory.filter(
-      record => record.status === 'present' || record.status === 'entered'
-    ).length;
-    this.attendancePercentage = (presentCount / this.attendanceHistory.length) * 100;
-  } else {
-    this.attendancePercentage = 0;
-  }
+  await this.recalculateAttendancePercentage();
   
-  // Update last attendance if needed
-  if (this.attendanceHistory.length > 0) {
-    // Sort by date descending and take the first one
-    const sortedHistory = [...this.attendanceHistory].sort(
-      (a, b) => new Date(b.date) - new Date(a.date)
-    );
-    this.lastAttendance = sortedHistory[0].date;
-  } else {
-    this.lastAttendance = null;
-  }
+  // Update last attendance to the most recent remaining record
+  this.lastAttendance = await findLastAttendance(this._id);
   
   await this.save();
   return { deletedRecord, updatedStudent: this };
 };
 
+// Method to apply an approved attendance correction, creating the day's
+// record when there is none. The replaced values stay on the record
+studentSchema.methods.applyAttendanceCorrection = async function(correction, approvedBy) {
+  let record = correction.attendance
+    ? await Attendance.findOne({ _id: correction.attendance, student: this._id })
+    : await Attendance.findOne({ student: this._id, date: correction.date });
+
+  if (!record && correction.attendance) {
+    throw new Error('Attendance record not found');
+  }
+
+  if (!record) {
+    record = new Attendance({
+      student: this._id,
+      date: correction.date,
+      status: correction.proposed.status,
+      scanLocation: 'Attendance correction'
+    });
+  }
+
+  const wasPresent = !record.isNew && PRESENT_STATUSES.includes(record.status);
+  const from = record.isNew
+    ? { status: null, entryTime: null, leaveTime: null }
+    : { status: record.status, entryTime: record.entryTime, leaveTime: record.leaveTime };
+
+  const { status, entryTime, leaveTime } = correction.proposed;
+  if (status) record.status = status;
+  if (entryTime) {
+    // Classified again against the late policy when saved
+    record.entryTime = entryTime;
+    record.arrivalStatus = null;
+    record.minutesLate = 0;
+  }
+  if (leaveTime) record.leaveTime = leaveTime;
+  record.verifiedBy = approvedBy;
+
+  record.corrections.push({
+    request: correction._id,
+    from,
+    to: { status: record.status, entryTime: record.entryTime, leaveTime: record.leaveTime },
+    reason: correction.reason,
+    requestedBy: correction.requestedBy,
+    approvedBy,
+    approvedAt: new Date()
+  });
+  await record.save();
+
+  await this.refreshAttendanceTotals(wasPresent, record.status);
+  return record;
+};
+
+// Method to record a day's attendance by hand, e.g. a student who forgot
+// their card. Only days without attendance, or marked absent, can be
+// overridden, anything else needs a correction request
+studentSchema.methods.overrideAttendance = async function({ date, status, entryTime = null, leaveTime = null, reason, note = null, verifiedBy, overriddenBy }) {
+  const day = startOfDay(date);
+  let record = await Attendance.findOne({ student: this._id, date: day });
+
+  if (record && record.status !== 'absent') {
+    throw new Error('This day already has attendance, request a correction instead');
+  }
+
+  const previous = record
+    ? { status: record.status, entryTime: record.entryTime, leaveTime: record.leaveTime }
+    : {};
+
+  if (!record) {
+    record = new Attendance({ student: this._id, date: day });
+  }
+
+  record.set({
+    status,
+    entryTime,
+    leaveTime,
+    // Classified again against the late policy when saved
+    arrivalStatus: null,
+    minutesLate: 0,
+    verifiedBy,
+    scanLocation: 'Manual override',
+    deviceInfo: null,
+    override: {
+      reasonCode: reason.code,
+      reasonLabel: reason.label,
+      note,
+      overriddenBy,
+      overriddenAt: new Date(),
+      previous
+    }
+  });
+  await record.save();
+
+  await this.refreshAttendanceTotals(false, record.status);
+  return record;
+};
+
+// Method to update the stored totals after one record changed status
+studentSchema.methods.refreshAttendanceTotals = async function(wasPresent, status) {
+  const isPresent = PRESENT_STATUSES.includes(status);
+  if (isPresent && !wasPresent) {
+    this.attendanceCount += 1;
+  } else if (!isPresent && wasPresent) {
+    this.attendanceCount = Math.max(0, this.attendanceCount - 1);
+  }
+
+  await this.recalculateAttendancePercentage();
+  this.lastAttendance = await findLastAttendance(this._id);
+
+  await this.save();
+};
+
 // Method to get filtered attendance history with pagination
-studentSchema.methods.getFilteredAttendanceHistory = function(options = {}) {
+studentSchema.methods.getFilteredAttendanceHistory = async function(options = {}) {
   const { 
     startDate = null, 
     endDate = null, 
@@ -382,63 +686,70 @@ studentSchema.methods.getFilteredAttendanceHistory = function(options = {}) {
     sortOrder = 'desc' 
   } = options;
   
-  let filteredHistory = [...this.attendanceHistory];
+  const query = { student: this._id };
   
   // Apply date filters
-  if (startDate) {
-    const start = new Date(startDate);
-    filteredHistory = filteredHistory.filter(record => 
-      new Date(record.date) >= start
-    );
-  }
-  
-  if (endDate) {
-    const end = new Date(endDate);
-    end.setHours(23, 59, 59, 999); // End of the day
-    filteredHistory = filteredHistory.filter(record => 
-      new Date(record.date) <= end
-    );
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) {
+      query.date.$gte = startOfDay(startDate);
+    }
+    if (endDate) {
+      query.date.$lte = endOfDay(endDate); // End of the day
+    }
   }
   
-  // Apply sorting
+  // Apply sorting, falling back to date for unknown fields
   const order = sortOrder === 'asc' ? 1 : -1;
+  const sortField = Attendance.schema.path(sortBy) ? sortBy : 'date';
   
-  filteredHistory.sort((a, b) => {
-    if (sortBy === 'date') {
-      return order * (new Date(a.date) - new Date(b.date));
-    }
-    if (a[sortBy] < b[sortBy]) return -1 * order;
-    if (a[sortBy] > b[sortBy]) return 1 * order;
-    return 0;
-  });
-  
-  // Get total count before pagination
-  const totalCount = filteredHistory.length;
+  let recordsQuery = Attendance.find(query).sort({ [sortField]: order, date: order });
   
   // Apply pagination
-  let paginatedHistory = filteredHistory;
-  if (limit !== null) {
-    const start = parseInt(offset, 10) || 0;
-    const size = parseInt(limit, 10);
-    paginatedHistory = filteredHistory.slice(start, start + size);
+  if (limit !== null && limit !== undefined) {
+    recordsQuery = recordsQuery
+      .skip(parseInt(offset, 10) || 0)
+      .limit(parseInt(limit, 10));
   }
   
+  // Get the page and counts in parallel
+  const [records, filteredCount, totalCount, presentCount, absentCount] = await Promise.all([
+    recordsQuery.lean(),
+    Attendance.countDocuments(query),
+    Attendance.countDocuments({ student: this._id }),
+    Attendance.countDocuments({ student: this._id, status: { $in: PRESENT_STATUSES } }),
+    Attendance.countDocuments({ student: this._id, status: 'absent' })
+  ]);
+  
   // Calculate statistics
   const stats = {
-    totalCount: this.attendanceHistory.length,
-    filteredCount: totalCount,
-    presentCount: this.attendanceHistory.filter(r => r.status === 'present' || r.status === 'entered').length,
-    absentCount: this.attendanceHistory.filter(r => r.status === 'absent').length,
+    totalCount,
+    filteredCount,
+    presentCount,
+    absentCount,
     attendancePercentage: this.attendancePercentage
   };
   
   return {
-    records: paginatedHistory,
-    totalRecords: totalCount,
+    records,
+    totalRecords: filteredCount,
     stats
   };
 };
 
+// Recalculate the stored percentage of every student, e.g. after the
+// academic calendar changed. Returns the number of students updated
+studentSchema.statics.recalculateAllAttendancePercentages = async function() {
+  const students = await this.find({}).select('createdAt attendancePercentage');
+
+  for (const student of students) {
+    await student.recalculateAttendancePercentage();
+    await student.save({ validateBeforeSave: false });
+  }
+
+  return students.length;
+};
+
 const Student = mongoose.model('Student', studentSchema);
 
 export default Student;
@@ -2,9 +2,14 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import rateLimit from 'express-rate-limit';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, restrictTo, restrictToAdmins } from '../middleware/authMiddleware.js';
+import { resolveClassFilter, requireClassAccess, requireStudentAccess } from '../middleware/classMiddleware.js';
 import { validateAdminInput } from '../middleware/validationMiddleware.js';
 import { validateStudentInput } from '../middleware/validationMiddleware.js';
+import { IMPORT_FILE_EXTENSIONS } from '../services/studentImportService.js';
+import { auditMutations } from '../services/auditService.js';
+import { CORRECTION_ATTACHMENT_TYPES } from '../services/attendanceCorrectionService.js';
+import { PHOTO_EXTENSIONS } from '../services/studentPhotoService.js';
 import {
   registerAdmin,
   loginAdmin,
@@ -13,9 +18,15 @@ import {
   markStudentAttendance,
   updateStudent,
   deleteStudent,
+  getDeletedStudents,
+  restoreStudent,
+  purgeStudent,
   getScannedStudentsToday,
   getAllStudents,
   bulkImportStudents,
+  exportStudents,
+  getImportFields,
+  downloadImportReport,
   getAttendanceReport,
   forgotPassword,
   resetPassword,
@@ -37,7 +48,18 @@ import {
   logoutAdmin,
   clearStudentAttendanceHistory,
   deleteAttendanceRecord,
-  getStudentAttendanceHistory
+  getStudentAttendanceHistory,
+  getAutoAbsentConfig,
+  configureAutoAbsent,
+  runAutoAbsent,
+  getLatePolicy,
+  configureLatePolicy,
+  getAbsenceExplanations,
+  reviewAbsenceExplanation,
+  reissueStudentQR,
+  revokeStudentQR,
+  getScanRulesConfig,
+  configureScanRules
 } from '../controllers/admin.controller.js';
 
 import {
@@ -47,8 +69,99 @@ import {
   sendQrCodeScanMessage
 } from '../controllers/messaging.controller.js';
 
+import {
+  getAcademicYears,
+  getAcademicYear,
+  createAcademicYear,
+  updateAcademicYear,
+  deleteAcademicYear,
+  addTerm,
+  deleteTerm,
+  addHoliday,
+  deleteHoliday,
+  getSchoolDays,
+  recalculateAttendancePercentages
+} from '../controllers/calendar.controller.js';
+
+import {
+  getClasses,
+  getClass,
+  createClass,
+  updateClass,
+  deleteClass,
+  enrollStudents,
+  unenrollStudent
+} from '../controllers/class.controller.js';
+
+import {
+  getScannerDevices,
+  createScannerDevice,
+  updateScannerDevice,
+  rotateScannerDeviceKey,
+  deleteScannerDevice,
+  getScanLogs
+} from '../controllers/scannerDevice.controller.js';
+
+import {
+  getStudentIdCard,
+  getIdCards,
+  getIdCardBrandingConfig,
+  configureIdCardBranding,
+  exportQRCodes
+} from '../controllers/idCard.controller.js';
+
+import {
+  getQRStyleConfig,
+  configureQRStyle,
+  uploadQRLogo,
+  removeQRLogo,
+  previewQRStyle,
+  regenerateQRCodes,
+  getQRRegeneration
+} from '../controllers/qrStyle.controller.js';
+
+import {
+  previewPromotion,
+  runPromotion,
+  getPromotions,
+  getPromotion,
+  rollbackPromotionRun,
+  getAttendanceArchive
+} from '../controllers/promotion.controller.js';
+
+import { getAuditLogs, exportAuditLogs } from '../controllers/audit.controller.js';
+
+import {
+  requestAttendanceCorrection,
+  getAttendanceCorrections,
+  downloadCorrectionAttachment,
+  approveAttendanceCorrection,
+  rejectAttendanceCorrection
+} from '../controllers/attendanceCorrection.controller.js';
+
+import {
+  overrideStudentAttendance,
+  getOverrideReasonsConfig,
+  configureOverrideReasons
+} from '../controllers/attendanceOverride.controller.js';
+
+import {
+  uploadStudentPhoto,
+  getStudentPhoto,
+  deleteStudentPhoto,
+  importStudentPhotos
+} from '../controllers/studentPhoto.controller.js';
+
+import {
+  getStudentGuardians,
+  updateStudentGuardians
+} from '../controllers/guardian.controller.js';
+
 const router = express.Router();
 
+// Every POST, PUT, PATCH and DELETE below ends up in the audit log
+router.use(auditMutations);
+
 // Rate limiting
 const loginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -77,16 +190,61 @@ const upload = multer({
   storage,
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
   fileFilter: (req, file, cb) => {
-    const filetypes = /csv|xlsx|xls/;
-    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = filetypes.test(file.mimetype);
-
-    if (mimetype && extname) {
+    // Go by the extension, CSV files arrive with many different mimetypes
+    if (IMPORT_FILE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
       return cb(null, true);
     } else {
       cb(new Error('Only CSV and Excel files are allowed!'));
     }
-  } 
+  }
+});
+
+// Images are kept in memory, they are resized before being stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+  fileFilter: (req, file, cb) => {
+    if (/^image\/(png|jpe?g|webp|svg\+xml)$/.test(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only PNG, JPEG, WebP and SVG images are allowed!'));
+  }
+});
+
+// Student photos are kept in memory, they are cropped before being stored
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 8 * 1024 * 1024 }, // 8MB, phone cameras take large pictures
+  fileFilter: (req, file, cb) => {
+    if (PHOTO_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only JPEG, PNG and WebP photos are allowed!'));
+  }
+});
+
+// ZIP archives of photos named by index number
+const photoArchiveUpload = multer({
+  storage,
+  limits: { fileSize: 100 * 1024 * 1024 }, // 100MB
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      return cb(null, true);
+    }
+    cb(new Error('Only ZIP archives are allowed!'));
+  }
+});
+
+// Documents supporting an attendance correction, kept in memory until stored
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    if (CORRECTION_ATTACHMENT_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only PNG, JPEG, WebP images and PDF documents are allowed!'));
+  }
 });
                             
 // Authentication routes
@@ -99,48 +257,95 @@ router.post('/update-password', protect, updatePassword);
 router.patch('/profile', protect, updateProfile);
 
 // Admin routes
+// Routes touching student data are scoped with resolveClassFilter,
+// requireClassAccess or requireStudentAccess so teachers only reach their own
+// classes; school-wide changes are limited to admins with restrictToAdmins
 router.get('/me', protect, getAdminDetails);
-router.get('/students', protect, getStudents);
-router.get('/students/all', protect, getAllStudents);
-router.get('/students/scanned-today', protect, getScannedStudentsToday);
+router.get('/students', protect, resolveClassFilter, getStudents);
+router.get('/students/all', protect, resolveClassFilter, getAllStudents);
+router.get('/students/export', protect, resolveClassFilter, exportStudents);
+router.get('/students/scanned-today', protect, resolveClassFilter, getScannedStudentsToday);
 
 // Attendance routes
-router.get('/attendance/today', protect, getScannedStudentsToday);
-router.get('/attendance/recent', protect, getRecentAttendance);
-router.get('/attendance/report', protect, getAttendanceReport);
-router.get('/attendance/:date', protect, getAttendanceByDate);
-router.post('/attendance', protect, markStudentAttendance);
+router.get('/attendance/today', protect, resolveClassFilter, getScannedStudentsToday);
+router.get('/attendance/recent', protect, resolveClassFilter, getRecentAttendance);
+router.get('/attendance/report', protect, resolveClassFilter, getAttendanceReport);
+router.get('/attendance/auto-absent', protect, getAutoAbsentConfig);
+router.put('/attendance/auto-absent', protect, restrictToAdmins, configureAutoAbsent);
+router.post('/attendance/auto-absent/run', protect, restrictToAdmins, runAutoAbsent);
+router.get('/attendance/late-policy', protect, getLatePolicy);
+router.put('/attendance/late-policy', protect, restrictToAdmins, configureLatePolicy);
+router.get('/attendance/scan-rules', protect, getScanRulesConfig);
+router.put('/attendance/scan-rules', protect, restrictToAdmins, configureScanRules);
+router.get('/attendance/override-reasons', protect, getOverrideReasonsConfig);
+router.put('/attendance/override-reasons', protect, restrictToAdmins, configureOverrideReasons);
+router.get('/attendance/absence-explanations', protect, resolveClassFilter, getAbsenceExplanations);
+router.patch('/attendance/absence-explanations/:recordId', protect, resolveClassFilter, reviewAbsenceExplanation);
+router.get('/attendance/:date', protect, resolveClassFilter, getAttendanceByDate);
+router.post('/attendance', protect, requireStudentAccess, markStudentAttendance);
 
 // Reports routes
-router.get('/reports/daily/preview', protect, getDailyReportPreview);
-router.get('/reports/weekly/preview', protect, getWeeklyReportPreview);
-router.get('/reports/monthly/preview', protect, getMonthlyReportPreview);
-router.get('/reports/individual/preview', protect, getIndividualReportPreview);
+router.get('/reports/daily/preview', protect, resolveClassFilter, getDailyReportPreview);
+router.get('/reports/weekly/preview', protect, resolveClassFilter, getWeeklyReportPreview);
+router.get('/reports/monthly/preview', protect, resolveClassFilter, getMonthlyReportPreview);
+router.get('/reports/individual/preview', protect, requireStudentAccess, getIndividualReportPreview);
 
-router.get('/reports/daily', protect, generateDailyReport);
-router.get('/reports/weekly', protect, generateWeeklyReport);
-router.get('/reports/monthly', protect, generateMonthlyReport);
-router.get('/reports/individual', protect, generateIndividualReport);
+router.get('/reports/daily', protect, resolveClassFilter, generateDailyReport);
+router.get('/reports/weekly', protect, resolveClassFilter, generateWeeklyReport);
+router.get('/reports/monthly', protect, resolveClassFilter, generateMonthlyReport);
+router.get('/reports/individual', protect, requireStudentAccess, generateIndividualReport);
 
 // Student management
-router.post('/students', protect, validateStudentInput, registerStudent);
-router.put('/students/:id', protect, updateStudent);
-router.delete('/students/:id', protect, deleteStudent);
+router.post('/students', protect, restrictToAdmins, validateStudentInput, registerStudent);
+router.put('/students/:id', protect, restrictToAdmins, updateStudent);
+router.delete('/students/:id', protect, restrictToAdmins, deleteStudent);
+router.get('/students/trash', protect, restrictToAdmins, getDeletedStudents);
+router.post('/students/:id/restore', protect, restrictToAdmins, restoreStudent);
+router.delete('/students/:id/purge', protect, restrictTo('superadmin'), purgeStudent);
 
 // QR Code routes
-router.get('/students/:id/qr-code', protect, (req, res) => generateStudentQRCode(req, res));
+router.get('/students/:id/qr-code', protect, requireStudentAccess, (req, res) => generateStudentQRCode(req, res));
+router.post('/students/:id/qr-code/reissue', protect, restrictToAdmins, reissueStudentQR);
+router.post('/students/:id/qr-code/revoke', protect, restrictToAdmins, revokeStudentQR);
+
+// ID cards
+router.get('/students/:id/id-card', protect, requireStudentAccess, getStudentIdCard);
+router.get('/id-cards', protect, resolveClassFilter, getIdCards);
+router.get('/id-cards/branding', protect, getIdCardBrandingConfig);
+router.put('/id-cards/branding', protect, restrictToAdmins, configureIdCardBranding);
+router.get('/qr-codes/export', protect, resolveClassFilter, exportQRCodes);
+
+// Student photos, bulk uploads are named by index number
+router.post('/students/photos/import', protect, restrictToAdmins, photoArchiveUpload.single('file'), importStudentPhotos);
+router.get('/students/:id/photo', protect, requireStudentAccess, getStudentPhoto);
+router.put('/students/:id/photo', protect, requireStudentAccess, photoUpload.single('photo'), uploadStudentPhoto);
+router.delete('/students/:id/photo', protect, requireStudentAccess, deleteStudentPhoto);
+
+// Guardians and what they are notified about
+router.get('/students/:id/guardians', protect, requireStudentAccess, getStudentGuardians);
+router.put('/students/:id/guardians', protect, requireStudentAccess, updateStudentGuardians);
+
+// QR code style
+router.get('/qr-style', protect, getQRStyleConfig);
+router.put('/qr-style', protect, restrictToAdmins, configureQRStyle);
+router.post('/qr-style/preview', protect, previewQRStyle);
+router.put('/qr-style/logo', protect, restrictToAdmins, imageUpload.single('logo'), uploadQRLogo);
+router.delete('/qr-style/logo', protect, restrictToAdmins, removeQRLogo);
+router.get('/qr-style/regenerate', protect, getQRRegeneration);
+router.post('/qr-style/regenerate', protect, restrictToAdmins, regenerateQRCodes);
 
 // Messaging routes
-router.post('/messages', protect, apiLimiter, sendMessage);
-router.post('/messages/bulk', protect, apiLimiter, adminSendBulkMessages);
+router.post('/messages', protect, restrictToAdmins, apiLimiter, sendMessage);
+router.post('/messages/bulk', protect, apiLimiter, resolveClassFilter, adminSendBulkMessages);
 
 // WhatsApp status and testing
 router.get('/whatsapp/status', protect, getWhatsAppStatus);
-router.post('/whatsapp/test', protect, apiLimiter, testWhatsAppMessage);
+router.post('/whatsapp/test', protect, restrictToAdmins, apiLimiter, testWhatsAppMessage);
 
 router.post(
   '/bulk-import',
   protect,
+  restrictToAdmins,
   upload.single('file'),
   (req, res, next) => {
     if (!req.file) {
@@ -153,10 +358,65 @@ router.post(
   },
   bulkImportStudents
 );
+router.get('/bulk-import/fields', protect, restrictToAdmins, getImportFields);
+router.get('/bulk-import/reports/:reportId', protect, restrictToAdmins, downloadImportReport);
+
+// Academic calendar
+router.get('/calendar/years', protect, getAcademicYears);
+router.post('/calendar/years', protect, restrictToAdmins, createAcademicYear);
+router.get('/calendar/years/:id', protect, getAcademicYear);
+router.put('/calendar/years/:id', protect, restrictToAdmins, updateAcademicYear);
+router.delete('/calendar/years/:id', protect, restrictToAdmins, deleteAcademicYear);
+router.post('/calendar/years/:id/terms', protect, restrictToAdmins, addTerm);
+router.delete('/calendar/years/:id/terms/:termId', protect, restrictToAdmins, deleteTerm);
+router.post('/calendar/years/:id/holidays', protect, restrictToAdmins, addHoliday);
+router.delete('/calendar/years/:id/holidays/:holidayId', protect, restrictToAdmins, deleteHoliday);
+router.get('/calendar/school-days', protect, getSchoolDays);
+router.post('/calendar/recalculate', protect, restrictToAdmins, recalculateAttendancePercentages);
+
+// Year-end promotion
+router.post('/promotions/preview', protect, restrictToAdmins, previewPromotion);
+router.post('/promotions', protect, restrictToAdmins, runPromotion);
+router.get('/promotions', protect, restrictToAdmins, getPromotions);
+router.get('/promotions/:id', protect, restrictToAdmins, getPromotion);
+router.post('/promotions/:id/rollback', protect, restrictToAdmins, rollbackPromotionRun);
+router.get('/attendance-archive', protect, resolveClassFilter, getAttendanceArchive);
+
+// Audit log
+router.get('/audit', protect, restrictToAdmins, getAuditLogs);
+router.get('/audit/export', protect, restrictToAdmins, exportAuditLogs);
+
+// Classes
+router.get('/classes', protect, resolveClassFilter, getClasses);
+router.post('/classes', protect, restrictToAdmins, createClass);
+router.get('/classes/:id', protect, requireClassAccess, getClass);
+router.put('/classes/:id', protect, restrictToAdmins, updateClass);
+router.delete('/classes/:id', protect, restrictToAdmins, deleteClass);
+router.post('/classes/:id/students', protect, restrictToAdmins, enrollStudents);
+router.delete('/classes/:id/students/:studentId', protect, restrictToAdmins, unenrollStudent);
+
+// Scanner devices
+router.get('/devices', protect, restrictToAdmins, getScannerDevices);
+router.post('/devices', protect, restrictToAdmins, createScannerDevice);
+router.put('/devices/:id', protect, restrictToAdmins, updateScannerDevice);
+router.post('/devices/:id/rotate-key', protect, restrictToAdmins, rotateScannerDeviceKey);
+router.delete('/devices/:id', protect, restrictToAdmins, deleteScannerDevice);
+router.get('/scans', protect, restrictToAdmins, getScanLogs);
 
 // Student attendance history management
-router.get('/students/:studentId/attendance', protect, getStudentAttendanceHistory);
-router.delete('/students/:studentId/attendance/clear', protect, clearStudentAttendanceHistory);
-router.delete('/students/:studentId/attendance/:recordId', protect, deleteAttendanceRecord);
+router.get('/students/:studentId/attendance', protect, requireStudentAccess, getStudentAttendanceHistory);
+// Deleting attendance skips the correction approval, so only superadmins may
+router.delete('/students/:studentId/attendance/clear', protect, restrictTo('superadmin'), clearStudentAttendanceHistory);
+router.delete('/students/:studentId/attendance/:recordId', protect, restrictTo('superadmin'), deleteAttendanceRecord);
+
+// Attendance recorded by hand with a reason code
+router.post('/students/:studentId/attendance/override', protect, requireStudentAccess, overrideStudentAttendance);
+
+// Attendance corrections, approved by an admin other than the requester
+router.post('/students/:studentId/attendance/corrections', protect, requireStudentAccess, attachmentUpload.single('attachment'), requestAttendanceCorrection);
+router.get('/attendance-corrections', protect, resolveClassFilter, getAttendanceCorrections);
+router.get('/attendance-corrections/:id/attachment', protect, resolveClassFilter, downloadCorrectionAttachment);
+router.post('/attendance-corrections/:id/approve', protect, restrictToAdmins, approveAttendanceCorrection);
+router.post('/attendance-corrections/:id/reject', protect, restrictToAdmins, rejectAttendanceCorrection);
 
 export default router;
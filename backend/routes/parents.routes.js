@@ -0,0 +1,43 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { protectParent } from '../middleware/authMiddleware.js';
+import {
+  requestLoginOtp,
+  verifyLoginOtp,
+  loginParent,
+  getParentProfile,
+  updateParentAccount,
+  getChildAttendance,
+  getChildMonthlySummary,
+  getChildMessages
+} from '../controllers/parent.controller.js';
+
+const router = express.Router();
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 attempts
+  message: 'Too many login attempts. Please try again after 15 minutes.'
+});
+
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3, // 3 codes
+  message: 'Too many login code requests. Please try again after 15 minutes.'
+});
+
+// Authentication routes
+router.post('/otp/request', otpLimiter, requestLoginOtp);
+router.post('/otp/verify', loginLimiter, verifyLoginOtp);
+router.post('/login', loginLimiter, loginParent);
+
+// Account routes
+router.get('/me', protectParent, getParentProfile);
+router.patch('/me', protectParent, updateParentAccount);
+
+// Read-only access to the parent's own children
+router.get('/children/:studentId/attendance', protectParent, getChildAttendance);
+router.get('/children/:studentId/summary', protectParent, getChildMonthlySummary);
+router.get('/children/:studentId/messages', protectParent, getChildMessages);
+
+export default router;
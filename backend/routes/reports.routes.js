@@ -1,6 +1,7 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
-import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { resolveClassFilter, requireStudentAccess } from '../middleware/classMiddleware.js';
 import {
   generateDailyAttendanceReport,
   generateStudentSummaryReport,
@@ -17,6 +18,7 @@ import {
   getIndividualReportPreview 
 } from '../controllers/admin.controller.js';
 
+// Teachers get reports for their own classes, admins for any class
 const router = express.Router();
 
 const handleMongodbFormat = (req, res, next) => {
@@ -44,8 +46,8 @@ const reportLimiter = rateLimit({
 router.get(
   '/dailyAttendanceReport',
   protect,
-  restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   reportLimiter,
   generateDailyAttendanceReport
 );
@@ -54,8 +56,8 @@ router.get(
 router.get(
   '/daily/preview',
   protect,
-  restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   async (req, res) => {
     try {
       // Convert single date parameter to startDate and endDate parameters
@@ -90,8 +92,8 @@ router.get(
 router.get(
   '/weeklyAttendanceReport',
   protect,
-  restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   reportLimiter,
   generateWeeklyAttendanceReport
 );
@@ -100,8 +102,8 @@ router.get(
 router.get(
   '/weekly/preview',
   protect,
-  restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   getWeeklyReportPreview
 );
 
@@ -109,8 +111,8 @@ router.get(
 router.get(
   '/monthlyAttendanceReport',
   protect,
-  restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   reportLimiter,
   generateMonthlyAnalysisReport
 );
@@ -119,8 +121,8 @@ router.get(
 router.get(
   '/monthly/preview',
   protect,
-  restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   getMonthlyReportPreview
 );
 
@@ -128,7 +130,7 @@ router.get(
 router.get(
   '/individualStudentReport',
   protect,
-  restrictTo('admin'),
+  requireStudentAccess,
   handleMongodbFormat,
   reportLimiter,
   generateIndividualStudentReport
@@ -138,7 +140,7 @@ router.get(
 router.get(
   '/individual/preview',
   protect,
-  restrictTo('admin'),
+  requireStudentAccess,
   handleMongodbFormat,
   getIndividualReportPreview
 );
@@ -147,8 +149,8 @@ router.get(
 router.get(
   '/summary',
   protect,
-  restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   reportLimiter,
   generateStudentSummaryReport
 );
@@ -1,7 +1,10 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import { validateStudentInput } from '../middleware/validationMiddleware.js';
-import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { verifyScannerDevice } from '../middleware/deviceMiddleware.js';
+import { protect, restrictTo, verifyStudent } from '../middleware/authMiddleware.js';
+import { resolveClassFilter, requireStudentAccess } from '../middleware/classMiddleware.js';
+import { auditMutations } from '../services/auditService.js';
 import {
   downloadQRCode,
   searchQRCode,
@@ -9,8 +12,15 @@ import {
   getStudentProfile,
   updateStudentProfile,
   getAttendanceHistory,
-  getDashboardStats
+  getDashboardStats,
+  loginStudent,
+  requestStudentLoginOtp,
+  verifyStudentLoginOtp,
+  updateStudentPassword,
+  submitAbsenceExplanation,
+  syncAttendanceBatch
 } from '../controllers/students.controller.js';
+import { getStudentPhoto } from '../controllers/studentPhoto.controller.js';
 
 const router = express.Router();
 
@@ -20,23 +30,55 @@ const qrLimiter = rateLimit({
   message: 'Too many QR code requests. Please try again later.'
 });
 
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 attempts
+  message: 'Too many login attempts. Please try again after 15 minutes.'
+});
+
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3, // 3 codes
+  message: 'Too many login code requests. Please try again after 15 minutes.'
+});
+
+// Counted per scanner device, a busy gate scans far more than one person
+// could and several devices may share the school's IP address
 const attendanceLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 10, 
+  max: 120,
+  keyGenerator: (req) => req.scannerDevice.deviceId,
   message: 'Too many attendance attempts. Please try again later.'
 });
 
 // Student registration and profile routes
 router.get('/profile', protect, restrictTo('admin'), getStudentProfile);
-router.patch('/profile', protect, restrictTo('admin'), validateStudentInput, updateStudentProfile);
+router.patch('/profile', auditMutations, protect, restrictTo('admin'), validateStudentInput, updateStudentProfile);
 
-// QR Code routes
-router.get('/download-qr-code', qrLimiter, downloadQRCode);
-router.get('/search-qr', qrLimiter, searchQRCode);
+// QR Code routes, the image is the student's gate pass so only staff
+// (within their classes) and the student themselves may fetch it
+router.get('/download-qr-code', protect, qrLimiter, resolveClassFilter, requireStudentAccess, downloadQRCode);
+router.get('/search-qr', protect, qrLimiter, resolveClassFilter, searchQRCode);
 
 // Attendance routes
-router.post('/mark-attendance', attendanceLimiter, markAttendance); 
+router.post('/mark-attendance', verifyScannerDevice, attendanceLimiter, markAttendance);
+router.post('/mark-attendance/batch', verifyScannerDevice, attendanceLimiter, syncAttendanceBatch);
+
+// Photo shown on the scanner screen, the scan response links to it
+router.get('/:id/photo', verifyScannerDevice, getStudentPhoto);
 router.get('/attendance-history', protect, restrictTo('admin'), getAttendanceHistory);
-router.get('/dashboard-stats', protect, restrictTo('admin'), getDashboardStats);
+router.get('/dashboard-stats', protect, restrictTo('admin'), resolveClassFilter, getDashboardStats);
+
+// Student self-service login
+router.post('/login', loginLimiter, loginStudent);
+router.post('/otp/request', otpLimiter, requestStudentLoginOtp);
+router.post('/otp/verify', loginLimiter, verifyStudentLoginOtp);
+
+// Student-facing routes, always for the logged in student
+router.get('/me/profile', verifyStudent, getStudentProfile);
+router.patch('/me/password', verifyStudent, updateStudentPassword);
+router.get('/me/attendance-history', verifyStudent, getAttendanceHistory);
+router.get('/me/qr-code', verifyStudent, qrLimiter, downloadQRCode);
+router.post('/me/absence-explanations', verifyStudent, submitAbsenceExplanation);
 
 export default router;
@@ -8,19 +8,26 @@ import {
   testWhatsAppMessage,
   logoutWhatsApp
 } from "../controllers/messaging.controller.js";
-import { protect } from "../middleware/authMiddleware.js";
+import { protect, restrictToAdmins } from "../middleware/authMiddleware.js";
+import { resolveClassFilter } from "../middleware/classMiddleware.js";
+import { auditMutations } from "../services/auditService.js";
 
 const router = express.Router();
 
+// Sending messages and logging out are audited like the admin routes
+router.use(auditMutations);
+
 // Update route order to ensure QR endpoints are registered first
-router.get("/qr", protect, getQRCode);
-router.post("/qr/refresh", protect, refreshQRCode);
+// Pairing, testing and unlinking the school's WhatsApp session are for admins
+router.get("/qr", protect, restrictToAdmins, getQRCode);
+router.post("/qr/refresh", protect, restrictToAdmins, refreshQRCode);
 router.get("/status", protect, getWhatsAppStatus);
-router.post("/send", protect, sendMessage);
-router.post("/bulk", protect, handleBulkMessages);
-router.post("/test", protect, testWhatsAppMessage);
+// Teachers may only message the families of their own classes
+router.post("/send", protect, resolveClassFilter, sendMessage);
+router.post("/bulk", protect, restrictToAdmins, resolveClassFilter, handleBulkMessages);
+router.post("/test", protect, restrictToAdmins, testWhatsAppMessage);
 
 // Add logout route
-router.post("/logout", protect, logoutWhatsApp);
+router.post("/logout", protect, restrictToAdmins, logoutWhatsApp);
 
 export default router;
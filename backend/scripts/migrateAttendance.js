@@ -0,0 +1,151 @@
+import dotenv from 'dotenv';
+import { connectDB, closeDB } from '../config/database.js';
+import Student from '../models/student.model.js';
+import Attendance from '../models/attendance.model.js';
+import { startOfDay } from '../utils/dateUtils.js';
+import { logSection, logInfo, logSuccess, logWarning, logError } from '../utils/terminal.js';
+
+dotenv.config();
+
+/**
+ * One-off migration: moves the attendanceHistory array embedded in each
+ * Student document into the Attendance collection
+ *
+ * Usage: npm run migrate:attendance [-- --dry-run]
+ *
+ * Safe to re-run: records are upserted by student and day, and the embedded
+ * array is only removed once its records have been written.
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Merge the embedded records of one student into one record per day
+ * Keeps the earliest entry, the latest leave and the status of the last scan
+ * @param {Array} history - Embedded attendanceHistory entries
+ * @returns {Array} Records ready to be written to the Attendance collection
+ */
+const mergeHistoryByDay = (history) => {
+  const byDay = new Map();
+
+  [...history]
+    .filter(record => record && record.date)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(record => {
+      const day = startOfDay(record.date);
+      const key = day.getTime();
+      const existing = byDay.get(key);
+
+      if (!existing) {
+        byDay.set(key, {
+          _id: record._id,
+          date: day,
+          status: record.status || 'entered',
+          entryTime: record.entryTime || null,
+          leaveTime: record.leaveTime || null,
+          verifiedBy: record.verifiedBy || null,
+          scanLocation: record.scanLocation || 'Main Entrance',
+          deviceInfo: record.deviceInfo || null
+        });
+        return;
+      }
+
+      if (record.entryTime && (!existing.entryTime || record.entryTime < existing.entryTime)) {
+        existing.entryTime = record.entryTime;
+      }
+      if (record.leaveTime && (!existing.leaveTime || record.leaveTime > existing.leaveTime)) {
+        existing.leaveTime = record.leaveTime;
+      }
+      existing.status = record.status || existing.status;
+      existing.verifiedBy = record.verifiedBy || existing.verifiedBy;
+      existing.scanLocation = record.scanLocation || existing.scanLocation;
+      existing.deviceInfo = record.deviceInfo || existing.deviceInfo;
+    });
+
+  return [...byDay.values()];
+};
+
+const migrateAttendance = async () => {
+  logSection('Attendance Migration');
+  if (dryRun) {
+    logWarning('Dry run: nothing will be written');
+  }
+
+  await connectDB();
+
+  // Make sure the unique student/day index exists before upserting
+  await Attendance.init();
+
+  // Read raw documents, the Student schema no longer knows about the array
+  const cursor = Student.collection.find(
+    { attendanceHistory: { $exists: true } },
+    { projection: { indexNumber: 1, attendanceHistory: 1 } }
+  );
+
+  let studentCount = 0;
+  let embeddedCount = 0;
+  let writtenCount = 0;
+
+  for await (const rawStudent of cursor) {
+    const history = rawStudent.attendanceHistory || [];
+    const records = mergeHistoryByDay(history);
+
+    studentCount++;
+    embeddedCount += history.length;
+    writtenCount += records.length;
+
+    logInfo(`${rawStudent.indexNumber}: ${history.length} embedded record(s) -> ${records.length} day record(s)`);
+
+    if (dryRun) continue;
+
+    if (records.length > 0) {
+      await Attendance.bulkWrite(records.map(({ _id, date, ...fields }) => ({
+        updateOne: {
+          filter: { student: rawStudent._id, date },
+          update: {
+            $set: fields,
+            // Keep the old sub-document id so existing record links keep working
+            $setOnInsert: _id ? { _id } : {}
+          },
+          upsert: true
+        }
+      })));
+    }
+
+    await Student.collection.updateOne(
+      { _id: rawStudent._id },
+      { $unset: { attendanceHistory: '' } }
+    );
+
+    // Duplicate same-day records were merged, so refresh the cached percentage
+    const student = await Student.findById(rawStudent._id);
+    if (student) {
+      await student.recalculateAttendancePercentage();
+      await student.save({ validateBeforeSave: false });
+    }
+  }
+
+  if (!dryRun) {
+    // The old index on the embedded array is no longer needed
+    try {
+      await Student.collection.dropIndex('attendanceHistory.date_1');
+      logInfo('Dropped index attendanceHistory.date_1');
+    } catch (error) {
+      logInfo('No attendanceHistory index to drop');
+    }
+  }
+
+  logSuccess(`Students processed: ${studentCount}`);
+  logSuccess(`Embedded records read: ${embeddedCount}`);
+  logSuccess(`Attendance records ${dryRun ? 'to write' : 'written'}: ${writtenCount}`);
+};
+
+migrateAttendance()
+  .then(async () => {
+    await closeDB();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    logError(`Attendance migration failed: ${error.message}`, error);
+    await closeDB();
+    process.exit(1);
+  });
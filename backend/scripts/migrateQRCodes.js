@@ -0,0 +1,78 @@
+import dotenv from 'dotenv';
+import { connectDB, closeDB } from '../config/database.js';
+import Student from '../models/student.model.js';
+import { getFileStore } from '../services/fileStore.js';
+import { logSection, logInfo, logSuccess, logWarning, logError } from '../utils/terminal.js';
+
+dotenv.config();
+
+/**
+ * Move the base64 QR images embedded in student documents to the file store
+ *
+ * Usage: npm run migrate:qr-codes [-- --dry-run]
+ *
+ * Each image is written to the store configured with FILE_STORE, the
+ * student gets a qrCodeFile reference and the old qrCode field is removed.
+ * Safe to run again, students without an embedded image are skipped.
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateQRCodes = async () => {
+  logSection(`QR code migration${dryRun ? ' (dry run)' : ''}`);
+  await connectDB();
+
+  const store = getFileStore();
+  logInfo(`File store: ${store.name}`);
+
+  // qrCode is no longer in the schema, read it from the raw collection
+  const query = { qrCode: { $type: 'string' } };
+  const total = await Student.collection.countDocuments(query);
+  logInfo(`${total} student(s) with an embedded QR code`);
+
+  let migrated = 0;
+  let failed = 0;
+
+  const cursor = Student.collection.find(query, { projection: { indexNumber: 1, qrCode: 1 } });
+  for await (const student of cursor) {
+    if (dryRun) {
+      logInfo(`${student.indexNumber}: would move ${Math.round(student.qrCode.length / 1024)} KB`);
+      continue;
+    }
+
+    try {
+      const [header, data] = student.qrCode.split(',');
+      const contentType = header.match(/^data:([^;]+);base64$/)?.[1] || 'image/png';
+
+      const qrCodeFile = await store.put(
+        `qr-codes/${student._id}.png`,
+        Buffer.from(data, 'base64'),
+        { contentType }
+      );
+
+      await Student.collection.updateOne(
+        { _id: student._id },
+        { $set: { qrCodeFile }, $unset: { qrCode: '' } }
+      );
+      migrated++;
+    } catch (error) {
+      failed++;
+      logWarning(`${student.indexNumber}: ${error.message}`);
+    }
+  }
+
+  logSuccess(`QR codes ${dryRun ? 'to migrate' : 'migrated'}: ${dryRun ? total : migrated}`);
+  if (failed > 0) {
+    logWarning(`Failed: ${failed}`);
+  }
+};
+
+migrateQRCodes()
+  .then(async () => {
+    await closeDB();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    logError(`QR code migration failed: ${error.message}`, error);
+    await closeDB();
+    process.exit(1);
+  });
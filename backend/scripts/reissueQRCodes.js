@@ -0,0 +1,63 @@
+import dotenv from 'dotenv';
+import { connectDB, closeDB } from '../config/database.js';
+import Student from '../models/student.model.js';
+import { reissueStudentQRCode } from '../services/qrCredentialService.js';
+import { logSection, logInfo, logSuccess, logWarning, logError } from '../utils/terminal.js';
+
+dotenv.config();
+
+/**
+ * Issue signed QR credentials to students who still have an old card
+ *
+ * Usage: npm run qr:reissue [-- --all] [-- --dry-run]
+ *
+ * Without --all only students that never had a signed credential are
+ * updated. With --all every student gets a new version, revoking all
+ * printed cards, e.g. after a signing key leaked.
+ */
+const dryRun = process.argv.includes('--dry-run');
+const reissueAll = process.argv.includes('--all');
+
+const reissueQRCodes = async () => {
+  logSection(`QR credential reissue${dryRun ? ' (dry run)' : ''}`);
+  await connectDB();
+
+  const query = reissueAll ? {} : { 'qrCredential.issuedAt': null, 'qrCredential.revokedAt': null };
+  const students = await Student.find(query).select('name indexNumber qrCredential');
+
+  logInfo(`${students.length} student(s) to update`);
+
+  let reissued = 0;
+  let failed = 0;
+
+  for (const student of students) {
+    if (dryRun) {
+      logInfo(`${student.indexNumber}: would reissue version ${(student.qrCredential?.version || 0) + 1}`);
+      continue;
+    }
+
+    try {
+      await reissueStudentQRCode(student);
+      reissued++;
+    } catch (error) {
+      failed++;
+      logWarning(`${student.indexNumber}: ${error.message}`);
+    }
+  }
+
+  logSuccess(`QR codes ${dryRun ? 'to reissue' : 'reissued'}: ${dryRun ? students.length : reissued}`);
+  if (failed > 0) {
+    logWarning(`Failed: ${failed}`);
+  }
+};
+
+reissueQRCodes()
+  .then(async () => {
+    await closeDB();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    logError(`QR reissue failed: ${error.message}`, error);
+    await closeDB();
+    process.exit(1);
+  });
@@ -8,6 +8,7 @@ import studentRoutes from './routes/students.routes.js';
 import adminRoutes from './routes/admin.routes.js';
 import reportsRoutes from './routes/reports.routes.js';
 import whatsappRoutes from './routes/whatsapp.routes.js';
+import parentRoutes from './routes/parents.routes.js';
 import { errorHandler } from './middleware/authMiddleware.js';
 import { printBanner, logInfo, logSuccess, logWarning, logError, logSection, logServerStart, startSpinner, succeedSpinner, stopSpinner } from './utils/terminal.js';
 import { connectDB, closeDB } from './config/database.js';
@@ -36,14 +37,16 @@ const allowedOrigins = [
 
 app.use(cors({
   origin: allowedOrigins,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type', 
     'Authorization', 
     'mongodb-date-format',
     'preserve-mongodb-format',
     'time-format',
-    'Accept'
+    'Accept',
+    'X-Device-Id',
+    'X-Device-Key'
   ],
   exposedHeaders: ['Content-Disposition'],
   preflightContinue: false,
@@ -83,6 +86,7 @@ app.use('/api/students', studentRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/whatsapp', whatsappRoutes);  
+app.use('/api/parents', parentRoutes);
 app.use('/api/public', express.static('public'));
 
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,288 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import Student from '../models/student.model.js';
+import Attendance from '../models/attendance.model.js';
+import AttendanceCorrection, { CORRECTABLE_STATUSES } from '../models/attendanceCorrection.model.js';
+import AppError from '../utils/appError.js';
+import { startOfDay } from '../utils/dateUtils.js';
+import { getFileStore } from './fileStore.js';
+
+/**
+ * Attendance corrections
+ *
+ * Staff do not edit attendance directly any more, they file a request with
+ * the new status, entry time or leave time and a reason. A different admin
+ * approves or rejects it. Approval applies the change through
+ * Student#applyAttendanceCorrection, which keeps the replaced values on the
+ * attendance record. Only superadmins delete records outright, each deletion
+ * is kept as an approved correction.
+ */
+
+// Supporting documents staff can attach to a request
+export const CORRECTION_ATTACHMENT_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'application/pdf'];
+
+const parseTime = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new AppError(`${field} must be a valid date and time`, 400);
+  }
+  return time;
+};
+
+/**
+ * Check a proposal against the day and the record it corrects
+ * @returns {Object} { status, entryTime, leaveTime }, null for unchanged fields
+ */
+const buildProposal = ({ status, entryTime, leaveTime }, day, record) => {
+  const proposed = {
+    status: status || null,
+    entryTime: parseTime(entryTime, 'Entry time'),
+    leaveTime: parseTime(leaveTime, 'Leave time')
+  };
+
+  if (proposed.status && !CORRECTABLE_STATUSES.includes(proposed.status)) {
+    throw new AppError(`Status must be one of: ${CORRECTABLE_STATUSES.join(', ')}`, 400);
+  }
+
+  if (!proposed.status && !proposed.entryTime && !proposed.leaveTime) {
+    throw new AppError('Propose a new status, entry time or leave time', 400);
+  }
+
+  if (!record && !proposed.status) {
+    throw new AppError('There is no attendance record for this day, a status is required to create one', 400);
+  }
+
+  for (const [field, time] of [['Entry time', proposed.entryTime], ['Leave time', proposed.leaveTime]]) {
+    if (time && startOfDay(time).getTime() !== day.getTime()) {
+      throw new AppError(`${field} must be on the day being corrected`, 400);
+    }
+  }
+
+  const entry = proposed.entryTime || record?.entryTime;
+  const leave = proposed.leaveTime || record?.leaveTime;
+  if (entry && leave && leave < entry) {
+    throw new AppError('Leave time cannot be before entry time', 400);
+  }
+
+  const unchanged = record &&
+    (!proposed.status || proposed.status === record.status) &&
+    (!proposed.entryTime || proposed.entryTime.getTime() === record.entryTime?.getTime()) &&
+    (!proposed.leaveTime || proposed.leaveTime.getTime() === record.leaveTime?.getTime());
+  if (unchanged) {
+    throw new AppError('The proposal matches the current record, there is nothing to correct', 400);
+  }
+
+  return proposed;
+};
+
+/**
+ * File a correction for one day of a student's attendance
+ * @param {Object} student - Student document
+ * @param {Object} input - recordId or date, status, entryTime, leaveTime, reason
+ * @param {Object} [file] - Multer memory upload to attach
+ * @param {Object} admin - Requesting admin
+ * @returns {Promise<Object>} AttendanceCorrection
+ */
+export const createCorrectionRequest = async (student, input, file, admin) => {
+  const { recordId, date, reason } = input;
+  let record = null;
+  let day;
+
+  if (recordId) {
+    record = await Attendance.findOne({ _id: recordId, student: student._id });
+    if (!record) {
+      throw new AppError('Attendance record not found', 404);
+    }
+    day = record.date;
+  } else if (date) {
+    day = startOfDay(new Date(date));
+    if (Number.isNaN(day.getTime())) {
+      throw new AppError('Date must be a valid date', 400);
+    }
+    record = await Attendance.findOne({ student: student._id, date: day });
+  } else {
+    throw new AppError('Either an attendance record or a date is required', 400);
+  }
+
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('A reason is required', 400);
+  }
+
+  const proposed = buildProposal(input, day, record);
+
+  if (await AttendanceCorrection.exists({ student: student._id, date: day, status: 'pending' })) {
+    throw new AppError('A correction for this day is already waiting for review', 409);
+  }
+
+  const correction = new AttendanceCorrection({
+    student: student._id,
+    attendance: record?._id || null,
+    date: day,
+    original: record
+      ? { status: record.status, entryTime: record.entryTime, leaveTime: record.leaveTime }
+      : null,
+    proposed,
+    reason,
+    requestedBy: admin._id
+  });
+  await correction.validate();
+
+  if (file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const stored = await getFileStore().put(
+      `attendance-corrections/${correction._id}${extension}`,
+      file.buffer,
+      { contentType: file.mimetype }
+    );
+    correction.attachment = { ...stored, filename: file.originalname };
+  }
+
+  try {
+    await correction.save();
+  } catch (error) {
+    if (correction.attachment) {
+      await getFileStore().delete(correction.attachment.key).catch(() => {});
+    }
+    if (error.code === 11000) {
+      throw new AppError('A correction for this day is already waiting for review', 409);
+    }
+    throw error;
+  }
+
+  return correction;
+};
+
+/**
+ * Approve or reject a pending correction
+ * The requester cannot review their own request. Approval applies the change
+ * and links the request to the record it created or changed.
+ * @param {string} correctionId
+ * @param {Object} options - { decision: 'approved'|'rejected', note, reviewer }
+ * @returns {Promise<Object>} { correction, record } - record only on approval
+ */
+export const reviewCorrectionRequest = async (correctionId, { decision, note, reviewer }) => {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw new AppError('Decision must be either approved or rejected', 400);
+  }
+
+  const correction = await AttendanceCorrection.findById(correctionId);
+  if (!correction) {
+    throw new AppError('Correction request not found', 404);
+  }
+
+  if (correction.status !== 'pending') {
+    throw new AppError(`This correction was already ${correction.status}`, 409);
+  }
+
+  if (correction.requestedBy.equals(reviewer._id)) {
+    throw new AppError('A correction must be reviewed by a different admin than the one who requested it', 403);
+  }
+
+  // Claim the request first so two reviewers cannot both apply it
+  const review = {
+    status: decision,
+    reviewedBy: reviewer._id,
+    reviewedAt: new Date(),
+    reviewNote: note || null
+  };
+  const claimed = await AttendanceCorrection.findOneAndUpdate(
+    { _id: correction._id, status: 'pending' },
+    review,
+    { new: true, runValidators: true }
+  );
+  if (!claimed) {
+    throw new AppError('This correction was reviewed in the meantime', 409);
+  }
+
+  if (decision === 'rejected') {
+    return { correction: claimed, record: null };
+  }
+
+  try {
+    const student = await Student.findById(claimed.student);
+    if (!student) {
+      throw new AppError('The student of this correction no longer exists', 404);
+    }
+
+    const record = await student.applyAttendanceCorrection(claimed, reviewer._id);
+    if (!claimed.attendance) {
+      claimed.attendance = record._id;
+      await claimed.save();
+    }
+
+    return { correction: claimed, record };
+  } catch (error) {
+    // Nothing was applied, so the request goes back to the queue
+    await AttendanceCorrection.updateOne(
+      { _id: claimed._id },
+      { status: 'pending', reviewedBy: null, reviewedAt: null, reviewNote: null }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Delete one attendance record, or a student's whole history, superadmins only
+ * Each record is kept as an approved removal with the values it had, and
+ * requests still open for those days are rejected
+ * @param {Object} student - Student document
+ * @param {Object} options - recordId, or all for the whole history, reason
+ *   and the deleting admin
+ * @returns {Promise<Object>} { deletedCount, deletedRecord, corrections }
+ */
+export const deleteAttendanceRecords = async (student, { recordId = null, all = false, reason, admin }) => {
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('A reason is required', 400);
+  }
+
+  let records;
+  if (all) {
+    records = await Attendance.find({ student: student._id });
+  } else {
+    const record = mongoose.Types.ObjectId.isValid(recordId)
+      ? await Attendance.findOne({ _id: recordId, student: student._id })
+      : null;
+    if (!record) {
+      throw new AppError('Attendance record not found', 404);
+    }
+    records = [record];
+  }
+
+  const reviewedAt = new Date();
+  const corrections = await AttendanceCorrection.insertMany(records.map(record => ({
+    student: student._id,
+    attendance: record._id,
+    date: record.date,
+    original: { status: record.status, entryTime: record.entryTime, leaveTime: record.leaveTime },
+    proposed: {},
+    removesRecord: true,
+    reason,
+    status: 'approved',
+    requestedBy: admin._id,
+    reviewedBy: admin._id,
+    reviewedAt
+  })));
+
+  let result;
+  try {
+    result = all
+      ? await student.clearAttendanceHistory()
+      : await student.deleteAttendanceRecord(records[0]._id);
+  } catch (error) {
+    await AttendanceCorrection.deleteMany({ _id: { $in: corrections.map(correction => correction._id) } });
+    throw error;
+  }
+
+  await AttendanceCorrection.updateMany(
+    { student: student._id, date: { $in: records.map(record => record.date) }, status: 'pending' },
+    { status: 'rejected', reviewedBy: admin._id, reviewedAt, reviewNote: 'The attendance record was deleted' }
+  );
+
+  return {
+    deletedCount: all ? result.deletedCount : 1,
+    deletedRecord: all ? null : result.deletedRecord,
+    corrections
+  };
+};
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import Admin from '../models/admin.model.js';
+import Attendance from '../models/attendance.model.js';
+import AppError from '../utils/appError.js';
+import { startOfDay } from '../utils/dateUtils.js';
+
+/**
+ * Manual attendance overrides
+ *
+ * Staff record a day by hand when there was no scan, e.g. a student who
+ * forgot their card or came in with a parent. Every override carries a
+ * reason code from the configurable list and the staff member who verified
+ * the student. The record is flagged so reports can filter or annotate it.
+ * Days that already have attendance go through correction requests instead.
+ */
+
+export const OVERRIDE_STATUSES = ['present', 'entered', 'left', 'absent'];
+
+const REASON_CODE = /^[A-Z0-9_]{2,40}$/;
+
+/**
+ * Check a reason code list before it is stored
+ * @returns {string|null} The first problem, or null when the list is usable
+ */
+export const validateOverrideReasons = (reasons) => {
+  if (!Array.isArray(reasons) || reasons.length === 0) {
+    return 'At least one reason is required';
+  }
+
+  const codes = new Set();
+  for (const reason of reasons) {
+    if (!reason || !REASON_CODE.test(reason.code || '')) {
+      return 'Reason codes must be 2 to 40 upper case letters, digits or underscores';
+    }
+    if (codes.has(reason.code)) {
+      return `Reason code ${reason.code} is listed twice`;
+    }
+    codes.add(reason.code);
+
+    const label = String(reason.label || '').trim();
+    if (!label || label.length > 100) {
+      return `The label of ${reason.code} must be 1 to 100 characters`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Normalize a reason code list for storage
+ */
+export const normalizeOverrideReasons = (reasons) => reasons.map(reason => ({
+  code: reason.code,
+  label: String(reason.label).trim(),
+  requiresNote: reason.requiresNote === true || reason.requiresNote === 'true'
+}));
+
+const parseTime = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new AppError(`${field} must be a valid date and time`, 400);
+  }
+  return time;
+};
+
+/**
+ * Record a day of attendance by hand
+ * @param {Object} student - Student document
+ * @param {Object} input - date, status, entryTime, leaveTime, reasonCode,
+ *   note and verifiedBy (admin or teacher id, the caller by default)
+ * @param {Object} admin - Admin recording the override
+ * @returns {Promise<Object>} The attendance record
+ */
+export const recordAttendanceOverride = async (student, input, admin) => {
+  const { date, reasonCode, note, verifiedBy } = input;
+  const now = new Date();
+
+  if (!date) {
+    throw new AppError('Date is required', 400);
+  }
+  const day = startOfDay(new Date(date));
+  if (Number.isNaN(day.getTime())) {
+    throw new AppError('Date must be a valid date', 400);
+  }
+  if (day > startOfDay(now)) {
+    throw new AppError('Attendance cannot be recorded for a future date', 400);
+  }
+
+  const { reasons } = await Attendance.getOverrideReasons();
+  const reason = reasons.find(item => item.code === reasonCode);
+  if (!reason) {
+    throw new AppError(`Reason code must be one of: ${reasons.map(item => item.code).join(', ')}`, 400);
+  }
+  if (reason.requiresNote && !String(note || '').trim()) {
+    throw new AppError(`A note is required for ${reason.label}`, 400);
+  }
+
+  const entryTime = parseTime(input.entryTime, 'Entry time');
+  const leaveTime = parseTime(input.leaveTime, 'Leave time');
+  const status = input.status || (leaveTime ? 'left' : 'present');
+
+  if (!OVERRIDE_STATUSES.includes(status)) {
+    throw new AppError(`Status must be one of: ${OVERRIDE_STATUSES.join(', ')}`, 400);
+  }
+  if (status !== 'absent' && !entryTime) {
+    throw new AppError('Entry time is required', 400);
+  }
+  if (status === 'left' && !leaveTime) {
+    throw new AppError('Leave time is required when the student has left', 400);
+  }
+
+  for (const [field, time] of [['Entry time', entryTime], ['Leave time', leaveTime]]) {
+    if (!time) continue;
+    if (startOfDay(time).getTime() !== day.getTime()) {
+      throw new AppError(`${field} must be on ${day.toDateString()}`, 400);
+    }
+    if (time > now) {
+      throw new AppError(`${field} cannot be in the future`, 400);
+    }
+  }
+  if (entryTime && leaveTime && leaveTime < entryTime) {
+    throw new AppError('Leave time cannot be before entry time', 400);
+  }
+
+  let verifier = admin._id;
+  if (verifiedBy) {
+    if (!mongoose.Types.ObjectId.isValid(verifiedBy) || !(await Admin.exists({ _id: verifiedBy }))) {
+      throw new AppError('Verified by must be an existing admin or teacher', 400);
+    }
+    verifier = verifiedBy;
+  }
+
+  const existing = await Attendance.findOne({ student: student._id, date: day }).select('status').lean();
+  if (existing && existing.status !== 'absent') {
+    throw new AppError('This day already has attendance, request a correction instead', 409);
+  }
+
+  return student.overrideAttendance({
+    date: day,
+    status,
+    entryTime: status === 'absent' ? null : entryTime,
+    leaveTime: status === 'absent' ? null : leaveTime,
+    reason,
+    note: note ? String(note).trim() : null,
+    verifiedBy: verifier,
+    overriddenBy: admin._id
+  });
+};
@@ -0,0 +1,228 @@
+import AuditLog from '../models/auditLog.model.js';
+import { logError } from '../utils/terminal.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Values of these fields never reach the audit log
+const SENSITIVE_FIELD = /password|token|secret|apikey|api_key|otp|credential|hash/i;
+
+// Bulky fields that say nothing about the change itself
+const OMITTED_FIELDS = ['__v', 'id', 'messages', 'qrCodeFile', 'updatedAt'];
+
+// Longest string kept in a snapshot, e.g. message bodies
+const MAX_STRING_LENGTH = 500;
+
+export const AUDIT_EXPORT_COLUMNS = [
+  { key: 'createdAt', header: 'Time' },
+  { key: 'actorEmail', header: 'Actor' },
+  { key: 'actorRole', header: 'Role' },
+  { key: 'action', header: 'Action' },
+  { key: 'method', header: 'Method' },
+  { key: 'path', header: 'Path' },
+  { key: 'statusCode', header: 'Status' },
+  { key: 'targetType', header: 'Target type' },
+  { key: 'targetId', header: 'Target id' },
+  { key: 'targetLabel', header: 'Target' },
+  { key: 'changes', header: 'Changes' },
+  { key: 'ip', header: 'IP' },
+  { key: 'userAgent', header: 'User agent' }
+];
+
+/**
+ * Turn a value into something safe and small enough to store
+ */
+const sanitize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}...` : value;
+  }
+  if (typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toString();
+  if (typeof value.toObject === 'function') return sanitize(value.toObject({ virtuals: false }));
+  if (Array.isArray(value)) return value.map(sanitize);
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (OMITTED_FIELDS.includes(key)) continue;
+    result[key] = SENSITIVE_FIELD.test(key) ? '[redacted]' : sanitize(item);
+  }
+  return result;
+};
+
+/**
+ * Plain, redacted copy of a document or object for the before and after of
+ * an audit entry
+ * @param {Object|null} doc - Mongoose document or plain object
+ * @returns {Object|null}
+ */
+export const toAuditSnapshot = (doc) => (doc ? sanitize(doc) : null);
+
+/**
+ * Top level fields that differ between two snapshots
+ * @returns {Array<{ field, from, to }>}
+ */
+export const diffSnapshots = (before, after) => {
+  if (!before && !after) return [];
+
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Describe the current request for its audit entry
+ * Controllers call this to name the action and record what the target looked
+ * like before and after, later calls add to earlier ones. Snapshots are taken
+ * right away, so pass the document before changing it.
+ * @param {Object} req
+ * @param {Object} context - { action, target: { type, id, label }, before, after, details }
+ */
+export const setAuditContext = (req, context) => {
+  const current = req.auditContext || {};
+  const next = { ...current, ...context };
+
+  if (context.target) next.target = { ...current.target, ...context.target };
+  if ('before' in context) next.before = toAuditSnapshot(context.before);
+  if ('after' in context) next.after = toAuditSnapshot(context.after);
+  if ('details' in context) next.details = sanitize(context.details);
+
+  req.auditContext = next;
+};
+
+/**
+ * Target of routes that did not describe one, from the route's first
+ * segment and id parameter, e.g. DELETE /classes/:id
+ */
+const defaultTarget = (req) => {
+  const id = req.params?.id || req.params?.studentId || null;
+  const segment = req.route?.path?.split('/').filter(Boolean)[0] || null;
+  return { type: segment, id, label: null };
+};
+
+const writeAuditEntry = async (req, res) => {
+  const context = req.auditContext || {};
+  const route = req.route ? `${req.baseUrl}${req.route.path}` : `${req.baseUrl}${req.path}`;
+  const target = { ...defaultTarget(req), ...context.target };
+
+  const before = context.before ?? null;
+  const after = context.after ?? null;
+
+  // Routes that did not describe their change keep the request body instead
+  const details = context.details !== undefined
+    ? context.details
+    : (req.body && Object.keys(req.body).length > 0 ? sanitize(req.body) : null);
+
+  await AuditLog.create({
+    actor: req.admin?._id || null,
+    actorEmail: req.admin?.email || null,
+    actorRole: req.admin?.role || null,
+    action: context.action || `${req.method} ${route}`,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    statusCode: res.statusCode,
+    success: res.statusCode < 400,
+    target: {
+      type: target.type || null,
+      id: target.id ? String(target.id) : null,
+      label: target.label || null
+    },
+    before,
+    after,
+    changes: diffSnapshots(before, after),
+    details,
+    ip: req.ip || req.socket?.remoteAddress || null,
+    userAgent: req.get('user-agent') || null
+  });
+};
+
+/**
+ * Record every POST, PUT, PATCH and DELETE handled by a router once the
+ * response is sent, including refused and failed ones
+ * Mount with router.use before the routes, the actor comes from protect
+ */
+export const auditMutations = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    // Auditing must never break or slow down the request itself
+    writeAuditEntry(req, res).catch(error => {
+      logError(`Error writing audit log for ${req.method} ${req.originalUrl}: ${error.message}`);
+    });
+  });
+
+  next();
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build an AuditLog filter from query parameters
+ * @param {Object} params - actor, action, targetType, targetId, method,
+ *   success, from, to (dates) and search (actor email, action, path or target)
+ * @returns {Object}
+ */
+export const buildAuditQuery = (params = {}) => {
+  const query = {};
+
+  if (params.actor) query.actor = params.actor;
+  if (params.action) query.action = params.action;
+  if (params.targetType) query['target.type'] = params.targetType;
+  if (params.targetId) query['target.id'] = String(params.targetId);
+  if (params.method) query.method = String(params.method).toUpperCase();
+  if (params.success === 'true' || params.success === 'false') {
+    query.success = params.success === 'true';
+  }
+
+  if (params.from || params.to) {
+    query.createdAt = {};
+    if (params.from) query.createdAt.$gte = new Date(params.from);
+    if (params.to) query.createdAt.$lte = new Date(params.to);
+  }
+
+  if (params.search) {
+    const pattern = new RegExp(escapeRegex(String(params.search).trim()), 'i');
+    query.$or = [
+      { actorEmail: pattern },
+      { action: pattern },
+      { path: pattern },
+      { 'target.label': pattern },
+      { 'target.id': pattern }
+    ];
+  }
+
+  return query;
+};
+
+/**
+ * Flatten an audit entry into a CSV row keyed like AUDIT_EXPORT_COLUMNS
+ */
+export const toAuditExportRow = (entry) => ({
+  createdAt: entry.createdAt,
+  actorEmail: entry.actorEmail,
+  actorRole: entry.actorRole,
+  action: entry.action,
+  method: entry.method,
+  path: entry.path,
+  statusCode: entry.statusCode,
+  targetType: entry.target?.type,
+  targetId: entry.target?.id,
+  targetLabel: entry.target?.label,
+  changes: (entry.changes || [])
+    .map(change => `${change.field}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`)
+    .join('; '),
+  ip: entry.ip,
+  userAgent: entry.userAgent
+});
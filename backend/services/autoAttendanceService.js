@@ -1,6 +1,26 @@
 import { logInfo, logWarning, logError } from '../utils/terminal.js';
+import Attendance from '../models/attendance.model.js';
 import Student from '../models/student.model.js';
-import { sendTextMessage } from './whatsapp.service.js';
+import AcademicYear from '../models/academicYear.model.js';
+import Setting from '../models/setting.model.js';
+import { startOfDay } from '../utils/dateUtils.js';
+import { notifyGuardiansOfAttendance, messageGuardians } from './guardianNotificationService.js';
+
+// Automatic absent marking settings are stored under this key
+export const AUTO_ABSENT_SETTINGS_KEY = 'autoAbsent';
+
+export const DEFAULT_AUTO_ABSENT_SETTINGS = {
+  enabled: true,
+  cutoffTime: '10:00', // HH:MM, 24-hour, school time
+  notifyParents: false,
+  lastRun: null
+};
+
+/**
+ * Get the automatic absent marking settings, including the last run result
+ */
+export const getAutoAbsentSettings = () =>
+  Setting.getValue(AUTO_ABSENT_SETTINGS_KEY, DEFAULT_AUTO_ABSENT_SETTINGS);
 
 /**
  * Automatically mark students as having left at 6:30 PM
@@ -15,62 +35,49 @@ export const autoMarkLeaveAttendance = async () => {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    // Find all students who have marked attendance today but haven't left
-    const students = await Student.find({
-      'attendanceHistory.date': {
+    // Find all of today's records for students who entered but haven't left
+    const records = await Attendance.find({
+      date: {
         $gte: today,
         $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
       },
-      'attendanceHistory.status': { $in: ['entered', 'present'] },
-      'attendanceHistory.leaveTime': null
-    });
+      status: { $in: ['entered', 'present'] },
+      leaveTime: null
+    }).populate('student');
 
-    if (!students.length) {
+    if (!records.length) {
       logInfo('No students found who need automatic leave marking');
       return;
     }
 
-    logInfo(`Found ${students.length} students who need automatic leave marking`);
+    logInfo(`Found ${records.length} students who need automatic leave marking`);
 
     // Set leave time to 6:30 PM
     const leaveTime = new Date();
     leaveTime.setHours(18, 30, 0, 0);
 
     // Process each student
-    for (const student of students) {
-      try {
-        // Find today's attendance record that doesn't have a leave time
-        const todayAttendanceIndex = student.attendanceHistory.findIndex(
-          record => record.date.toDateString() === today.toDateString() &&
-                   ['entered', 'present'].includes(record.status) &&
-                   !record.leaveTime
-        );
-
-        if (todayAttendanceIndex === -1) {
-          logWarning(`No eligible attendance record found for student: ${student.name}`);
-          continue;
-        }
+    for (const record of records) {
+      const student = record.student;
+
+      if (!student) {
+        logWarning(`No student found for attendance record: ${record._id}`);
+        continue;
+      }
 
+      try {
         // Update the student's attendance record
-        student.attendanceHistory[todayAttendanceIndex].leaveTime = leaveTime;
-        student.attendanceHistory[todayAttendanceIndex].status = 'left';
+        record.leaveTime = leaveTime;
+        record.status = 'left';
+        await record.save();
         
         // Update lastAttendance field
         student.lastAttendance = leaveTime;
         
         // Recalculate attendance percentage
-        const totalRecords = student.attendanceHistory.length;
-        const presentRecords = student.attendanceHistory.filter(record => 
-          record.status === 'present' || record.status === 'entered'
-        ).length;
-        
-        student.attendancePercentage = totalRecords > 0 
-          ? (presentRecords / totalRecords) * 100 
-          : 0;
-        
-        await student.save();
+        await student.recalculateAttendancePercentage();
 
-        // Prepare message for parent notification
+        // Prepare message for guardian notification
         const messageText = `🏫 Automated Attendance Update
 
 Dear Parent, 
@@ -80,19 +87,19 @@ Please remind your child to properly scan both when arriving and leaving.
 
 Thank you.`;
 
-        // Send notification to parent via WhatsApp
-        if (student.parent_telephone) {
-          const result = await sendTextMessage(student.parent_telephone, messageText);
-          
-          if (result.success) {
-            logInfo(`Successfully sent automatic leave notification to parent of ${student.name}`);
-          } else {
-            logWarning(`Failed to send message to parent of ${student.name}: ${result.error}`);
-          }
+        // Send notification to the guardians via WhatsApp
+        const delivery = await messageGuardians(student, 'autoLeave', messageText, { type: 'automated' });
+
+        if (delivery.results.length === 0) {
+          logWarning(`No guardian to notify for student: ${student.name}`);
+        } else if (delivery.success) {
+          logInfo(`Successfully sent automatic leave notification to ${delivery.sent} guardian(s) of ${student.name}`);
         } else {
-          logWarning(`No parent telephone found for student: ${student.name}`);
+          logWarning(`Failed to send message to the guardians of ${student.name}`);
         }
-        
+
+        await student.save();
+
         logInfo(`Successfully marked leave attendance for student: ${student.name}`);
       } catch (error) {
         logError(`Error processing student ${student.name}: ${error.message}`);
@@ -104,4 +111,106 @@ Thank you.`;
     logError(`Error in autoMarkLeaveAttendance: ${error.message}`);
     throw error;
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Mark every active student who has no attendance record for the day as absent
+ * Runs daily after the configured cut-off via the scheduler service
+ * Days that are not school days in the academic calendar are skipped
+ * The result is stored as the lastRun of the auto absent settings
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Day to process, defaults to today
+ * @param {boolean} [options.notifyParents] - Overrides the stored setting
+ * @param {string} [options.trigger] - What started the run ('scheduler' or 'manual')
+ * @returns {Promise<Object>} Run result
+ */
+export const autoMarkAbsentAttendance = async ({ date = new Date(), notifyParents, trigger = 'scheduler' } = {}) => {
+  const day = startOfDay(date);
+  const result = {
+    date: day,
+    trigger,
+    startedAt: new Date(),
+    finishedAt: null,
+    skipped: false,
+    reason: null,
+    markedAbsent: 0,
+    notified: 0,
+    failed: 0,
+    error: null
+  };
+
+  try {
+    logInfo(`Starting automatic absent marking for ${day.toDateString()}...`);
+
+    const settings = await getAutoAbsentSettings();
+    const shouldNotify = notifyParents ?? settings.notifyParents;
+
+    if (!(await AcademicYear.isSchoolDay(day))) {
+      result.skipped = true;
+      result.reason = 'not_a_school_day';
+      logInfo(`${day.toDateString()} is not a school day, no students marked absent`);
+      return result;
+    }
+
+    // Anyone with a record for the day has already been seen
+    const seenStudentIds = await Attendance.distinct('student', { date: day });
+    const students = await Student.find({
+      status: 'active',
+      _id: { $nin: seenStudentIds }
+    });
+
+    logInfo(`Found ${students.length} students with no attendance for the day`);
+
+    for (const student of students) {
+      try {
+        await Attendance.create({
+          student: student._id,
+          date: day,
+          status: 'absent',
+          scanLocation: 'Auto Absent',
+          deviceInfo: 'Auto absent system'
+        });
+      } catch (error) {
+        // The student scanned in while the job was running
+        if (error.code === 11000) continue;
+
+        result.failed++;
+        logError(`Error marking ${student.name} absent: ${error.message}`);
+        continue;
+      }
+
+      result.markedAbsent++;
+
+      try {
+        await student.recalculateAttendancePercentage();
+
+        if (shouldNotify) {
+          const delivery = await notifyGuardiansOfAttendance(student, 'absent', new Date());
+
+          result.notified += delivery.sent;
+          if (delivery.failed > 0) {
+            logWarning(`Failed to send absence alert to ${delivery.failed} guardian(s) of ${student.name}`);
+          }
+        }
+
+        await student.save();
+      } catch (error) {
+        logError(`Error updating ${student.name} after marking absent: ${error.message}`);
+      }
+    }
+
+    logInfo(`Completed automatic absent marking: ${result.markedAbsent} marked absent, ${result.notified} guardians notified`);
+    return result;
+  } catch (error) {
+    result.error = error.message;
+    logError(`Error in autoMarkAbsentAttendance: ${error.message}`);
+    throw error;
+  } finally {
+    result.finishedAt = new Date();
+    try {
+      await Setting.setValue(AUTO_ABSENT_SETTINGS_KEY, { lastRun: result });
+    } catch (error) {
+      logError(`Error saving automatic absent marking result: ${error.message}`);
+    }
+  }
+};
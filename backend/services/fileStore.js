@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Pluggable storage for generated files such as QR code images
+ *
+ * FILE_STORE selects the implementation:
+ * - local (default): files under FILE_STORE_PATH, uploads/files by default
+ * - gridfs: the 'files' GridFS bucket of the application database
+ *
+ * Documents keep only the reference returned by put(), never the bytes.
+ * Every store has the same methods:
+ * - put(key, buffer, { contentType }) => { key, contentType, size, etag, updatedAt }
+ * - createReadStream(key) => Readable
+ * - exists(key) => boolean
+ * - delete(key)
+ */
+
+const hashContent = (buffer) => crypto.createHash('sha1').update(buffer).digest('hex');
+
+/**
+ * Reject keys that could escape the store, e.g. '../../etc/passwd'
+ */
+const checkKey = (key) => {
+  if (!key || typeof key !== 'string' || key.split('/').some(part => !part || part === '.' || part === '..')) {
+    throw new Error(`Invalid file store key: ${key}`);
+  }
+  return key;
+};
+
+/**
+ * Store files on the local disk
+ * @param {string} root - Directory holding the files
+ */
+export const createLocalDiskStore = (root) => {
+  const resolve = (key) => path.join(root, ...checkKey(key).split('/'));
+
+  return {
+    name: 'local',
+
+    async put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+      // Write next to the target and rename, readers never see half a file
+      const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(temporary, buffer);
+      await fs.promises.rename(temporary, file);
+
+      return { key, contentType, size: buffer.length, etag: hashContent(buffer), updatedAt: new Date() };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolve(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+/**
+ * Store files in MongoDB GridFS, for deployments without a persistent disk
+ * Needs an open mongoose connection when the methods are called
+ * @param {string} bucketName - GridFS bucket
+ */
+export const createGridFSStore = (bucketName) => {
+  const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+
+  const findFiles = (key) => getBucket().find({ filename: checkKey(key) }).toArray();
+
+  return {
+    name: 'gridfs',
+
+    async put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+      const previous = await findFiles(key);
+      const etag = hashContent(buffer);
+
+      // Upload first and remove the old revisions after, so the key never
+      // points at nothing
+      const upload = getBucket().openUploadStream(key, { metadata: { contentType, etag } });
+      upload.end(buffer);
+      await new Promise((resolve, reject) => {
+        upload.on('finish', resolve);
+        upload.on('error', reject);
+      });
+
+      const bucket = getBucket();
+      await Promise.all(previous.map(file => bucket.delete(file._id)));
+
+      return { key, contentType, size: buffer.length, etag, updatedAt: new Date() };
+    },
+
+    createReadStream(key) {
+      return getBucket().openDownloadStreamByName(checkKey(key));
+    },
+
+    async exists(key) {
+      return (await findFiles(key)).length > 0;
+    },
+
+    async delete(key) {
+      const bucket = getBucket();
+      const files = await findFiles(key);
+      await Promise.all(files.map(file => bucket.delete(file._id)));
+    }
+  };
+};
+
+let fileStore = null;
+
+/**
+ * Get the configured file store
+ * @returns {Object}
+ */
+export const getFileStore = () => {
+  if (!fileStore) {
+    const type = (process.env.FILE_STORE || 'local').toLowerCase();
+
+    if (type === 'gridfs') {
+      fileStore = createGridFSStore('files');
+    } else if (type === 'local') {
+      fileStore = createLocalDiskStore(process.env.FILE_STORE_PATH || path.join(process.cwd(), 'uploads', 'files'));
+    } else {
+      throw new Error(`Unknown FILE_STORE "${type}", use local or gridfs`);
+    }
+  }
+  return fileStore;
+};
+
+/**
+ * Read a whole stored file
+ * @param {string} key
+ * @returns {Promise<Buffer>}
+ */
+export const readStoredFile = async (key) => {
+  const chunks = [];
+  for await (const chunk of getFileStore().createReadStream(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Stream a stored file as the response, with validators so browsers and
+ * proxies only download it again after it changed
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} file - Reference returned by put()
+ * @param {Object} [options]
+ * @param {string} [options.filename] - Name for Content-Disposition
+ * @param {string} [options.disposition] - 'inline' (default) or 'attachment'
+ * @param {number} [options.maxAge] - Seconds a cached copy is used without asking
+ */
+export const sendStoredFile = async (req, res, file, { filename, disposition = 'inline', maxAge = 0 } = {}) => {
+  const etag = `"${file.etag}"`;
+
+  res.set('ETag', etag);
+  res.set('Cache-Control', `private, max-age=${maxAge}, must-revalidate`);
+  if (file.updatedAt) {
+    res.set('Last-Modified', new Date(file.updatedAt).toUTCString());
+  }
+
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Length', file.size);
+  if (filename) {
+    res.set('Content-Disposition', `${disposition}; filename="${filename}"`);
+  }
+
+  await pipeline(getFileStore().createReadStream(file.key), res);
+};
@@ -0,0 +1,229 @@
+import { GUARDIAN_LANGUAGES } from '../models/student.model.js';
+import { sendTextMessage, sendAttendanceAlert } from './whatsapp.service.js';
+
+/**
+ * Guardian notifications
+ *
+ * Attendance alerts, automatic departures and bulk messages go to every
+ * guardian of the student who follows the event, in their language where a
+ * translation exists. Messages are delivered on WhatsApp, the only channel
+ * the school has set up, so guardians who prefer email are reached on their
+ * WhatsApp number and skipped when they gave none. Every message sent is
+ * kept in the student's message history with the number it went to.
+ */
+
+/**
+ * The events a new attendance status notifies guardians about
+ * Late arrivals also reach guardians who only follow late arrivals
+ * @param {string} status - 'entered', 'present', 'left' or 'absent'
+ * @param {string|null} [arrivalStatus] - 'late' for a late first entry
+ * @returns {Array<string>}
+ */
+export const getAttendanceEvents = (status, arrivalStatus = null) => {
+  if (status === 'entered' || status === 'present') {
+    return arrivalStatus === 'late' ? ['entry', 'late'] : ['entry'];
+  }
+  if (status === 'left') return ['exit'];
+  if (status === 'absent') return ['absent'];
+  return [];
+};
+
+/**
+ * Check the translations of a bulk message
+ * @param {Object} [translations] - Message per language code, e.g. { si: '...' }
+ * @returns {string|null} The first problem, or null when they are usable
+ */
+export const validateTranslations = (translations) => {
+  if (translations === undefined || translations === null) return null;
+
+  if (typeof translations !== 'object' || Array.isArray(translations)) {
+    return 'Translations must be an object of messages by language';
+  }
+
+  for (const [language, text] of Object.entries(translations)) {
+    if (!GUARDIAN_LANGUAGES.includes(language)) {
+      return `Translation languages must be one of: ${GUARDIAN_LANGUAGES.join(', ')}`;
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      return `The ${language} translation cannot be empty`;
+    }
+  }
+
+  return null;
+};
+
+// The WhatsApp number a guardian is reached on
+const getRecipient = (guardian) => {
+  if (guardian.telephone) {
+    return { recipient: guardian.telephone.replace(/[\s-]/g, '') };
+  }
+
+  return {
+    reason: guardian.preferredChannel === 'email'
+      ? 'Email delivery is not available and the guardian has no WhatsApp number'
+      : 'No telephone number'
+  };
+};
+
+/**
+ * Send one message to each guardian, numbers shared by several guardians
+ * are only messaged once
+ * @param {Object} student - Student document, messages sent are added to its
+ *   history but it is not saved
+ * @param {Array<Object>} guardians - From student.getGuardiansFor
+ * @param {Function} send - (recipient, guardian) => WhatsApp result with the
+ *   message text
+ * @param {Object} entry - type and sentBy of the message history entries
+ * @returns {Promise<Object>} { success, messageId, message, sent, failed,
+ *   skipped, results } with one result per guardian
+ */
+const deliver = async (student, guardians, send, { type, sentBy = null }) => {
+  const results = [];
+  const messaged = new Set();
+
+  for (const guardian of guardians) {
+    const result = {
+      guardian: guardian._id || null,
+      name: guardian.name,
+      relationship: guardian.relationship
+    };
+
+    const { recipient, reason } = getRecipient(guardian);
+    if (!recipient) {
+      results.push({ ...result, status: 'skipped', reason });
+      continue;
+    }
+    result.recipient = recipient;
+
+    if (messaged.has(recipient)) {
+      results.push({ ...result, status: 'skipped', reason: 'Another guardian with this number was messaged' });
+      continue;
+    }
+    messaged.add(recipient);
+
+    try {
+      const sendResult = await send(recipient, guardian);
+
+      if (sendResult.success) {
+        student.messages.push({
+          content: sendResult.message,
+          sentAt: new Date(),
+          type,
+          status: 'sent',
+          messageId: sendResult.messageId,
+          recipient,
+          sentBy
+        });
+        results.push({ ...result, status: 'sent', messageId: sendResult.messageId, message: sendResult.message });
+      } else {
+        results.push({ ...result, status: 'failed', error: sendResult.error });
+      }
+    } catch (error) {
+      results.push({ ...result, status: 'failed', error: error.message });
+    }
+  }
+
+  const sent = results.filter(result => result.status === 'sent');
+  return {
+    success: sent.length > 0,
+    messageId: sent[0]?.messageId || null,
+    message: sent[0]?.message || null,
+    sent: sent.length,
+    failed: results.filter(result => result.status === 'failed').length,
+    skipped: results.filter(result => result.status === 'skipped').length,
+    results
+  };
+};
+
+/**
+ * Send the attendance alert for a new status to the guardians who follow it
+ * @param {Object} student - Student document, not saved
+ * @param {string} status - 'entered', 'left', 'present' or 'absent'
+ * @param {Date} timestamp - When it happened
+ * @param {Object} [options] - arrivalStatus and minutesLate of the entry
+ * @returns {Promise<Object>} Delivery result, see deliver
+ */
+export const notifyGuardiansOfAttendance = (student, status, timestamp, { arrivalStatus = null, minutesLate = 0 } = {}) => {
+  const studentData = {
+    name: student.name,
+    indexNumber: student.indexNumber,
+    student_email: student.student_email,
+    address: student.address,
+    parent_telephone: student.parent_telephone,
+    status,
+    timestamp,
+    arrivalStatus,
+    minutesLate
+  };
+
+  return deliver(
+    student,
+    student.getGuardiansFor(getAttendanceEvents(status, arrivalStatus)),
+    (recipient, guardian) => sendAttendanceAlert(recipient, studentData, status, timestamp, { language: guardian.language }),
+    { type: 'attendance' }
+  );
+};
+
+/**
+ * Send a text message to the guardians who follow an event
+ * @param {Object} student - Student document, not saved
+ * @param {string} event - One of GUARDIAN_EVENTS
+ * @param {string} message - Text, used for guardians without a translation
+ * @param {Object} [options] - type and sentBy of the history entries,
+ *   translations by language code
+ * @returns {Promise<Object>} Delivery result, see deliver
+ */
+export const messageGuardians = (student, event, message, { type = 'notification', sentBy = null, translations = {} } = {}) =>
+  deliver(
+    student,
+    student.getGuardiansFor(event),
+    async (recipient, guardian) => {
+      const text = translations?.[guardian.language] || message;
+      return { ...(await sendTextMessage(recipient, text)), message: text };
+    },
+    { type, sentBy }
+  );
+
+/**
+ * Send a bulk message to the guardians of many students who follow bulk
+ * messages, saving each student's message history
+ * @param {Array<Object>} students - Student documents
+ * @param {string} message - Text, used for guardians without a translation
+ * @param {Object} [options] - translations by language code and sentBy
+ * @returns {Promise<Object>} { summary, results } with the successful,
+ *   failed and skipped guardians
+ */
+export const sendBulkGuardianMessages = async (students, message, { translations = {}, sentBy = null } = {}) => {
+  const results = {
+    successful: [],
+    failed: [],
+    skipped: []
+  };
+
+  for (const student of students) {
+    const delivery = await messageGuardians(student, 'bulk', message, { translations, sentBy });
+
+    delivery.results.forEach(({ name, relationship, recipient, status, messageId, reason, error }) => {
+      const entry = { student: student._id, indexNumber: student.indexNumber, guardian: name, relationship, phone: recipient };
+
+      if (status === 'sent') results.successful.push({ ...entry, messageId });
+      else if (status === 'failed') results.failed.push({ ...entry, error });
+      else results.skipped.push({ ...entry, reason });
+    });
+
+    if (delivery.sent > 0) {
+      await student.save({ validateBeforeSave: false });
+    }
+  }
+
+  return {
+    summary: {
+      students: students.length,
+      total: results.successful.length + results.failed.length,
+      successful: results.successful.length,
+      failed: results.failed.length,
+      skipped: results.skipped.length
+    },
+    results
+  };
+};
@@ -0,0 +1,203 @@
+import PDFDocument from 'pdfkit';
+import Setting from '../models/setting.model.js';
+import { readStudentQRCode } from './qrCredentialService.js';
+
+// ID card branding is stored in the settings collection under this key
+export const ID_CARD_BRANDING_SETTINGS_KEY = 'idCardBranding';
+
+export const DEFAULT_ID_CARD_BRANDING = {
+  schoolName: process.env.SCHOOL_NAME || 'Student Identity Card',
+  tagline: '',
+  primaryColor: '#1E3A8A', // header band
+  textColor: '#111827'
+};
+
+/**
+ * Get the ID card branding merged with the defaults
+ * @returns {Promise<Object>}
+ */
+export const getIdCardBranding = () =>
+  Setting.getValue(ID_CARD_BRANDING_SETTINGS_KEY, DEFAULT_ID_CARD_BRANDING);
+
+// PDF points per millimetre
+const MM = 72 / 25.4;
+
+// CR80 card, 85.60 x 53.98 mm
+const CARD_WIDTH = 85.6 * MM;
+const CARD_HEIGHT = 53.98 * MM;
+
+// A4 sheet, 2 x 5 cards with a small gap for cutting
+const PAGE_WIDTH = 210 * MM;
+const PAGE_HEIGHT = 297 * MM;
+const COLUMNS = 2;
+const ROWS = 5;
+const GAP = 3 * MM;
+const CARDS_PER_PAGE = COLUMNS * ROWS;
+
+const MARGIN_X = (PAGE_WIDTH - (COLUMNS * CARD_WIDTH + (COLUMNS - 1) * GAP)) / 2;
+const MARGIN_Y = (PAGE_HEIGHT - (ROWS * CARD_HEIGHT + (ROWS - 1) * GAP)) / 2;
+
+/**
+ * Get the QR image for a card, issuing a credential for students who
+ * never had one
+ * @returns {Promise<Buffer>} PNG
+ */
+const getCardQRCode = async (student) => (await readStudentQRCode(student)).data;
+
+/**
+ * Draw one card with its top left corner at x, y
+ */
+const drawCard = (doc, { student, qrCode, photo }, x, y, branding) => {
+  const padding = 3 * MM;
+  const headerHeight = 10 * MM;
+  const photoWidth = 20 * MM;
+  const photoHeight = 25 * MM;
+  const qrSize = 26 * MM;
+
+  doc.save();
+
+  // Card outline doubles as the cutting guide
+  doc.roundedRect(x, y, CARD_WIDTH, CARD_HEIGHT, 3 * MM)
+    .lineWidth(0.5)
+    .strokeColor('#9CA3AF')
+    .stroke();
+
+  // Header band with the school name
+  doc.save();
+  doc.roundedRect(x, y, CARD_WIDTH, CARD_HEIGHT, 3 * MM).clip();
+  doc.rect(x, y, CARD_WIDTH, headerHeight).fill(branding.primaryColor);
+  doc.restore();
+
+  doc.fillColor('#FFFFFF')
+    .font('Helvetica-Bold')
+    .fontSize(9)
+    .text(branding.schoolName, x + padding, y + (branding.tagline ? 1.5 * MM : 3.5 * MM), {
+      width: CARD_WIDTH - 2 * padding,
+      align: 'center',
+      lineBreak: false,
+      ellipsis: true
+    });
+  if (branding.tagline) {
+    doc.font('Helvetica')
+      .fontSize(6)
+      .text(branding.tagline, x + padding, y + 6 * MM, {
+        width: CARD_WIDTH - 2 * padding,
+        align: 'center',
+        lineBreak: false,
+        ellipsis: true
+      });
+  }
+
+  // Photo, or an empty frame to stick one on
+  const photoX = x + padding;
+  const photoY = y + headerHeight + 2 * MM;
+  if (photo) {
+    doc.image(photo, photoX, photoY, { fit: [photoWidth, photoHeight], align: 'center', valign: 'center' });
+  } else {
+    doc.rect(photoX, photoY, photoWidth, photoHeight)
+      .lineWidth(0.5)
+      .strokeColor('#D1D5DB')
+      .stroke();
+    doc.fillColor('#9CA3AF')
+      .font('Helvetica')
+      .fontSize(6)
+      .text('PHOTO', photoX, photoY + photoHeight / 2 - 3, { width: photoWidth, align: 'center' });
+  }
+
+  // QR code on the right
+  const qrX = x + CARD_WIDTH - padding - qrSize;
+  const qrY = y + headerHeight + 2 * MM;
+  if (qrCode) {
+    doc.image(qrCode, qrX, qrY, { width: qrSize, height: qrSize });
+  }
+
+  // Student details between the photo and the QR code
+  const textX = photoX + photoWidth + 2 * MM;
+  const textWidth = qrX - textX - 2 * MM;
+  const schoolClass = student.schoolClass?.name || '';
+
+  doc.fillColor(branding.textColor)
+    .font('Helvetica-Bold')
+    .fontSize(8)
+    .text(student.name, textX, photoY + 1 * MM, { width: textWidth, height: 20, ellipsis: true });
+
+  doc.font('Helvetica')
+    .fontSize(6)
+    .fillColor('#6B7280')
+    .text('INDEX NO', textX, photoY + 10 * MM, { width: textWidth })
+    .font('Helvetica-Bold')
+    .fontSize(8)
+    .fillColor(branding.textColor)
+    .text(student.indexNumber, { width: textWidth, lineBreak: false, ellipsis: true });
+
+  if (schoolClass) {
+    doc.font('Helvetica')
+      .fontSize(6)
+      .fillColor('#6B7280')
+      .text('CLASS', textX, photoY + 18 * MM, { width: textWidth })
+      .font('Helvetica-Bold')
+      .fontSize(8)
+      .fillColor(branding.textColor)
+      .text(schoolClass, { width: textWidth, lineBreak: false, ellipsis: true });
+  }
+
+  doc.restore();
+};
+
+/**
+ * Render CR80 ID cards on A4 sheets, ten cards per page
+ * @param {Array} students - Student documents with schoolClass populated
+ * @param {Object} [options]
+ * @param {Function} [options.getPhoto] - async student => image Buffer or null
+ * @returns {Promise<Buffer>} PDF
+ */
+export const renderIdCardsPdf = async (students, { getPhoto = async () => null } = {}) => {
+  const branding = await getIdCardBranding();
+
+  // Load images before drawing, PDFKit draws synchronously
+  const cards = [];
+  for (const student of students) {
+    cards.push({
+      student,
+      qrCode: await getCardQRCode(student),
+      photo: await getPhoto(student)
+    });
+  }
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 0,
+    autoFirstPage: false,
+    info: {
+      Title: `${branding.schoolName} ID cards`,
+      Creator: 'QR Attendance System'
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  cards.forEach((card, index) => {
+    const position = index % CARDS_PER_PAGE;
+    if (position === 0) {
+      doc.addPage();
+    }
+
+    const column = position % COLUMNS;
+    const row = Math.floor(position / COLUMNS);
+    drawCard(
+      doc,
+      card,
+      MARGIN_X + column * (CARD_WIDTH + GAP),
+      MARGIN_Y + row * (CARD_HEIGHT + GAP),
+      branding
+    );
+  });
+
+  doc.end();
+  return finished;
+};
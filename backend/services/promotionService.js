@@ -0,0 +1,391 @@
+import mongoose from 'mongoose';
+import Student, { ATTENDED_STATUSES } from '../models/student.model.js';
+import Attendance from '../models/attendance.model.js';
+import AttendanceArchive from '../models/attendanceArchive.model.js';
+import AcademicYear from '../models/academicYear.model.js';
+import SchoolClass from '../models/class.model.js';
+import Promotion from '../models/promotion.model.js';
+import AppError from '../utils/appError.js';
+import { startOfDay } from '../utils/dateUtils.js';
+
+/**
+ * Year-end promotion
+ *
+ * Active students of the closing year's classes move to the class with the
+ * next grade and the same section in the new year. Classes at or above the
+ * final grade graduate (or become inactive), and admins can override the
+ * target of any class. Before students move, their attendance totals for
+ * the closing year are frozen into AttendanceArchive. Every change is kept
+ * on the Promotion run so it can be rolled back for a while.
+ */
+
+// Days after a run during which it can still be rolled back
+export const PROMOTION_ROLLBACK_DAYS = Number(process.env.PROMOTION_ROLLBACK_DAYS) || 30;
+
+export const FINAL_YEAR_STATUSES = ['graduated', 'inactive'];
+
+// What the classMap option accepts besides a target class id
+const CLASS_ACTIONS = ['graduate', 'deactivate', 'skip'];
+
+const STATUS_BY_ACTION = {
+  graduate: 'graduated',
+  deactivate: 'inactive'
+};
+
+/**
+ * Last number in a grade, e.g. 10 for "Grade 10"
+ */
+const gradeNumber = (grade) => {
+  const match = String(grade).match(/(\d+)(?!.*\d)/);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * The grade after this one, keeping its format: "Grade 9" becomes "Grade 10"
+ * @returns {string|null} null for grades without a number
+ */
+const nextGrade = (grade) => {
+  const match = String(grade).match(/(\d+)(?!.*\d)/);
+  if (!match) return null;
+
+  return `${grade.slice(0, match.index)}${Number(match[1]) + 1}${grade.slice(match.index + match[1].length)}`;
+};
+
+const classKey = (grade, section) => `${String(grade).trim().toLowerCase()}|${String(section || '').trim().toUpperCase()}`;
+
+const describeClass = (schoolClass) => ({
+  _id: schoolClass._id,
+  name: schoolClass.name,
+  grade: schoolClass.grade,
+  section: schoolClass.section
+});
+
+/**
+ * Load an academic year by id
+ */
+const findYear = async (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError(`${label} is not a valid academic year id`, 400);
+  }
+  const year = await AcademicYear.findById(id).lean();
+  if (!year) {
+    throw new AppError(`${label} academic year not found`, 404);
+  }
+  return year;
+};
+
+/**
+ * Work out what happens to every class of the closing year
+ * Nothing is written.
+ * @param {Object} options
+ * @param {string} options.fromYear - Closing academic year id
+ * @param {string} options.toYear - New academic year id
+ * @param {string|number} [options.finalGrade] - Classes at or above this
+ *   grade number leave the school
+ * @param {string} [options.finalYearStatus] - 'graduated' (default) or 'inactive'
+ * @param {Object} [options.classMap] - { fromClassId: toClassId | 'graduate' | 'deactivate' | 'skip' }
+ * @param {boolean} [options.createMissingClasses] - Create next-grade classes
+ *   that do not exist in the new year yet
+ * @returns {Promise<Object>} { fromYear, toYear, classes, summary, unassignedStudents }
+ */
+export const planPromotion = async ({
+  fromYear: fromYearId,
+  toYear: toYearId,
+  finalGrade = null,
+  finalYearStatus = 'graduated',
+  classMap = {},
+  createMissingClasses = false
+}) => {
+  const fromYear = await findYear(fromYearId, 'Closing');
+  const toYear = await findYear(toYearId, 'New');
+
+  if (fromYear._id.equals(toYear._id) || toYear.startDate <= fromYear.startDate) {
+    throw new AppError('The new academic year must start after the closing year', 400);
+  }
+  if (!FINAL_YEAR_STATUSES.includes(finalYearStatus)) {
+    throw new AppError(`Final year status must be one of: ${FINAL_YEAR_STATUSES.join(', ')}`, 400);
+  }
+  if (finalGrade !== null && finalGrade !== '' && !Number.isFinite(Number(finalGrade))) {
+    throw new AppError('Final grade must be a number', 400);
+  }
+
+  const [fromClasses, toClasses] = await Promise.all([
+    SchoolClass.find({ academicYear: fromYear._id }).sort({ grade: 1, section: 1 }).lean(),
+    SchoolClass.find({ academicYear: toYear._id }).lean()
+  ]);
+  const toClassesById = new Map(toClasses.map(schoolClass => [schoolClass._id.toString(), schoolClass]));
+  const toClassesByKey = new Map(toClasses.map(schoolClass => [classKey(schoolClass.grade, schoolClass.section), schoolClass]));
+
+  for (const [fromClassId, target] of Object.entries(classMap || {})) {
+    if (!fromClasses.some(schoolClass => schoolClass._id.toString() === fromClassId)) {
+      throw new AppError(`Class ${fromClassId} in the class map is not a class of the closing year`, 400);
+    }
+    if (!CLASS_ACTIONS.includes(target) && !toClassesById.has(String(target))) {
+      throw new AppError(`Class map target ${target} must be ${CLASS_ACTIONS.join(', ')} or a class of the new year`, 400);
+    }
+  }
+
+  const students = await Student.find({
+    schoolClass: { $in: fromClasses.map(schoolClass => schoolClass._id) },
+    status: 'active'
+  }).select('name indexNumber status schoolClass createdAt').lean();
+
+  const finalYearAction = finalYearStatus === 'graduated' ? 'graduate' : 'deactivate';
+  const summary = { promote: 0, graduate: 0, deactivate: 0, skip: 0, unmapped: 0, classesToCreate: 0 };
+
+  const classes = fromClasses.map(schoolClass => {
+    const override = classMap?.[schoolClass._id.toString()];
+    const grade = gradeNumber(schoolClass.grade);
+    let action;
+    let toClass = null;
+
+    if (override && CLASS_ACTIONS.includes(override)) {
+      action = override;
+    } else if (override) {
+      action = 'promote';
+      toClass = { ...describeClass(toClassesById.get(String(override))), create: false };
+    } else if (finalGrade !== null && finalGrade !== '' && grade !== null && grade >= Number(finalGrade)) {
+      action = finalYearAction;
+    } else {
+      const targetGrade = nextGrade(schoolClass.grade);
+      const existing = targetGrade && toClassesByKey.get(classKey(targetGrade, schoolClass.section));
+
+      if (existing) {
+        action = 'promote';
+        toClass = { ...describeClass(existing), create: false };
+      } else if (targetGrade && createMissingClasses) {
+        action = 'promote';
+        toClass = {
+          _id: null,
+          name: schoolClass.name.includes(schoolClass.grade)
+            ? schoolClass.name.replace(schoolClass.grade, targetGrade)
+            : `${targetGrade}${schoolClass.section ? ` - ${schoolClass.section}` : ''}`,
+          grade: targetGrade,
+          section: schoolClass.section,
+          create: true
+        };
+      } else {
+        // Left alone, e.g. the next grade has no class in the new year
+        action = 'unmapped';
+      }
+    }
+
+    const classStudents = students.filter(student => student.schoolClass.equals(schoolClass._id));
+    summary[action] += classStudents.length;
+    // Classes are only created for students to move into
+    if (toClass?.create && classStudents.length > 0) {
+      summary.classesToCreate++;
+    }
+
+    return {
+      fromClass: describeClass(schoolClass),
+      action,
+      toClass,
+      students: classStudents
+    };
+  });
+
+  const unassignedStudents = await Student.countDocuments({ schoolClass: null, status: 'active' });
+
+  return { fromYear, toYear, finalYearStatus, classes, summary, unassignedStudents };
+};
+
+/**
+ * Count each student's attendance over the closing year's school days
+ * @returns {Promise<Array>} Archive documents, not saved
+ */
+const buildAttendanceArchives = async (fromYear, plan) => {
+  const schoolDays = await AcademicYear.getSchoolDays(fromYear.startDate, fromYear.endDate);
+  const students = plan.classes.flatMap(entry => entry.students.map(student => ({ student, schoolClass: entry.fromClass })));
+
+  const totals = await Attendance.aggregate([
+    {
+      $match: {
+        student: { $in: students.map(({ student }) => student._id) },
+        date: { $in: schoolDays }
+      }
+    },
+    {
+      $group: {
+        _id: '$student',
+        attendedDays: { $sum: { $cond: [{ $in: ['$status', ATTENDED_STATUSES] }, 1, 0] } },
+        absentDays: { $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] } },
+        lateDays: { $sum: { $cond: [{ $eq: ['$arrivalStatus', 'late'] }, 1, 0] } }
+      }
+    }
+  ]);
+  const totalsByStudent = new Map(totals.map(total => [total._id.toString(), total]));
+
+  return students.map(({ student, schoolClass }) => {
+    const total = totalsByStudent.get(student._id.toString()) || {};
+
+    // Students who joined during the year only count the days since
+    const enrolled = student.createdAt ? startOfDay(student.createdAt) : null;
+    const studentSchoolDays = enrolled ? schoolDays.filter(day => day >= enrolled).length : schoolDays.length;
+    const attendedDays = total.attendedDays || 0;
+
+    return {
+      student: student._id,
+      academicYear: fromYear._id,
+      indexNumber: student.indexNumber,
+      name: student.name,
+      schoolClass: schoolClass._id,
+      className: schoolClass.name,
+      schoolDays: studentSchoolDays,
+      attendedDays,
+      absentDays: total.absentDays || 0,
+      lateDays: total.lateDays || 0,
+      attendancePercentage: studentSchoolDays > 0
+        ? Math.min(100, Math.round((attendedDays / studentSchoolDays) * 10000) / 100)
+        : 0
+    };
+  });
+};
+
+/**
+ * Undo the student changes, archives and classes of a run
+ * Students changed since the run are left alone and returned as conflicts
+ * @returns {Promise<Array>} Conflicts
+ */
+const revertPromotion = async (promotion) => {
+  const conflicts = [];
+
+  for (const change of promotion.changes) {
+    const { matchedCount } = await Student.updateOne(
+      { _id: change.student, schoolClass: change.to.schoolClass, status: change.to.status },
+      { $set: { schoolClass: change.from.schoolClass, status: change.from.status } }
+    );
+    if (matchedCount === 0) {
+      conflicts.push({ student: change.student, indexNumber: change.indexNumber });
+    }
+  }
+
+  await AttendanceArchive.deleteMany({ promotion: promotion._id });
+
+  // Classes the run created go again unless someone was enrolled since
+  for (const classId of promotion.createdClasses) {
+    if (!(await Student.exists({ schoolClass: classId }))) {
+      await SchoolClass.deleteOne({ _id: classId });
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Archive the closing year and move the students
+ * @param {Object} options - See planPromotion
+ * @param {string} adminId - Admin running the promotion
+ * @returns {Promise<Object>} The Promotion document
+ */
+export const applyPromotion = async (options, adminId) => {
+  const plan = await planPromotion(options);
+
+  let promotion;
+  try {
+    promotion = await Promotion.create({
+      fromYear: plan.fromYear._id,
+      toYear: plan.toYear._id,
+      options,
+      appliedBy: adminId,
+      rollbackUntil: new Date(Date.now() + PROMOTION_ROLLBACK_DAYS * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('This academic year has already been promoted, roll that run back first', 409);
+    }
+    throw error;
+  }
+
+  try {
+    const archives = await buildAttendanceArchives(plan.fromYear, plan);
+    await AttendanceArchive.insertMany(archives.map(archive => ({ ...archive, promotion: promotion._id })));
+    promotion.summary.archived = archives.length;
+
+    for (const entry of plan.classes) {
+      if (entry.action === 'unmapped') promotion.summary.unmappedClasses++;
+      if (!['promote', 'graduate', 'deactivate'].includes(entry.action) || entry.students.length === 0) continue;
+
+      let toClassId = entry.fromClass._id;
+      let toStatus = 'active';
+
+      if (entry.action === 'promote') {
+        if (entry.toClass.create) {
+          const created = await SchoolClass.create({
+            name: entry.toClass.name,
+            grade: entry.toClass.grade,
+            section: entry.toClass.section,
+            academicYear: plan.toYear._id
+          });
+          promotion.createdClasses.push(created._id);
+          entry.toClass._id = created._id;
+        }
+        toClassId = entry.toClass._id;
+      } else {
+        // Leavers keep their last class for the records
+        toStatus = STATUS_BY_ACTION[entry.action];
+      }
+
+      const studentIds = entry.students.map(student => student._id);
+      await Student.updateMany(
+        { _id: { $in: studentIds }, schoolClass: entry.fromClass._id, status: 'active' },
+        { $set: { schoolClass: toClassId, status: toStatus } }
+      );
+
+      entry.students.forEach(student => {
+        promotion.changes.push({
+          student: student._id,
+          indexNumber: student.indexNumber,
+          action: entry.action,
+          from: { schoolClass: entry.fromClass._id, status: student.status },
+          to: { schoolClass: toClassId, status: toStatus }
+        });
+      });
+
+      if (entry.action === 'promote') promotion.summary.promoted += studentIds.length;
+      if (entry.action === 'graduate') promotion.summary.graduated += studentIds.length;
+      if (entry.action === 'deactivate') promotion.summary.deactivated += studentIds.length;
+    }
+
+    await promotion.save();
+    return promotion;
+  } catch (error) {
+    // Undo what was done so far, the run cannot be trusted
+    promotion.status = 'rolled_back';
+    promotion.rolledBackAt = new Date();
+    await revertPromotion(promotion).catch(() => {});
+    await promotion.save().catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Roll a promotion run back while its rollback window is open
+ * @param {string} promotionId
+ * @param {string} adminId - Admin rolling back
+ * @returns {Promise<Object>} The Promotion document
+ */
+export const rollbackPromotion = async (promotionId, adminId) => {
+  if (!mongoose.Types.ObjectId.isValid(promotionId)) {
+    throw new AppError('Invalid promotion id', 400);
+  }
+
+  const promotion = await Promotion.findById(promotionId);
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404);
+  }
+  if (promotion.status !== 'applied') {
+    throw new AppError('This promotion has already been rolled back', 409);
+  }
+  if (promotion.rollbackUntil < new Date()) {
+    throw new AppError(`The rollback window closed on ${promotion.rollbackUntil.toISOString()}`, 409);
+  }
+
+  promotion.rollbackConflicts = await revertPromotion(promotion);
+  promotion.status = 'rolled_back';
+  promotion.rolledBackBy = adminId;
+  promotion.rolledBackAt = new Date();
+  await promotion.save();
+
+  return promotion;
+};
@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Student from '../models/student.model.js';
+import { generateStylishQRCode } from '../utils/qrGenerator.js';
+import { getQRStyle, toQRCodeOptions } from './qrStyleService.js';
+import { getFileStore, readStoredFile } from './fileStore.js';
+
+/**
+ * Signed QR credentials
+ *
+ * A student's QR code holds a compact token instead of their details:
+ *
+ *   QA1.<payload>.<signature>
+ *
+ * where payload is base64url JSON { k: key id, s: student id,
+ * v: credential version, i: issue time in unix seconds } and signature is a
+ * truncated HMAC-SHA256 of "QA1.<payload>" with the key named by k.
+ *
+ * Keys come from QR_SIGNING_KEYS ("id:secret,id:secret"), new tokens are
+ * signed with QR_ACTIVE_KEY_ID (default: the first key). Old keys keep
+ * verifying until they are removed from the list, which is how keys are
+ * rotated. Without QR_SIGNING_KEYS a single key derived from JWT_SECRET is
+ * used. Bumping a student's credential version revokes their old cards.
+ */
+
+const TOKEN_PREFIX = 'QA1';
+const SIGNATURE_BYTES = 16;
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+/**
+ * Read the signing keys from the environment
+ * @returns {{ keys: Map<string, string>, activeKeyId: string }}
+ */
+const getSigningKeys = () => {
+  const keys = new Map();
+
+  (process.env.QR_SIGNING_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0) {
+        keys.set(entry.substring(0, separator), entry.substring(separator + 1));
+      }
+    });
+
+  if (keys.size === 0) {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('QR_SIGNING_KEYS or JWT_SECRET must be set to sign QR codes');
+    }
+    keys.set('k0', crypto.createHmac('sha256', process.env.JWT_SECRET).update('qr-signing').digest('hex'));
+  }
+
+  const activeKeyId = process.env.QR_ACTIVE_KEY_ID && keys.has(process.env.QR_ACTIVE_KEY_ID)
+    ? process.env.QR_ACTIVE_KEY_ID
+    : keys.keys().next().value;
+
+  return { keys, activeKeyId };
+};
+
+const sign = (signedPart, secret) =>
+  crypto.createHmac('sha256', secret).update(signedPart).digest().subarray(0, SIGNATURE_BYTES);
+
+/**
+ * Build the token for a student's current credential
+ * @param {Object} student - Student with a qrCredential
+ * @returns {string} Token to encode in the QR code
+ */
+export const createQRToken = (student) => {
+  const { keys } = getSigningKeys();
+  const { keyId, version, issuedAt } = student.qrCredential;
+
+  if (!keys.has(keyId)) {
+    throw new Error(`QR signing key ${keyId} is not configured, reissue the QR code`);
+  }
+
+  const payload = base64url(JSON.stringify({
+    k: keyId,
+    s: student._id.toString(),
+    v: version,
+    i: Math.floor(new Date(issuedAt).getTime() / 1000)
+  }));
+  const signedPart = `${TOKEN_PREFIX}.${payload}`;
+
+  return `${signedPart}.${base64url(sign(signedPart, keys.get(keyId)))}`;
+};
+
+/**
+ * Check a scanned token and load its student
+ * @param {string} token - Raw QR code content
+ * @returns {Promise<Object>} { valid: true, student, credential } or
+ *   { valid: false, reason, message, student? }
+ */
+export const verifyQRToken = async (token) => {
+  const invalid = (reason, message, student = null) => ({ valid: false, reason, message, student });
+
+  if (typeof token !== 'string' || !token.startsWith(`${TOKEN_PREFIX}.`)) {
+    return invalid('INVALID_FORMAT', 'This QR code is not a valid student card. Old cards must be reissued.');
+  }
+
+  const parts = token.trim().split('.');
+  if (parts.length !== 3) {
+    return invalid('INVALID_FORMAT', 'This QR code is not a valid student card.');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return invalid('INVALID_FORMAT', 'This QR code is not a valid student card.');
+  }
+
+  const { keys } = getSigningKeys();
+  const secret = keys.get(claims.k);
+  if (!secret) {
+    return invalid('UNKNOWN_KEY', 'This QR code was signed with a retired key and must be reissued.');
+  }
+
+  const expected = sign(`${parts[0]}.${parts[1]}`, secret);
+  const received = Buffer.from(parts[2], 'base64url');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(expected, received)) {
+    return invalid('BAD_SIGNATURE', 'QR code signature is invalid.');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(claims.s)) {
+    return invalid('INVALID_FORMAT', 'This QR code is not a valid student card.');
+  }
+
+  const student = await Student.findById(claims.s);
+  if (!student) {
+    return invalid('NOT_FOUND', 'Student not found');
+  }
+
+  if (claims.v !== student.qrCredential?.version) {
+    return invalid('REVOKED', 'This QR code has been revoked. Please use the latest card.', student);
+  }
+
+  return {
+    valid: true,
+    student,
+    credential: {
+      keyId: claims.k,
+      version: claims.v,
+      issuedAt: new Date(claims.i * 1000)
+    }
+  };
+};
+
+/**
+ * Issue a new credential for a student and render its QR code
+ * Cards printed with the previous version stop working. Saves the student.
+ * @param {Object} student - Student document
+ * @returns {Promise<string>} Base64 data URL of the new QR code
+ */
+export const reissueStudentQRCode = async (student) => {
+  const { activeKeyId } = getSigningKeys();
+
+  student.qrCredential = {
+    keyId: activeKeyId,
+    version: (student.qrCredential?.version || 0) + 1,
+    issuedAt: new Date(),
+    revokedAt: null
+  };
+  const qrCode = await renderStudentQRCode(student);
+  await storeStudentQRCode(student, qrCode);
+
+  await student.save({ validateBeforeSave: false });
+  return qrCode;
+};
+
+/**
+ * Revoke a student's current card without issuing a new one
+ * Saves the student.
+ */
+export const revokeStudentQRCode = async (student) => {
+  student.qrCredential = {
+    keyId: student.qrCredential?.keyId || null,
+    version: (student.qrCredential?.version || 0) + 1,
+    issuedAt: null,
+    revokedAt: new Date()
+  };
+  if (student.qrCodeFile?.key) {
+    await getFileStore().delete(student.qrCodeFile.key);
+  }
+  student.qrCodeFile = null;
+
+  await student.save({ validateBeforeSave: false });
+};
+
+/**
+ * Put a rendered QR code in the file store and point the student at it
+ * Does not save the student.
+ * @param {Object} student - Student document
+ * @param {string} qrCode - PNG data URL
+ */
+export const storeStudentQRCode = async (student, qrCode) => {
+  student.qrCodeFile = await getFileStore().put(
+    `qr-codes/${student._id}.png`,
+    Buffer.from(qrCode.split(',')[1], 'base64'),
+    { contentType: 'image/png' }
+  );
+};
+
+/**
+ * Get the stored QR image of a student, creating whatever is missing
+ * Issues a credential when the student has none, and renders the image
+ * again when the store lost it. Saves the student when something changed.
+ * @param {Object} student - Student document
+ * @returns {Promise<Object>} { file, generated } where file is the store reference
+ */
+export const ensureStudentQRCode = async (student) => {
+  if (!student.qrCredential?.issuedAt) {
+    await reissueStudentQRCode(student);
+    return { file: student.qrCodeFile, generated: true };
+  }
+
+  if (student.qrCodeFile?.key && await getFileStore().exists(student.qrCodeFile.key)) {
+    return { file: student.qrCodeFile, generated: false };
+  }
+
+  await storeStudentQRCode(student, await renderStudentQRCode(student));
+  await student.save({ validateBeforeSave: false });
+  return { file: student.qrCodeFile, generated: true };
+};
+
+/**
+ * Read the stored QR image of a student, see ensureStudentQRCode
+ * @param {Object} student - Student document
+ * @returns {Promise<Object>} { data: Buffer, generated }
+ */
+export const readStudentQRCode = async (student) => {
+  const { file, generated } = await ensureStudentQRCode(student);
+  return { data: await readStoredFile(file.key), generated };
+};
+
+/**
+ * Render the QR code image for a student's current credential
+ * @param {Object} student - Student with an issued qrCredential
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'png' (default) or 'svg'
+ * @param {Object} [options.style] - QR style, the stored style when left out
+ * @returns {Promise<string>} Base64 data URL, or SVG markup
+ */
+export const renderStudentQRCode = async (student, { format = 'png', style } = {}) =>
+  generateStylishQRCode(createQRToken(student), {
+    ...toQRCodeOptions(style || await getQRStyle()),
+    format
+  });
+
+/**
+ * Render a QR code the size of a real student code, for style previews
+ * The token belongs to no student, scanning it is rejected as NOT_FOUND.
+ * @param {Object} style - QR style to preview
+ * @param {string} [format] - 'png' (default) or 'svg'
+ * @returns {Promise<string>} Base64 data URL, or SVG markup
+ */
+export const renderPreviewQRCode = (style, format = 'png') =>
+  renderStudentQRCode({
+    _id: new mongoose.Types.ObjectId(),
+    qrCredential: {
+      keyId: getSigningKeys().activeKeyId,
+      version: 1,
+      issuedAt: new Date()
+    }
+  }, { format, style });
@@ -0,0 +1,89 @@
+import archiver from 'archiver';
+import { readStudentQRCode, renderStudentQRCode } from './qrCredentialService.js';
+import { toCsv } from '../utils/csv.js';
+
+export const QR_EXPORT_FORMATS = ['png', 'svg'];
+
+const MANIFEST_COLUMNS = [
+  { key: 'indexNumber', header: 'Index Number' },
+  { key: 'name', header: 'Name' },
+  { key: 'schoolClass', header: 'Class' },
+  { key: 'status', header: 'Status' },
+  { key: 'file', header: 'File' },
+  { key: 'qrVersion', header: 'QR Version' },
+  { key: 'issuedAt', header: 'Issued At' },
+  { key: 'generated', header: 'Generated' }
+];
+
+/**
+ * Keep index numbers usable as file names inside the archive
+ */
+const toFileName = (indexNumber) => String(indexNumber).replace(/[^\w.-]+/g, '_');
+
+/**
+ * Get a student's QR image, generating it when it is missing
+ * @returns {Promise<Object>} { data: Buffer, generated: boolean }
+ */
+const getStudentQRImage = async (student, format) => {
+  const image = await readStudentQRCode(student);
+
+  if (format === 'svg') {
+    return { data: Buffer.from(await renderStudentQRCode(student, { format: 'svg' })), generated: image.generated };
+  }
+  return image;
+};
+
+/**
+ * Stream a ZIP of student QR codes, one file per index number plus a
+ * manifest.csv
+ * @param {Array} students - Student documents with schoolClass populated
+ * @param {Object} output - Writable stream, e.g. the Express response
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'png' (default) or 'svg'
+ * @returns {Promise<Object>} { files, generated }
+ */
+export const streamQRCodeZip = async (students, output, { format = 'png' } = {}) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+  archive.pipe(output);
+
+  const manifest = [];
+  const usedNames = new Set();
+  let generated = 0;
+
+  for (const student of students) {
+    const image = await getStudentQRImage(student, format);
+
+    // Index numbers are unique, but two can collapse to one file name
+    let baseName = toFileName(student.indexNumber);
+    for (let suffix = 2; usedNames.has(baseName); suffix++) {
+      baseName = `${toFileName(student.indexNumber)}_${suffix}`;
+    }
+    usedNames.add(baseName);
+
+    const file = `${baseName}.${format}`;
+    archive.append(image.data, { name: file });
+
+    if (image.generated) generated++;
+    manifest.push({
+      indexNumber: student.indexNumber,
+      name: student.name,
+      schoolClass: student.schoolClass?.name || '',
+      status: student.status,
+      file,
+      qrVersion: student.qrCredential?.version,
+      issuedAt: student.qrCredential?.issuedAt,
+      generated: image.generated ? 'yes' : 'no'
+    });
+  }
+
+  archive.append(toCsv(MANIFEST_COLUMNS, manifest), { name: 'manifest.csv' });
+  await archive.finalize();
+  await finished;
+
+  return { files: manifest.length, generated };
+};
@@ -0,0 +1,225 @@
+import sharp from 'sharp';
+import Setting from '../models/setting.model.js';
+import Student from '../models/student.model.js';
+import { QR_MODULE_SHAPES } from '../utils/qrGenerator.js';
+import { renderStudentQRCode, storeStudentQRCode } from './qrCredentialService.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+// QR style and the regenerate-all job are stored in the settings collection
+export const QR_STYLE_SETTINGS_KEY = 'qrStyle';
+export const QR_REGENERATION_SETTINGS_KEY = 'qrRegenerationJob';
+
+export const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+export const QR_LOGO_MODES = ['default', 'custom', 'none'];
+
+export const DEFAULT_QR_STYLE = {
+  foregroundColor: '#000000',
+  backgroundColor: '#FFFFFF',
+  moduleShape: 'circle',
+  size: 400, // pixels
+  errorCorrectionLevel: 'H',
+  logo: 'default', // the pixel art dinosaur
+  logoImage: null // PNG data URL of the uploaded logo
+};
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+const MIN_SIZE = 100;
+const MAX_SIZE = 2000;
+const LOGO_SIZE = 256;
+
+/**
+ * Get the QR style merged with the defaults
+ * @returns {Promise<Object>}
+ */
+export const getQRStyle = () => Setting.getValue(QR_STYLE_SETTINGS_KEY, DEFAULT_QR_STYLE);
+
+/**
+ * Relative luminance of a #RRGGBB colour, 0 for black to 1 for white
+ */
+const luminance = (hex) => {
+  const [r, g, b] = [1, 3, 5].map(start => {
+    const channel = parseInt(hex.substring(start, start + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * Check a complete style, e.g. the stored style with an admin's changes
+ * @returns {string|null} What is wrong, null when the style is usable
+ */
+export const validateQRStyle = (style) => {
+  for (const field of ['foregroundColor', 'backgroundColor']) {
+    if (!HEX_COLOR.test(style[field])) {
+      return `${field} must be a hex colour like #1E3A8A`;
+    }
+  }
+
+  // Most scanners cannot read light modules on a dark background
+  const contrast = (luminance(style.backgroundColor) + 0.05) / (luminance(style.foregroundColor) + 0.05);
+  if (contrast < 3) {
+    return 'The foreground colour must be clearly darker than the background colour';
+  }
+
+  if (!QR_MODULE_SHAPES.includes(style.moduleShape)) {
+    return `Module shape must be one of: ${QR_MODULE_SHAPES.join(', ')}`;
+  }
+
+  const size = Number(style.size);
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+    return `Size must be a whole number of pixels between ${MIN_SIZE} and ${MAX_SIZE}`;
+  }
+
+  if (!QR_ERROR_CORRECTION_LEVELS.includes(style.errorCorrectionLevel)) {
+    return `Error correction level must be one of: ${QR_ERROR_CORRECTION_LEVELS.join(', ')}`;
+  }
+
+  if (!QR_LOGO_MODES.includes(style.logo)) {
+    return `Logo must be one of: ${QR_LOGO_MODES.join(', ')}`;
+  }
+
+  if (style.logo === 'custom' && !style.logoImage) {
+    return 'Upload a logo before selecting the custom logo';
+  }
+
+  // The logo hides modules, low levels cannot recover them
+  if (style.logo !== 'none' && ['L', 'M'].includes(style.errorCorrectionLevel)) {
+    return 'A logo needs error correction level Q or H';
+  }
+
+  return null;
+};
+
+/**
+ * Turn a QR style into generateStylishQRCode options
+ * @param {Object} style
+ * @returns {Object}
+ */
+export const toQRCodeOptions = (style) => {
+  let logo;
+  if (style.logo === 'none') {
+    logo = null;
+  } else if (style.logo === 'custom' && style.logoImage) {
+    logo = Buffer.from(style.logoImage.split(',')[1], 'base64');
+  }
+
+  return {
+    errorCorrectionLevel: style.errorCorrectionLevel,
+    margin: 1,
+    width: Number(style.size),
+    color: {
+      dark: style.foregroundColor,
+      light: style.backgroundColor
+    },
+    moduleShape: style.moduleShape,
+    logo
+  };
+};
+
+/**
+ * Normalise an uploaded logo to a square PNG with a transparent background
+ * @param {Buffer} image - Uploaded PNG, JPEG, WebP or SVG
+ * @returns {Promise<string>} PNG data URL
+ */
+export const prepareQRLogo = async (image) => {
+  const png = await sharp(image)
+    .resize(LOGO_SIZE, LOGO_SIZE, {
+      fit: 'contain',
+      background: { r: 0, g: 0, b: 0, alpha: 0 }
+    })
+    .png()
+    .toBuffer();
+
+  return `data:image/png;base64,${png.toString('base64')}`;
+};
+
+/**
+ * Get the state of the last regenerate-all job
+ * @returns {Promise<Object>} { status, total, processed, failed, startedAt, finishedAt, startedBy, error }
+ */
+export const getQRRegenerationStatus = () =>
+  Setting.getValue(QR_REGENERATION_SETTINGS_KEY, { status: 'idle' });
+
+// Set while a job runs in this process
+let regenerationRunning = false;
+
+/**
+ * Re-render the stored QR code of every student with an issued credential
+ * in the current style
+ * Credentials are not reissued, so printed cards keep working.
+ */
+const regenerateAllQRCodes = async (total) => {
+  const style = await getQRStyle();
+  let processed = 0;
+  let failed = 0;
+
+  const cursor = Student.find({ 'qrCredential.issuedAt': { $ne: null } }).cursor();
+  for await (const student of cursor) {
+    try {
+      await storeStudentQRCode(student, await renderStudentQRCode(student, { style }));
+      await student.save({ validateBeforeSave: false });
+    } catch (error) {
+      failed++;
+      logError(`Could not regenerate the QR code of ${student.indexNumber}: ${error.message}`);
+    }
+    processed++;
+
+    if (processed % 50 === 0) {
+      await Setting.setValue(QR_REGENERATION_SETTINGS_KEY, { processed, failed, total });
+    }
+  }
+
+  return { processed, failed };
+};
+
+/**
+ * Start re-rendering all student QR codes in the background
+ * @param {string} adminId - Admin starting the job
+ * @returns {Promise<Object|null>} The job state, null when a job is already running
+ */
+export const startQRRegeneration = async (adminId) => {
+  if (regenerationRunning) return null;
+  regenerationRunning = true;
+
+  try {
+    const total = await Student.countDocuments({ 'qrCredential.issuedAt': { $ne: null } });
+    const job = await Setting.setValue(QR_REGENERATION_SETTINGS_KEY, {
+      status: 'running',
+      total,
+      processed: 0,
+      failed: 0,
+      startedAt: new Date(),
+      finishedAt: null,
+      startedBy: adminId,
+      error: null
+    }, adminId);
+
+    regenerateAllQRCodes(total)
+      .then(({ processed, failed }) => {
+        logInfo(`QR regeneration finished: ${processed} processed, ${failed} failed`);
+        return Setting.setValue(QR_REGENERATION_SETTINGS_KEY, {
+          status: 'completed',
+          processed,
+          failed,
+          finishedAt: new Date()
+        });
+      })
+      .catch(error => {
+        logError(`QR regeneration failed: ${error.message}`);
+        return Setting.setValue(QR_REGENERATION_SETTINGS_KEY, {
+          status: 'failed',
+          error: error.message,
+          finishedAt: new Date()
+        });
+      })
+      .catch(error => logError(`Could not record the QR regeneration result: ${error.message}`))
+      .finally(() => {
+        regenerationRunning = false;
+      });
+
+    return job;
+  } catch (error) {
+    regenerationRunning = false;
+    throw error;
+  }
+};
@@ -0,0 +1,271 @@
+import Attendance from '../models/attendance.model.js';
+import ScanLog from '../models/scanLog.model.js';
+import Setting from '../models/setting.model.js';
+import { verifyQRToken } from './qrCredentialService.js';
+import { notifyGuardiansOfAttendance } from './guardianNotificationService.js';
+import { startOfDay } from '../utils/dateUtils.js';
+import { logWarning } from '../utils/terminal.js';
+
+/**
+ * Applies QR scans from scanner devices
+ * Shared by the live mark-attendance endpoint and the offline batch sync,
+ * so both use the same entry / leave toggle and scan rules, and every scan
+ * is logged with the reason it was rejected
+ */
+
+// Scan rules are stored in the settings collection under this key
+export const SCAN_RULES_SETTINGS_KEY = 'scanRules';
+
+export const DEFAULT_SCAN_RULES = {
+  minScanIntervalSeconds: 60, // scans of the same card closer than this are ignored
+  minTimeOnCampusMinutes: 5 // an exit this soon after entering is ignored
+};
+
+/**
+ * Get the debounce and anti-passback rules merged with the defaults
+ * @returns {Promise<Object>}
+ */
+export const getScanRules = () => Setting.getValue(SCAN_RULES_SETTINGS_KEY, DEFAULT_SCAN_RULES);
+
+/**
+ * Check a scan against the scan rules and the device's gate mode
+ * @returns {Promise<Object|null>} { reason, message, retryAfterSeconds? } when
+ *   the scan must be rejected, null when it can be applied
+ */
+const checkScanRules = async ({ student, device, scannedAt, attendanceStatus, dayRecord }) => {
+  if (device.mode === 'entry' && attendanceStatus === 'left') {
+    return { reason: 'ENTRY_ONLY_GATE', message: 'Already on campus, this gate only records entries' };
+  }
+  if (device.mode === 'exit' && attendanceStatus === 'entered') {
+    return { reason: 'EXIT_ONLY_GATE', message: 'Not on campus, this gate only records exits' };
+  }
+
+  const rules = await getScanRules();
+
+  // The last accepted scan of this card up to this one, from any device
+  const lastScan = await ScanLog.findOne({
+    student: student._id,
+    outcome: 'accepted',
+    scannedAt: { $lte: scannedAt }
+  }).sort({ scannedAt: -1 }).lean();
+
+  if (lastScan) {
+    const secondsSinceLastScan = (scannedAt - lastScan.scannedAt) / 1000;
+    if (secondsSinceLastScan < rules.minScanIntervalSeconds) {
+      return {
+        reason: 'DUPLICATE_SCAN',
+        message: 'Card was just scanned, please wait before scanning again',
+        retryAfterSeconds: Math.ceil(rules.minScanIntervalSeconds - secondsSinceLastScan)
+      };
+    }
+  }
+
+  if (attendanceStatus === 'left') {
+    const enteredAt = lastScan?.attendanceStatus === 'entered'
+      ? lastScan.scannedAt
+      : dayRecord?.entryTime;
+    const minutesOnCampus = enteredAt ? (scannedAt - new Date(enteredAt)) / 60000 : Infinity;
+
+    if (minutesOnCampus < rules.minTimeOnCampusMinutes) {
+      return {
+        reason: 'MIN_TIME_ON_CAMPUS',
+        message: `Exit ignored, the student entered less than ${rules.minTimeOnCampusMinutes} minutes ago`
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Decide whether a scan is an entry or a leave from the day's record
+ * @param {Object|null} dayRecord - Attendance record of the scan's day
+ * @returns {string} 'entered' or 'left'
+ */
+const getScanStatus = (dayRecord) => {
+  if (!dayRecord) {
+    // No record for the day, this is an entry
+    return 'entered';
+  }
+  // If they already have a leave time, this is a re-entry
+  // If they have an entry time but no leave time, this is a departure
+  if (dayRecord.leaveTime) {
+    return 'entered'; // Re-entry
+  }
+  if (dayRecord.entryTime) {
+    return 'left'; // Leaving
+  }
+  return 'entered'; // Record exists but no entry time (unusual case)
+};
+
+/**
+ * Send the guardians a WhatsApp alert for a scan and keep it in the
+ * student's message history
+ * @returns {Promise<Object|null>} Delivery result, null when no guardian
+ *   follows the event
+ */
+const notifyGuardians = async (student, status, scannedAt, arrivalStatus, minutesLate) => {
+  try {
+    const delivery = await notifyGuardiansOfAttendance(student, status, scannedAt, { arrivalStatus, minutesLate });
+
+    if (delivery.results.length === 0) {
+      return null;
+    }
+
+    if (delivery.success) {
+      await student.save();
+    } else {
+      logWarning(`Failed to notify the guardians of ${student.name}: ${delivery.results.map(result => result.error || result.reason).join(', ')}`);
+    }
+
+    return delivery;
+  } catch (msgError) {
+    console.error('Error sending WhatsApp message:', msgError);
+    return { success: false, error: msgError.message };
+  }
+};
+
+/**
+ * Verify and apply one scan
+ * @param {Object} options
+ * @param {string} options.qrCodeData - Raw QR code content
+ * @param {Object} options.device - Authenticated ScannerDevice
+ * @param {Date} [options.scannedAt] - When the card was scanned
+ * @param {string} [options.clientScanId] - Device generated id, makes the scan idempotent
+ * @param {string} [options.source] - 'live' or 'batch'
+ * @param {boolean} [options.notify] - Whether to send the guardian alerts
+ * @returns {Promise<Object>} { outcome, reason, message, duplicate, student,
+ *   record, attendanceStatus, arrivalStatus, minutesLate, whatsappResult,
+ *   retryAfterSeconds, log }
+ */
+export const processScan = async ({
+  qrCodeData,
+  device,
+  scannedAt = new Date(),
+  clientScanId = null,
+  source = 'live',
+  notify = true
+}) => {
+  let log;
+  try {
+    // Claim the client id first, a retry of the same scan hits the unique index
+    log = await ScanLog.create({
+      deviceId: device.deviceId,
+      device: device._id,
+      clientScanId,
+      source,
+      scannedAt
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const previous = await ScanLog.findOne({ deviceId: device.deviceId, clientScanId });
+    return {
+      outcome: previous?.outcome || 'pending',
+      reason: previous?.reason || null,
+      message: previous?.message || 'Scan was already received',
+      attendanceStatus: previous?.attendanceStatus || null,
+      duplicate: true,
+      log: previous
+    };
+  }
+
+  const finish = async (fields) => {
+    Object.assign(log, fields);
+    await log.save();
+    return { ...fields, duplicate: false, log };
+  };
+
+  try {
+    const verification = await verifyQRToken(qrCodeData);
+    if (!verification.valid) {
+      const result = await finish({
+        outcome: 'rejected',
+        reason: verification.reason,
+        message: verification.message,
+        student: verification.student?._id || null
+      });
+      return { ...result, student: verification.student };
+    }
+
+    const { student } = verification;
+
+    // Check if the student has a record for the scan's day
+    const dayRecord = await Attendance.findOne({
+      student: student._id,
+      date: startOfDay(scannedAt)
+    }).lean();
+
+    // A queued scan synced after a later one was recorded cannot be told
+    // apart as entry or leave any more, so it is not applied
+    const lastRecordedAt = Math.max(
+      dayRecord?.entryTime ? new Date(dayRecord.entryTime).getTime() : 0,
+      dayRecord?.leaveTime ? new Date(dayRecord.leaveTime).getTime() : 0
+    );
+    if (scannedAt.getTime() < lastRecordedAt) {
+      const result = await finish({
+        outcome: 'rejected',
+        reason: 'OUT_OF_ORDER',
+        message: 'A later scan of this card is already recorded for the day',
+        student: student._id
+      });
+      return { ...result, student };
+    }
+
+    const attendanceStatus = getScanStatus(dayRecord);
+
+    // Debounce, anti-passback and gate mode
+    const ruleViolation = await checkScanRules({ student, device, scannedAt, attendanceStatus, dayRecord });
+    if (ruleViolation) {
+      const { retryAfterSeconds, ...fields } = ruleViolation;
+      const result = await finish({
+        outcome: 'rejected',
+        ...fields,
+        student: student._id,
+        attendanceStatus
+      });
+      return { ...result, student, retryAfterSeconds };
+    }
+
+    // Use the model's markAttendance method to handle the record
+    const record = await student.markAttendance(
+      attendanceStatus,
+      null, // adminId is null for student scans
+      device.deviceId,
+      device.location,
+      scannedAt
+    );
+
+    // Lateness only applies to the first entry of the day
+    const isFirstEntry = attendanceStatus === 'entered' && !dayRecord?.entryTime;
+    const arrivalStatus = isFirstEntry ? record.arrivalStatus : null;
+    const minutesLate = arrivalStatus === 'late' ? record.minutesLate : 0;
+
+    const whatsappResult = notify
+      ? await notifyGuardians(student, attendanceStatus, scannedAt, arrivalStatus, minutesLate)
+      : null;
+
+    const result = await finish({
+      outcome: 'accepted',
+      reason: null,
+      message: `Attendance ${attendanceStatus === 'left' ? 'exit' : 'entry'} recorded successfully`,
+      student: student._id,
+      attendanceStatus,
+      attendance: record._id,
+      notified: Boolean(whatsappResult?.success)
+    });
+
+    return {
+      ...result,
+      student,
+      record,
+      arrivalStatus,
+      minutesLate,
+      whatsappResult
+    };
+  } catch (error) {
+    // Free the client id so the device can retry the scan
+    await ScanLog.deleteOne({ _id: log._id }).catch(() => {});
+    throw error;
+  }
+};
@@ -1,9 +1,66 @@
+import { DateTime } from 'luxon';
 import { logInfo, logError } from '../utils/terminal.js';
-import { autoMarkLeaveAttendance } from './autoAttendanceService.js';
+import { SCHOOL_TIMEZONE } from '../models/attendance.model.js';
+import { autoMarkLeaveAttendance, autoMarkAbsentAttendance, getAutoAbsentSettings } from './autoAttendanceService.js';
+
+// Pending auto absent timer, kept so a settings change can replace it
+let autoAbsentTimer = null;
+
+/**
+ * Schedule the auto absent task for the next configured cut-off time
+ * Reads the settings every time so changes take effect on the next run
+ */
+const scheduleAutoMarkAbsent = async () => {
+  if (autoAbsentTimer) {
+    clearTimeout(autoAbsentTimer);
+    autoAbsentTimer = null;
+  }
+
+  const settings = await getAutoAbsentSettings();
+  if (!settings.enabled) {
+    logInfo('Automatic absent marking is disabled');
+    return;
+  }
+
+  // The cut-off is a wall-clock time at the school, like the late policy
+  const [hour, minute] = settings.cutoffTime.split(':').map(Number);
+  const now = DateTime.now().setZone(SCHOOL_TIMEZONE);
+  let targetTime = now.set({ hour, minute, second: 0, millisecond: 0 });
+
+  // If current time is past the cut-off, schedule for next day
+  if (now > targetTime) {
+    targetTime = targetTime.plus({ days: 1 });
+  }
+
+  autoAbsentTimer = setTimeout(async () => {
+    autoAbsentTimer = null;
+    try {
+      await autoMarkAbsentAttendance();
+    } catch (error) {
+      logError(`Error in scheduled auto-mark absent task: ${error.message}`);
+    }
+
+    // Reschedule for next day after completion
+    rescheduleAutoMarkAbsent();
+  }, targetTime.toMillis() - now.toMillis());
+
+  logInfo(`Next auto-mark absent task scheduled for: ${targetTime.toLocaleString(DateTime.DATETIME_MED)}`);
+};
+
+/**
+ * Re-read the auto absent settings and schedule the next run
+ * Call after the cut-off time or the enabled flag changes
+ */
+export const rescheduleAutoMarkAbsent = () => {
+  scheduleAutoMarkAbsent().catch(error => {
+    logError(`Error scheduling auto-mark absent task: ${error.message}`);
+  });
+};
 
 /**
  * Starts the scheduler for automating tasks
- * Currently handles automatic marking of student attendance at end of day
+ * Handles automatic marking of student attendance at end of day and
+ * marking students absent after the morning cut-off
  */
 export const startScheduler = () => {
   try {
@@ -39,6 +96,7 @@ export const startScheduler = () => {
     
     // Start the scheduling process
     scheduleAutoMarkAttendance();
+    rescheduleAutoMarkAbsent();
     
     logInfo('Scheduler service started successfully');
   } catch (error) {
@@ -0,0 +1,123 @@
+import ExcelJS from 'exceljs';
+import Attendance from '../models/attendance.model.js';
+import { STUDENT_IMPORT_FIELDS, serializeGuardians } from './studentImportService.js';
+import { PLACEHOLDER_PARENT_EMAIL } from '../models/parent.model.js';
+import { toCsv } from '../utils/csv.js';
+
+/**
+ * Roster export in the importer's column layout
+ * Importable columns use the importer's headers, so an exported file can
+ * be edited and uploaded again. Computed columns are ignored on import.
+ */
+
+export const STUDENT_EXPORT_FORMATS = ['csv', 'xlsx'];
+
+export const STUDENT_EXPORT_COLUMNS = [
+  ...STUDENT_IMPORT_FIELDS.map(({ key, header }) => ({ key, header, importable: true })),
+  { key: 'attendancePercentage', header: 'Attendance Percentage', importable: false },
+  { key: 'attendanceCount', header: 'Attendance Count', importable: false },
+  { key: 'lastAttendance', header: 'Last Attendance', importable: false }
+];
+
+// Exported when the admin does not pick columns
+export const DEFAULT_EXPORT_COLUMNS = STUDENT_IMPORT_FIELDS.map(field => field.key);
+
+/**
+ * Pick export columns from a comma separated list of keys
+ * @param {string} [columns] - e.g. 'indexNumber,name,attendancePercentage'
+ * @returns {Object} { columns } or { error } for unknown keys
+ */
+export const resolveExportColumns = (columns) => {
+  const keys = columns
+    ? String(columns).split(',').map(key => key.trim()).filter(Boolean)
+    : DEFAULT_EXPORT_COLUMNS;
+
+  const unknown = keys.filter(key => !STUDENT_EXPORT_COLUMNS.some(column => column.key === key));
+  if (unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ')}` };
+  }
+
+  // The importer matches rows by index number, keep it in every export
+  if (!keys.includes('indexNumber')) {
+    keys.unshift('indexNumber');
+  }
+
+  return { columns: keys.map(key => STUDENT_EXPORT_COLUMNS.find(column => column.key === key)) };
+};
+
+/**
+ * Latest attendance date of students whose lastAttendance was never set
+ * @returns {Promise<Map>} student id => date
+ */
+const findMissingLastAttendance = async (students) => {
+  const missing = students.filter(student => !student.lastAttendance).map(student => student._id);
+  if (missing.length === 0) return new Map();
+
+  const latest = await Attendance.aggregate([
+    { $match: { student: { $in: missing } } },
+    { $group: { _id: '$student', date: { $max: '$date' } } }
+  ]);
+  return new Map(latest.map(({ _id, date }) => [_id.toString(), date]));
+};
+
+/**
+ * Turn students into export rows
+ * @param {Array} students - Lean students with schoolClass populated
+ * @param {Array} columns - Result of resolveExportColumns
+ * @returns {Promise<Array<Object>>} Rows keyed by column key
+ */
+export const buildExportRows = async (students, columns) => {
+  const lastAttendance = columns.some(column => column.key === 'lastAttendance')
+    ? await findMissingLastAttendance(students)
+    : new Map();
+
+  return students.map(student => {
+    const row = {};
+    columns.forEach(({ key }) => {
+      if (key === 'schoolClass') {
+        row[key] = student.schoolClass?.name || '';
+      } else if (key === 'guardians') {
+        row[key] = serializeGuardians(student.guardians);
+      } else if (key === 'lastAttendance') {
+        row[key] = student.lastAttendance || lastAttendance.get(student._id.toString()) || null;
+      } else if (key === 'parent_email' && student.parent_email === PLACEHOLDER_PARENT_EMAIL) {
+        // Placeholder set by the schema, not a real address
+        row[key] = '';
+      } else {
+        row[key] = student[key] ?? '';
+      }
+    });
+    return row;
+  });
+};
+
+/**
+ * Render export rows as a file
+ * @returns {Promise<Buffer>}
+ */
+export const renderExport = async (columns, rows, format) => {
+  if (format === 'csv') {
+    // Byte order mark so Excel opens UTF-8 names correctly
+    return Buffer.from(`\uFEFF${toCsv(columns, rows)}`, 'utf8');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Students');
+
+  worksheet.columns = columns.map(({ key, header }) => ({
+    key,
+    header,
+    width: key === 'address' ? 40 : 20,
+    // Text cells keep leading zeros of phone numbers
+    style: key === 'parent_telephone' || key === 'indexNumber' ? { numFmt: '@' } : {}
+  }));
+
+  const headerRow = worksheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '1E88E5' } };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  rows.forEach(row => worksheet.addRow(row));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
@@ -0,0 +1,389 @@
+import path from 'path';
+import crypto from 'crypto';
+import xlsx from 'xlsx';
+import ExcelJS from 'exceljs';
+import Student from '../models/student.model.js';
+import SchoolClass from '../models/class.model.js';
+import AcademicYear from '../models/academicYear.model.js';
+import AppError from '../utils/appError.js';
+import { ensureStudentQRCode } from './qrCredentialService.js';
+import { getFileStore } from './fileStore.js';
+
+/**
+ * Bulk student import from CSV, XLSX and XLS files
+ *
+ * Rows are matched to students by index number: unknown index numbers are
+ * created, known ones are updated with the non-empty cells of the row. A
+ * dry run plans the same changes without writing anything. Either way a
+ * row-level XLSX report is stored for download. Guardians travel as a JSON
+ * list in one column, so an exported roster keeps them when imported again.
+ */
+
+// Columns the importer understands, also used as the export headers so an
+// exported roster imports again unchanged
+export const STUDENT_IMPORT_FIELDS = [
+  { key: 'indexNumber', header: 'Index Number', aliases: ['index', 'index no', 'admission number', 'student id'] },
+  { key: 'name', header: 'Name', aliases: ['student name', 'full name'] },
+  { key: 'address', header: 'Address', aliases: [] },
+  { key: 'student_email', header: 'Student Email', aliases: ['email'] },
+  { key: 'parent_email', header: 'Parent Email', aliases: ['guardian email'] },
+  { key: 'parent_telephone', header: 'Parent Telephone', aliases: ['parent phone', 'guardian phone', 'telephone', 'phone'] },
+  { key: 'age', header: 'Age', aliases: [] },
+  { key: 'status', header: 'Status', aliases: [] },
+  { key: 'schoolClass', header: 'Class', aliases: ['class name'] },
+  { key: 'guardians', header: 'Guardians', aliases: [] }
+];
+
+// Guardian fields kept in the Guardians column, a JSON list with one object
+// per guardian like [{ "name": "...", "telephone": "...", "events": [...] }]
+const GUARDIAN_COLUMN_FIELDS = ['name', 'relationship', 'telephone', 'email', 'preferredChannel', 'language', 'events'];
+
+/**
+ * Write a student's guardians as the Guardians column
+ * @param {Array} [guardians] - Guardian subdocuments or plain objects
+ * @returns {string} JSON list, empty when there are none
+ */
+export const serializeGuardians = (guardians = []) =>
+  guardians.length > 0
+    ? JSON.stringify(guardians.map(guardian => Object.fromEntries(GUARDIAN_COLUMN_FIELDS.map(field => [field, guardian[field] ?? null]))))
+    : '';
+
+/**
+ * Read the Guardians column, missing fields take the schema defaults
+ * @param {string} value - Cell text
+ * @returns {Object} { guardians } or { error }
+ */
+const parseGuardians = (value) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    return { error: 'Guardians must be a JSON list, as in an exported file' };
+  }
+
+  if (!Array.isArray(parsed) || parsed.some(guardian => !guardian || typeof guardian !== 'object' || Array.isArray(guardian))) {
+    return { error: 'Guardians must be a JSON list, as in an exported file' };
+  }
+
+  return {
+    guardians: parsed.map(guardian =>
+      Object.fromEntries(GUARDIAN_COLUMN_FIELDS.filter(field => guardian[field] != null).map(field => [field, guardian[field]]))
+    )
+  };
+};
+
+export const IMPORT_FILE_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+const MAX_IMPORT_ROWS = 5000;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Read the first sheet of an uploaded file
+ * The type comes from the file extension, browsers send all sorts of
+ * mimetypes for CSV files
+ * @param {Buffer} buffer - File content
+ * @param {string} filename - Original file name
+ * @returns {Object} { headers, rows } where rows are arrays of cell text
+ */
+export const parseImportFile = (buffer, filename) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (!IMPORT_FILE_EXTENSIONS.includes(extension)) {
+    throw new AppError(`Unsupported file type, use one of: ${IMPORT_FILE_EXTENSIONS.join(', ')}`, 400);
+  }
+
+  let workbook;
+  try {
+    // CSV is read as UTF-8 text, without the byte order mark Excel adds. raw
+    // keeps the cells as text, e.g. phone numbers with a leading zero
+    workbook = extension === '.csv'
+      ? xlsx.read(buffer.toString('utf8').replace(/^\uFEFF/, ''), { type: 'string', raw: true })
+      : xlsx.read(buffer, { type: 'buffer' });
+  } catch (error) {
+    throw new AppError(`The file could not be read: ${error.message}`, 400);
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    throw new AppError('The file has no sheets', 400);
+  }
+
+  const [headerRow = [], ...dataRows] = xlsx.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false });
+  const headers = headerRow.map(header => String(header).trim());
+  const rows = dataRows
+    .map((cells, index) => ({ rowNumber: index + 2, cells: cells.map(cell => String(cell).trim()) }))
+    .filter(row => row.cells.some(Boolean));
+
+  if (headers.filter(Boolean).length === 0) {
+    throw new AppError('The first row must contain the column headers', 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`The file has ${rows.length} rows, import at most ${MAX_IMPORT_ROWS} at a time`, 400);
+  }
+
+  return { headers, rows };
+};
+
+/**
+ * Work out which file column feeds which student field
+ * Columns are matched by field key, export header or a known alias, the
+ * admin's mapping wins over the automatic match
+ * @param {string[]} headers - File headers
+ * @param {Object} [overrides] - { fieldKey: 'Header in the file' }, an empty
+ *   header skips the field
+ * @returns {Object} { mapping: { fieldKey: columnIndex }, unmappedHeaders }
+ */
+export const resolveColumnMapping = (headers, overrides = {}) => {
+  const fieldKeys = STUDENT_IMPORT_FIELDS.map(field => field.key);
+  const unknownFields = Object.keys(overrides).filter(key => !fieldKeys.includes(key));
+  if (unknownFields.length > 0) {
+    throw new AppError(`Unknown fields in the column mapping: ${unknownFields.join(', ')}`, 400);
+  }
+
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const mapping = {};
+
+  STUDENT_IMPORT_FIELDS.forEach(field => {
+    if (overrides[field.key] !== undefined) {
+      if (!overrides[field.key]) return;
+
+      const column = headers.indexOf(String(overrides[field.key]).trim());
+      if (column === -1) {
+        throw new AppError(`Column "${overrides[field.key]}" mapped to ${field.key} is not in the file`, 400);
+      }
+      mapping[field.key] = column;
+      return;
+    }
+
+    const candidates = [field.key, field.header, ...field.aliases].map(normalizeHeader);
+    const column = normalizedHeaders.findIndex(header => header && candidates.includes(header));
+    if (column !== -1) {
+      mapping[field.key] = column;
+    }
+  });
+
+  if (mapping.indexNumber === undefined) {
+    throw new AppError('No column is mapped to indexNumber, every row needs an index number', 400);
+  }
+
+  const mappedColumns = new Set(Object.values(mapping));
+  const unmappedHeaders = headers.filter((header, column) => header && !mappedColumns.has(column));
+
+  return { mapping, unmappedHeaders };
+};
+
+/**
+ * Classes by lower case name, preferring the current academic year
+ */
+const loadClassesByName = async () => {
+  const currentYear = await AcademicYear.findForDate();
+  const classes = await SchoolClass.find(currentYear ? { academicYear: currentYear._id } : {}).select('name').lean();
+
+  return new Map(classes.map(schoolClass => [schoolClass.name.toLowerCase(), schoolClass._id]));
+};
+
+/**
+ * Plan the import of parsed rows
+ * @param {Object} parsed - Result of parseImportFile
+ * @param {Object} mapping - fieldKey => column index, see resolveColumnMapping
+ * @returns {Promise<Array>} One entry per row: { rowNumber, cells, indexNumber,
+ *   action ('create', 'update', 'unchanged' or 'error'), errors, student }
+ */
+export const planImport = async ({ rows }, mapping) => {
+  const classesByName = mapping.schoolClass !== undefined ? await loadClassesByName() : new Map();
+
+  const cell = (row, key) => (mapping[key] === undefined ? '' : row.cells[mapping[key]] || '');
+
+  const indexNumbers = rows.map(row => cell(row, 'indexNumber').toUpperCase()).filter(Boolean);
+  const emails = rows.map(row => cell(row, 'student_email').toLowerCase()).filter(Boolean);
+
+  // Students in the trash still own their index number and email
+  const existing = new Map(
+    (await Student.find({ indexNumber: { $in: indexNumbers } }).setOptions({ withDeleted: true }))
+      .map(student => [student.indexNumber, student])
+  );
+  const emailOwners = new Map(
+    (await Student.find({ student_email: { $in: emails } }).setOptions({ withDeleted: true }).select('indexNumber student_email').lean())
+      .map(student => [student.student_email, student.indexNumber])
+  );
+
+  const firstRowOfIndex = new Map();
+  const firstRowOfEmail = new Map();
+  const plan = [];
+
+  for (const row of rows) {
+    const indexNumber = cell(row, 'indexNumber').toUpperCase();
+    const errors = [];
+    const entry = { rowNumber: row.rowNumber, cells: row.cells, indexNumber, errors, action: 'error', student: null };
+    plan.push(entry);
+
+    if (!indexNumber) {
+      errors.push('Index number is required');
+      continue;
+    }
+    if (firstRowOfIndex.has(indexNumber)) {
+      errors.push(`Index number already appears in row ${firstRowOfIndex.get(indexNumber)}`);
+      continue;
+    }
+    firstRowOfIndex.set(indexNumber, row.rowNumber);
+
+    // Empty cells keep the current value of existing students
+    const changes = {};
+    STUDENT_IMPORT_FIELDS.forEach(({ key }) => {
+      const value = cell(row, key);
+      if (key === 'indexNumber' || !value) return;
+
+      if (key === 'schoolClass') {
+        const classId = classesByName.get(value.toLowerCase());
+        if (classId) {
+          changes.schoolClass = classId;
+        } else {
+          errors.push(`Class "${value}" not found`);
+        }
+      } else if (key === 'age') {
+        if (Number.isInteger(Number(value))) {
+          changes.age = Number(value);
+        } else {
+          errors.push(`Age "${value}" is not a whole number`);
+        }
+      } else if (key === 'guardians') {
+        const { guardians, error } = parseGuardians(value);
+        if (error) {
+          errors.push(error);
+        } else {
+          changes.guardians = guardians;
+        }
+      } else if (key === 'status' || key === 'student_email' || key === 'parent_email') {
+        changes[key] = value.toLowerCase();
+      } else {
+        changes[key] = value;
+      }
+    });
+
+    if (changes.student_email) {
+      const owner = emailOwners.get(changes.student_email);
+      if (owner && owner !== indexNumber) {
+        errors.push(`Student email ${changes.student_email} belongs to ${owner}`);
+      } else if (firstRowOfEmail.has(changes.student_email)) {
+        errors.push(`Student email already appears in row ${firstRowOfEmail.get(changes.student_email)}`);
+      } else {
+        firstRowOfEmail.set(changes.student_email, row.rowNumber);
+      }
+    }
+
+    let student = existing.get(indexNumber);
+    if (student?.deletedAt) {
+      errors.push('Index number belongs to a deleted student, restore it from the trash first');
+      continue;
+    }
+    if (student) {
+      const guardiansBefore = serializeGuardians(student.guardians);
+      student.set(changes);
+      // Setting the list marks it modified even when the guardians are the same
+      if (changes.guardians && serializeGuardians(student.guardians) === guardiansBefore) {
+        student.unmarkModified('guardians');
+      }
+      entry.action = student.isModified() ? 'update' : 'unchanged';
+    } else {
+      student = new Student({ ...changes, indexNumber });
+      entry.action = 'create';
+    }
+    entry.student = student;
+
+    try {
+      await student.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      Object.values(error.errors).forEach(fieldError => errors.push(fieldError.message));
+    }
+
+    if (errors.length > 0) {
+      entry.action = 'error';
+    }
+  }
+
+  return plan;
+};
+
+/**
+ * Save the planned students and make sure each one has a QR code
+ * Rows with errors are skipped. Failures while saving turn the row into an
+ * error instead of stopping the import.
+ * @param {Array} plan - Result of planImport, updated in place
+ */
+export const applyImport = async (plan) => {
+  for (const entry of plan) {
+    if (entry.action === 'error') continue;
+
+    try {
+      if (entry.action !== 'unchanged') {
+        await entry.student.save();
+      }
+      await ensureStudentQRCode(entry.student);
+    } catch (error) {
+      entry.action = 'error';
+      entry.errors.push(error.code === 11000
+        ? 'Index number or student email was taken while importing'
+        : error.message);
+    }
+  }
+};
+
+/**
+ * Count the planned or applied actions
+ */
+export const summarizeImport = (plan) => {
+  const summary = { total: plan.length, create: 0, update: 0, unchanged: 0, error: 0 };
+  plan.forEach(entry => {
+    summary[entry.action]++;
+  });
+  return summary;
+};
+
+const RESULT_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  unchanged: 'Unchanged',
+  error: 'Error'
+};
+
+/**
+ * Write the row-level report to the file store
+ * The sheet repeats the uploaded columns with the outcome of every row, so
+ * the admin can fix the failed rows and upload the same sheet again
+ * @param {string[]} headers - File headers
+ * @param {Array} plan - Planned or applied rows
+ * @param {boolean} dryRun - Whether nothing was written
+ * @returns {Promise<string>} Report id
+ */
+export const storeImportReport = async (headers, plan, dryRun) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Import Report');
+
+  const headerRow = worksheet.addRow(['Row', 'Result', 'Errors', ...headers]);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '1E88E5' } };
+
+  plan.forEach(entry => {
+    const result = `${dryRun && entry.action !== 'error' ? 'Would be ' : ''}${RESULT_LABELS[entry.action]}`;
+    const row = worksheet.addRow([entry.rowNumber, result, entry.errors.join('; '), ...entry.cells]);
+
+    if (entry.action === 'error') {
+      row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FDE8E8' } };
+    }
+  });
+
+  worksheet.columns.forEach((column, index) => {
+    column.width = index === 2 ? 50 : 18;
+  });
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  const reportId = crypto.randomBytes(16).toString('hex');
+  await getFileStore().put(
+    `import-reports/${reportId}.xlsx`,
+    Buffer.from(await workbook.xlsx.writeBuffer()),
+    { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+  );
+
+  return reportId;
+};
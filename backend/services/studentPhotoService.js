@@ -0,0 +1,249 @@
+import path from 'path';
+import sharp from 'sharp';
+import JSZip from 'jszip';
+import Student from '../models/student.model.js';
+import AppError from '../utils/appError.js';
+import { getFileStore, readStoredFile } from './fileStore.js';
+
+/**
+ * Student photos
+ *
+ * Photos are cropped to a passport style portrait, stored as JPEG in the
+ * file store under student-photos/<student id>.jpg and shown to the guard
+ * when the student's card is scanned. They are only served to signed in
+ * staff and registered scanner devices.
+ */
+
+// Stored size, 4:5 like a passport photo and large enough for an ID card
+export const PHOTO_WIDTH = 480;
+export const PHOTO_HEIGHT = 600;
+
+export const PHOTO_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Limits for bulk uploads, so one archive cannot exhaust memory
+const MAX_ZIP_ENTRIES = 2000;
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+const MAX_UNZIPPED_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Inflate a ZIP entry, stopping as soon as it grows past a limit
+ * The sizes an archive claims cannot be trusted, only what it inflates to
+ * @param {Object} entry - JSZip entry
+ * @param {number} limit - Most bytes to inflate
+ * @returns {Promise<Buffer|null>} The file, or null when it is over the limit
+ */
+const readZipEntry = (entry, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const stream = entry.nodeStream('nodebuffer');
+
+  stream.on('data', chunk => {
+    size += chunk.length;
+    if (size > limit) {
+      stream.destroy();
+      resolve(null);
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+/**
+ * Read a crop rectangle from request fields
+ * @param {Object} body - cropX, cropY, cropWidth, cropHeight in pixels of
+ *   the uploaded image, upright
+ * @returns {Object|null} { left, top, width, height }, null when not cropping
+ */
+export const parseCrop = ({ cropX, cropY, cropWidth, cropHeight } = {}) => {
+  const values = [cropX, cropY, cropWidth, cropHeight];
+  if (values.every(value => value === undefined || value === '')) {
+    return null;
+  }
+
+  const [left, top, width, height] = values.map(Number);
+  if (![left, top, width, height].every(Number.isInteger) || left < 0 || top < 0 || width < 1 || height < 1) {
+    throw new AppError('Crop needs whole, non-negative cropX, cropY, cropWidth and cropHeight', 400);
+  }
+
+  return { left, top, width, height };
+};
+
+/**
+ * Turn an uploaded image into a stored photo
+ * Follows the camera's orientation, applies the crop when given, otherwise
+ * keeps the most interesting part of the picture
+ * @param {Buffer} buffer - JPEG, PNG or WebP
+ * @param {Object|null} [crop] - Rectangle from parseCrop
+ * @returns {Promise<Buffer>} JPEG
+ */
+export const processStudentPhoto = async (buffer, crop = null) => {
+  let upright;
+  try {
+    upright = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw new AppError('The photo is not a readable JPEG, PNG or WebP image', 400);
+  }
+
+  let image = sharp(upright.data);
+  if (crop) {
+    const { width, height } = upright.info;
+    if (crop.left + crop.width > width || crop.top + crop.height > height) {
+      throw new AppError(`The crop does not fit inside the ${width}x${height} photo`, 400);
+    }
+    image = image.extract(crop);
+  }
+
+  return image
+    .resize(PHOTO_WIDTH, PHOTO_HEIGHT, {
+      fit: 'cover',
+      position: crop ? 'centre' : sharp.strategy.attention
+    })
+    .flatten({ background: '#FFFFFF' })
+    .jpeg({ quality: 85 })
+    .toBuffer();
+};
+
+/**
+ * Process and store a student's photo, replacing the previous one
+ * @param {Object} student - Student document, saved afterwards
+ * @param {Buffer} buffer - Uploaded image
+ * @param {Object|null} [crop]
+ * @returns {Promise<Object>} File store reference
+ */
+export const storeStudentPhoto = async (student, buffer, crop = null) => {
+  const photo = await processStudentPhoto(buffer, crop);
+
+  student.photo = await getFileStore().put(
+    `student-photos/${student._id}.jpg`,
+    photo,
+    { contentType: 'image/jpeg' }
+  );
+  await student.save({ validateBeforeSave: false });
+
+  return student.photo;
+};
+
+/**
+ * Delete a student's photo
+ */
+export const removeStudentPhoto = async (student) => {
+  if (student.photo?.key) {
+    await getFileStore().delete(student.photo.key);
+  }
+  student.photo = null;
+  await student.save({ validateBeforeSave: false });
+};
+
+/**
+ * Get a student's photo for printing, e.g. on ID cards
+ * @returns {Promise<Buffer|null>} JPEG, or null when there is none
+ */
+export const readStudentPhoto = async (student) => {
+  if (!student.photo?.key || !(await getFileStore().exists(student.photo.key))) {
+    return null;
+  }
+  return readStoredFile(student.photo.key);
+};
+
+/**
+ * Where scanner devices load a student's photo from
+ * The version changes with every upload, so the photo can be cached
+ * @returns {string|null}
+ */
+export const getStudentPhotoUrl = (student) =>
+  student?.photo?.key ? `/api/students/${student._id}/photo?v=${student.photo.etag}` : null;
+
+/**
+ * Import photos from a ZIP archive, each named after the student's index
+ * number, e.g. ST1024.jpg. Folders inside the archive are ignored.
+ * @param {Buffer} buffer - ZIP file
+ * @returns {Promise<Object>} { summary, results } with one result per file
+ */
+export const importPhotoZip = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new AppError('The file is not a valid ZIP archive', 400);
+  }
+
+  // Skip folders and the metadata macOS and Windows add to archives
+  const entries = Object.values(zip.files).filter(entry => {
+    const name = path.basename(entry.name);
+    return !entry.dir && !entry.name.startsWith('__MACOSX/') && !name.startsWith('.') && name !== 'Thumbs.db';
+  });
+
+  if (entries.length === 0) {
+    throw new AppError('The archive contains no photos', 400);
+  }
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new AppError(`The archive has ${entries.length} files, upload at most ${MAX_ZIP_ENTRIES} photos at a time`, 400);
+  }
+
+  const results = [];
+  const photos = new Map();
+  let unzippedBytes = 0;
+
+  entries.forEach(entry => {
+    const file = entry.name;
+    const extension = path.extname(file).toLowerCase();
+    const indexNumber = path.basename(file, path.extname(file)).trim();
+
+    if (!PHOTO_EXTENSIONS.includes(extension)) {
+      results.push({ file, indexNumber, status: 'skipped', reason: 'Not a JPEG, PNG or WebP image' });
+    } else if (photos.has(indexNumber.toUpperCase())) {
+      results.push({ file, indexNumber, status: 'skipped', reason: 'Another photo in the archive has the same index number' });
+    } else {
+      photos.set(indexNumber.toUpperCase(), { file, indexNumber, entry });
+    }
+  });
+
+  // Index numbers match whatever their case in the file name
+  const students = await Student.find({ indexNumber: { $in: [...photos.values()].map(photo => photo.indexNumber) } })
+    .collation({ locale: 'en', strength: 2 });
+  const studentsByIndex = new Map(students.map(student => [student.indexNumber.toUpperCase(), student]));
+
+  for (const [key, { file, indexNumber, entry }] of photos) {
+    const student = studentsByIndex.get(key);
+    if (!student) {
+      results.push({ file, indexNumber, status: 'skipped', reason: 'No student with this index number' });
+      continue;
+    }
+
+    try {
+      const limit = Math.min(MAX_PHOTO_BYTES, MAX_UNZIPPED_BYTES - unzippedBytes);
+      const photo = await readZipEntry(entry, limit);
+      if (!photo) {
+        unzippedBytes += limit;
+        results.push({
+          file,
+          indexNumber,
+          status: 'skipped',
+          reason: limit < MAX_PHOTO_BYTES
+            ? 'The archive unpacks to more than 200MB, upload the remaining photos separately'
+            : 'Photo is larger than 10MB'
+        });
+        continue;
+      }
+      unzippedBytes += photo.length;
+
+      await storeStudentPhoto(student, photo);
+      results.push({ file, indexNumber: student.indexNumber, status: 'updated' });
+    } catch (error) {
+      results.push({ file, indexNumber, status: 'failed', reason: error.message });
+    }
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    summary: {
+      files: entries.length,
+      updated: count('updated'),
+      skipped: count('skipped'),
+      failed: count('failed')
+    },
+    results
+  };
+};
@@ -289,11 +289,19 @@ export const sendTextMessage = async (phoneNumber, message) => {
   }
 };
 
+// Locale the alert's date is written in, by guardian language
+const ALERT_LOCALES = {
+  en: 'en-US',
+  si: 'si-LK',
+  ta: 'ta-LK'
+};
+
 /**
  * Send an attendance notification to parent
  * Formats a detailed message with student's attendance status
+ * @param {Object} [options] - language of the guardian, for the date
  */
-export const sendAttendanceAlert = async (phoneNumber, student, status, timestamp) => {
+export const sendAttendanceAlert = async (phoneNumber, student, status, timestamp, { language = 'en' } = {}) => {
   try {
     if (!phoneNumber) {
       console.log('No phone number provided for attendance alert');
@@ -304,7 +312,7 @@ export const sendAttendanceAlert = async (phoneNumber, student, status, timestam
       };
     }
 
-    const formattedTime = new Date(timestamp).toLocaleString('en-US', {
+    const formattedTime = new Date(timestamp).toLocaleString(ALERT_LOCALES[language] || ALERT_LOCALES.en, {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -327,12 +335,18 @@ export const sendAttendanceAlert = async (phoneNumber, student, status, timestam
     const parentPhone = student.parent_telephone || student.parentPhone || phoneNumber;
     const address = student.address || 'N/A';
 
+    // Late arrivals are flagged with how late the student was
+    const lateLine = student.arrivalStatus === 'late'
+      ? `Arrival: *Late by ${student.minutesLate} minute${student.minutesLate === 1 ? '' : 's'}*\n`
+      : '';
+
     // Create the message
     const message = `🏫 *Attendance Update*\n\n` +
       `Student: *${studentName}*\n` +
       `Index Number: *${indexNumber}*\n` +
       `Status: *${displayStatus}*\n` +
-      `Time: *${formattedTime}*\n\n` +
+      `Time: *${formattedTime}*\n` +
+      lateLine + `\n` +
       `Additional Details:\n` +
       `Email: ${email}\n` +
       `Parent Phone: ${parentPhone}\n` +
@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Student from '../models/student.model.js';
+import AttendanceCorrection from '../models/attendanceCorrection.model.js';
+import { reviewCorrectionRequest } from '../services/attendanceCorrectionService.js';
+
+const requester = { _id: new mongoose.Types.ObjectId() };
+const reviewer = { _id: new mongoose.Types.ObjectId() };
+const secondReviewer = { _id: new mongoose.Types.ObjectId() };
+
+// Waits a turn of the event loop, like a database round trip would
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('reviewCorrectionRequest', () => {
+  let stored;
+  let student;
+
+  beforeEach(() => {
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      student: new mongoose.Types.ObjectId(),
+      attendance: new mongoose.Types.ObjectId(),
+      status: 'pending',
+      requestedBy: requester._id,
+      reviewedBy: null,
+      reviewedAt: null,
+      reviewNote: null
+    };
+    student = {
+      _id: stored.student,
+      applyAttendanceCorrection: mock.fn(async () => ({ _id: stored.attendance }))
+    };
+
+    // A single request in memory, the claim only matches while it is pending
+    mock.method(AttendanceCorrection, 'findById', async () => {
+      await tick();
+      return stored ? new AttendanceCorrection(stored) : null;
+    });
+    mock.method(AttendanceCorrection, 'findOneAndUpdate', async (filter, update) => {
+      await tick();
+      if (stored.status !== filter.status) return null;
+      Object.assign(stored, update);
+      return new AttendanceCorrection(stored);
+    });
+    mock.method(AttendanceCorrection, 'updateOne', async (filter, update) => {
+      Object.assign(stored, update);
+      return { acknowledged: true, modifiedCount: 1 };
+    });
+    mock.method(Student, 'findById', async () => student);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('applies an approved correction and records the reviewer', async () => {
+    const { correction, record } = await reviewCorrectionRequest(stored._id, {
+      decision: 'approved',
+      note: 'Checked with the class teacher',
+      reviewer
+    });
+
+    assert.equal(correction.status, 'approved');
+    assert.ok(correction.reviewedBy.equals(reviewer._id));
+    assert.equal(correction.reviewNote, 'Checked with the class teacher');
+    assert.ok(record._id.equals(stored.attendance));
+    assert.equal(student.applyAttendanceCorrection.mock.callCount(), 1);
+    assert.equal(stored.status, 'approved');
+  });
+
+  it('does not let the requester review their own correction', async () => {
+    await assert.rejects(
+      reviewCorrectionRequest(stored._id, { decision: 'approved', reviewer: requester }),
+      { statusCode: 403 }
+    );
+
+    assert.equal(AttendanceCorrection.findOneAndUpdate.mock.callCount(), 0);
+    assert.equal(student.applyAttendanceCorrection.mock.callCount(), 0);
+    assert.equal(stored.status, 'pending');
+  });
+
+  it('lets only one of two concurrent reviews through', async () => {
+    const results = await Promise.allSettled([
+      reviewCorrectionRequest(stored._id, { decision: 'approved', reviewer }),
+      reviewCorrectionRequest(stored._id, { decision: 'rejected', reviewer: secondReviewer })
+    ]);
+
+    const [first, second] = results;
+    assert.equal(first.status, 'fulfilled');
+    assert.equal(second.status, 'rejected');
+    assert.equal(second.reason.statusCode, 409);
+    assert.equal(stored.status, 'approved');
+    assert.ok(stored.reviewedBy.equals(reviewer._id));
+    assert.equal(student.applyAttendanceCorrection.mock.callCount(), 1);
+  });
+
+  it('rejects a review of a request that was already decided', async () => {
+    stored.status = 'rejected';
+
+    await assert.rejects(
+      reviewCorrectionRequest(stored._id, { decision: 'approved', reviewer }),
+      { statusCode: 409 }
+    );
+    assert.equal(AttendanceCorrection.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('puts the request back in the queue when applying it fails', async () => {
+    student.applyAttendanceCorrection = mock.fn(async () => {
+      throw new Error('write conflict');
+    });
+
+    await assert.rejects(
+      reviewCorrectionRequest(stored._id, { decision: 'approved', reviewer }),
+      /write conflict/
+    );
+
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.reviewedBy, null);
+    assert.equal(stored.reviewedAt, null);
+  });
+
+  it('does not apply anything for a rejection', async () => {
+    const { correction, record } = await reviewCorrectionRequest(stored._id, { decision: 'rejected', reviewer });
+
+    assert.equal(correction.status, 'rejected');
+    assert.equal(record, null);
+    assert.equal(student.applyAttendanceCorrection.mock.callCount(), 0);
+  });
+
+  it('refuses decisions other than approved or rejected', async () => {
+    await assert.rejects(
+      reviewCorrectionRequest(stored._id, { decision: 'maybe', reviewer }),
+      { statusCode: 400 }
+    );
+  });
+});
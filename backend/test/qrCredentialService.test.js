@@ -0,0 +1,144 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Student from '../models/student.model.js';
+import { createQRToken, verifyQRToken } from '../services/qrCredentialService.js';
+
+const studentId = new mongoose.Types.ObjectId();
+
+const credential = (overrides = {}) => ({
+  keyId: 'k1',
+  version: 3,
+  issuedAt: new Date('2026-01-05T08:00:00Z'),
+  ...overrides
+});
+
+const tokenFor = (overrides = {}, id = studentId) =>
+  createQRToken({ _id: id, qrCredential: credential(overrides) });
+
+// Swap one part of a token, e.g. to tamper with the payload
+const replacePart = (token, index, value) => {
+  const parts = token.split('.');
+  parts[index] = value;
+  return parts.join('.');
+};
+
+const encode = (claims) => Buffer.from(JSON.stringify(claims)).toString('base64url');
+
+describe('QR credential tokens', () => {
+  let stored;
+
+  beforeEach(() => {
+    process.env.QR_SIGNING_KEYS = 'k1:first-secret,k2:second-secret';
+    delete process.env.QR_ACTIVE_KEY_ID;
+
+    stored = { _id: studentId, name: 'Test Student', qrCredential: credential() };
+    mock.method(Student, 'findById', async (id) => (String(id) === String(studentId) ? stored : null));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.QR_SIGNING_KEYS;
+  });
+
+  it('verifies a token it signed and loads the student', async () => {
+    const result = await verifyQRToken(tokenFor());
+
+    assert.equal(result.valid, true);
+    assert.equal(result.student, stored);
+    assert.deepEqual(result.credential, {
+      keyId: 'k1',
+      version: 3,
+      issuedAt: new Date('2026-01-05T08:00:00Z')
+    });
+  });
+
+  it('keeps verifying tokens of an older key while it is listed', async () => {
+    const token = tokenFor({ keyId: 'k2' });
+    process.env.QR_ACTIVE_KEY_ID = 'k1';
+
+    assert.equal((await verifyQRToken(token)).valid, true);
+  });
+
+  it('rejects a token whose signature does not match', async () => {
+    const token = tokenFor();
+    const result = await verifyQRToken(replacePart(token, 2, Buffer.alloc(16).toString('base64url')));
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'BAD_SIGNATURE');
+  });
+
+  it('rejects a token whose payload was changed after signing', async () => {
+    const token = tokenFor();
+    const forged = replacePart(token, 1, encode({ k: 'k1', s: studentId.toString(), v: 4, i: 1767600000 }));
+    const result = await verifyQRToken(forged);
+
+    assert.equal(result.reason, 'BAD_SIGNATURE');
+  });
+
+  it('rejects a token signed with another secret under the same key id', async () => {
+    const token = tokenFor();
+    process.env.QR_SIGNING_KEYS = 'k1:rotated-secret';
+
+    assert.equal((await verifyQRToken(token)).reason, 'BAD_SIGNATURE');
+  });
+
+  it('rejects a token signed with a key that is no longer listed', async () => {
+    const token = tokenFor({ keyId: 'k2' });
+    process.env.QR_SIGNING_KEYS = 'k1:first-secret';
+
+    const result = await verifyQRToken(token);
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'UNKNOWN_KEY');
+  });
+
+  it('refuses to sign with a key that is not configured', () => {
+    assert.throws(() => tokenFor({ keyId: 'k9' }), /not configured/);
+  });
+
+  it('rejects a revoked credential version and names the student', async () => {
+    const token = tokenFor({ version: 2 });
+    const result = await verifyQRToken(token);
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'REVOKED');
+    assert.equal(result.student, stored);
+  });
+
+  it('rejects a token for a student that does not exist', async () => {
+    const token = tokenFor({}, new mongoose.Types.ObjectId());
+
+    assert.equal((await verifyQRToken(token)).reason, 'NOT_FOUND');
+  });
+
+  it('rejects malformed tokens without looking up a student', async () => {
+    const token = tokenFor();
+    const malformed = [
+      undefined,
+      null,
+      12345,
+      '',
+      'ST1024',
+      JSON.stringify({ indexNumber: 'ST1024' }),
+      'QA2.payload.signature',
+      'QA1.only-two',
+      `${token}.extra`,
+      replacePart(token, 1, '%%%not-base64%%%'),
+      replacePart(token, 1, Buffer.from('not json').toString('base64url'))
+    ];
+
+    for (const value of malformed) {
+      const result = await verifyQRToken(value);
+      assert.equal(result.valid, false, `accepted ${value}`);
+      assert.equal(result.reason, 'INVALID_FORMAT', `wrong reason for ${value}`);
+    }
+    assert.equal(Student.findById.mock.callCount(), 0);
+  });
+
+  it('rejects a signed token whose student id is not an object id', async () => {
+    const token = tokenFor({}, 'not-an-id');
+
+    assert.equal((await verifyQRToken(token)).reason, 'INVALID_FORMAT');
+    assert.equal(Student.findById.mock.callCount(), 0);
+  });
+});
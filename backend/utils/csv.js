@@ -0,0 +1,37 @@
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Numbers and telephone numbers like +94 77 123 4567 are safe as they are
+const NUMERIC = /^[+-]?[\d\s().-]+$/;
+
+/**
+ * Quote a value for CSV when it contains a separator, quote or line break
+ * Text that a spreadsheet would run as a formula is prefixed with '
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text) && !NUMERIC.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<Object>} columns - { key, header } pairs, in column order
+ * @param {Array<Object>} rows - Objects keyed by column key
+ * @returns {string} CSV with a header row and CRLF line endings
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column.key])).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
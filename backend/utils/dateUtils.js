@@ -130,8 +130,35 @@ export const calculateDuration = (startDate, endDate) => {
   }
 };
 
+/**
+ * Get the start of the calendar day (server local time) for a date
+ * Attendance records are keyed by this value, one per student per day
+ * @param {*} date - Date in various formats, defaults to now
+ * @returns {Date} Date set to 00:00:00.000 of the same day, an Invalid Date
+ *   when the date cannot be parsed
+ */
+export const startOfDay = (date = new Date()) => {
+  const parsed = parseMongoDate(date);
+  if (!parsed) return new Date(NaN);
+  return new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+};
+
+/**
+ * Get the end of the calendar day (server local time) for a date
+ * @param {*} date - Date in various formats, defaults to now
+ * @returns {Date} Date set to 23:59:59.999 of the same day, an Invalid Date
+ *   when the date cannot be parsed
+ */
+export const endOfDay = (date = new Date()) => {
+  const end = startOfDay(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
 export default {
   parseMongoDate,
   formatTimeFromDate,
-  calculateDuration
+  calculateDuration,
+  startOfDay,
+  endOfDay
 }; 
\ No newline at end of file
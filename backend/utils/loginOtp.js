@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+// Login codes sent over WhatsApp
+export const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+
+const hashOtp = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+/**
+ * Mongoose plugin for one-time login codes
+ * Adds the (unselected) code fields plus createLoginOtp / verifyLoginOtp
+ * methods. Select '+otpHash +otpExpires +otpAttempts' before verifying.
+ */
+export const loginOtpPlugin = (schema) => {
+  schema.add({
+    otpHash: {
+      type: String,
+      select: false
+    },
+    otpExpires: {
+      type: Date,
+      select: false
+    },
+    otpAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    }
+  });
+
+  // Create a new login code, only its hash is stored
+  schema.methods.createLoginOtp = function () {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    this.otpHash = hashOtp(code);
+    this.otpExpires = Date.now() + OTP_TTL_MINUTES * 60 * 1000;
+    this.otpAttempts = 0;
+
+    return code;
+  };
+
+  // Check a login code, a code can be used once and only a few wrong guesses
+  // are allowed before a new one has to be requested. Saves the document.
+  schema.methods.verifyLoginOtp = async function (code) {
+    if (!this.otpHash || !this.otpExpires || this.otpExpires < Date.now() || this.otpAttempts >= OTP_MAX_ATTEMPTS) {
+      return false;
+    }
+
+    const isMatch = hashOtp(code) === this.otpHash;
+    if (isMatch) {
+      this.otpHash = undefined;
+      this.otpExpires = undefined;
+      this.otpAttempts = 0;
+    } else {
+      this.otpAttempts += 1;
+    }
+
+    await this.save({ validateBeforeSave: false });
+    return isMatch;
+  };
+};
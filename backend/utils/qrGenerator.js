@@ -3,12 +3,45 @@ import fs from 'fs';
 import path from 'path';
 import sharp from 'sharp';
 
+// Module shapes the generator can draw
+export const QR_MODULE_SHAPES = ['square', 'circle', 'rounded'];
+
+// Logo width as a share of the QR code width
+const LOGO_RATIO = 0.2;
+
+/**
+ * Whether a module belongs to one of the three finder patterns
+ * Those stay square in every shape so scanners still lock on quickly
+ */
+const isFinderModule = (row, col, size) =>
+  (row < 7 && col < 7) || (row < 7 && col >= size - 7) || (row >= size - 7 && col < 7);
+
+/**
+ * Draw one dark module at x, y in module units
+ */
+const drawModule = (shape, x, y, color) => {
+  if (shape === 'circle') {
+    return `<circle cx="${x + 0.5}" cy="${y + 0.5}" r="0.5" fill="${color}"/>`;
+  }
+  if (shape === 'rounded') {
+    return `<rect x="${x}" y="${y}" width="1" height="1" rx="0.3" fill="${color}"/>`;
+  }
+  return `<rect x="${x}" y="${y}" width="1" height="1" fill="${color}"/>`;
+};
+
 /**
- * Generates a QR code with a pixel art dinosaur logo in the center,
- * exactly matching the reference image
+ * Generates a QR code with a logo in the center
  * @param {string} data - Data to encode in the QR code
  * @param {Object} options - Optional configuration
- * @returns {Promise<string>} - Base64 data URL of the QR code
+ * @param {string} [options.errorCorrectionLevel] - L, M, Q or H
+ * @param {number} [options.margin] - Quiet zone in modules
+ * @param {number} [options.width] - Image width in pixels
+ * @param {Object} [options.color] - { dark, light } colours
+ * @param {string} [options.moduleShape] - square, circle or rounded
+ * @param {Buffer|null} [options.logo] - PNG logo, null for none, the pixel
+ *   art dinosaur when left out
+ * @param {string} [options.format] - 'svg' returns the SVG markup instead of a PNG
+ * @returns {Promise<string>} - Base64 data URL of the QR code, or SVG markup
  */
 export const generateStylishQRCode = async (data, options = {}) => {
   try {
@@ -17,67 +50,63 @@ export const generateStylishQRCode = async (data, options = {}) => {
       errorCorrectionLevel: 'H', // High error correction for logo space
       margin: 1,
       width: 400,
+      moduleShape: 'circle',
+      format: 'png',
+      ...options,
       color: {
         dark: '#000000',
-        light: '#FFFFFF'
-      },
-      // Make the QR code use dots instead of squares
-      type: 'svg',
-      rendererOpts: {
-        quality: 1
-      },
-      ...options
+        light: '#FFFFFF',
+        ...options.color
+      }
     };
 
-    // Generate the QR code as SVG first
-    const qrSvg = await QRCode.toString(data, {
-      ...config,
-      type: 'svg'
-    });
-    
-    // Convert SVG to use circles instead of rects for the modules
-    const circleQrSvg = qrSvg.replace(/<rect([^>]*)\/>/g, (match, attributes) => {
-      // Extract x, y, width, height from the attributes
-      const x = attributes.match(/x="([^"]*)"/)?.[1] || '0';
-      const y = attributes.match(/y="([^"]*)"/)?.[1] || '0';
-      const width = attributes.match(/width="([^"]*)"/)?.[1] || '1';
-      
-      // Calculate circle center and radius
-      const centerX = parseFloat(x) + parseFloat(width) / 2;
-      const centerY = parseFloat(y) + parseFloat(width) / 2;
-      const radius = parseFloat(width) / 2;
-      
-      // Return circle with the same fill and position
-      return `<circle cx="${centerX}" cy="${centerY}" r="${radius}" fill="black"/>`;
-    });
-    
-    // Convert modified SVG to PNG buffer
-    const qrBuffer = await sharp(Buffer.from(circleQrSvg))
+    const qr = QRCode.create(data, { errorCorrectionLevel: config.errorCorrectionLevel });
+    const size = qr.modules.size;
+    const total = size + config.margin * 2;
+
+    const modules = [];
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        if (!qr.modules.get(row, col)) continue;
+
+        const shape = isFinderModule(row, col, size) && config.moduleShape === 'circle'
+          ? 'square'
+          : config.moduleShape;
+        modules.push(drawModule(shape, col + config.margin, row + config.margin, config.color.dark));
+      }
+    }
+
+    // The logo sits on a background coloured tile, error correction covers
+    // the modules underneath
+    const logoBuffer = config.logo === undefined
+      ? await createExactDinoLogo(Math.floor(config.width * LOGO_RATIO))
+      : config.logo;
+    let logo = '';
+    if (logoBuffer) {
+      const logoSize = total * LOGO_RATIO;
+      const position = (total - logoSize) / 2;
+      logo = `<rect x="${position}" y="${position}" width="${logoSize}" height="${logoSize}" fill="${config.color.light}"/>` +
+        `<image x="${position}" y="${position}" width="${logoSize}" height="${logoSize}" ` +
+        `href="data:image/png;base64,${logoBuffer.toString('base64')}"/>`;
+    }
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${config.width}" height="${config.width}" viewBox="0 0 ${total} ${total}">` +
+      `<rect width="${total}" height="${total}" fill="${config.color.light}"/>` +
+      modules.join('') +
+      logo +
+      '</svg>';
+
+    if (config.format === 'svg') {
+      return svg;
+    }
+
+    const qrBuffer = await sharp(Buffer.from(svg))
       .resize(config.width, config.width)
       .png()
       .toBuffer();
-      
-    // Now create the exact pixel art dino logo from the reference
-    const logoSize = Math.floor(config.width * 0.15); // 15% of QR code size
-    const logoBuffer = await createExactDinoLogo(logoSize);
-    
-    // Calculate center position for the logo
-    const position = Math.floor((config.width - logoSize) / 2);
-    
-    // Overlay the pixel art dinosaur logo on the QR code
-    const finalQR = await sharp(qrBuffer)
-      .composite([
-        {
-          input: logoBuffer,
-          top: position,
-          left: position
-        }
-      ])
-      .png()
-      .toBuffer();
-    
+
     // Convert to base64
-    return `data:image/png;base64,${finalQR.toString('base64')}`;
+    return `data:image/png;base64,${qrBuffer.toString('base64')}`;
   } catch (error) {
     console.error('Error generating QR code:', error);
     throw error;
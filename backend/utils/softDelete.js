@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// Query operations that leave deleted documents out
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany'
+];
+
+/**
+ * Mongoose plugin for soft deletes
+ * Adds deletedAt / deletedBy plus softDelete / restore methods. Queries and
+ * aggregations leave deleted documents out unless they filter on deletedAt
+ * themselves or set the withDeleted option:
+ *   Model.find({ deletedAt: { $ne: null } })
+ *   Model.findById(id).setOptions({ withDeleted: true })
+ */
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    }
+  });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+
+    const [firstStage] = this.pipeline();
+    if (firstStage?.$match && Object.prototype.hasOwnProperty.call(firstStage.$match, 'deletedAt')) return;
+
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  /**
+   * Move the document to the trash
+   * @param {string} [adminId] - Admin deleting it
+   */
+  schema.methods.softDelete = function(adminId = null) {
+    this.deletedAt = new Date();
+    this.deletedBy = adminId;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  /**
+   * Take the document out of the trash
+   */
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ validateBeforeSave: false });
+  };
+};
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/**
+ * Build the student filter shared by the roster endpoints
+ * (students/all, the roster export, ID cards and QR exports)
+ * @param {Object} params - Request query: status ('all' for every status),
+ *   search (name or index number), ids and indexNumbers (comma separated)
+ * @param {Object} [classFilter] - req.classFilter from resolveClassFilter
+ * @param {Object} [options]
+ * @param {string} [options.defaultStatus] - Status used when none is given,
+ *   'all' by default
+ * @returns {Object} Mongo filter
+ */
+export const buildStudentQuery = (params = {}, classFilter = {}, { defaultStatus = 'all' } = {}) => {
+  const { status = defaultStatus, ids, indexNumbers, search } = params;
+  const query = { ...classFilter };
+
+  if (status && status !== 'all') {
+    query.status = status;
+  }
+
+  if (ids) {
+    query._id = { $in: String(ids).split(',').map(id => id.trim()).filter(id => mongoose.Types.ObjectId.isValid(id)) };
+  }
+
+  if (indexNumbers) {
+    query.indexNumber = { $in: String(indexNumbers).split(',').map(index => index.trim().toUpperCase()).filter(Boolean) };
+  }
+
+  if (search) {
+    const pattern = new RegExp(String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ name: pattern }, { indexNumber: pattern }];
+  }
+
+  return query;
+};
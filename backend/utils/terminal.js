@@ -110,7 +110,7 @@ export const logServerStart = (port) => {
                 chalk.green('│'));
     console.log(chalk.green('└' + '─'.repeat(cols - 2) + '┘\n'));
     
-    logInfo('System is configured to count weekends in attendance reports');
+    logInfo('Attendance reports are measured against the academic calendar');
 };
 
 export const startSpinner = (id, text) => {